@@ -3,19 +3,43 @@
 /** External Dependencies **/
 
 const lz4BlockCodec = require('@warren-bank/lz4-hc-wasm');
+const hashWasm = require('hash-wasm');
 const xxhash = require('xxhashjs');
 
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
 const { argv, exit } = require('process');
+const { isMainThread, workerData } = require('worker_threads');
 
 /** Global Constants **/
 
+const PACKAGE_VERSION = require('../package.json').version;
+
 const ASSEMBLY_STORE_MAGIC = Buffer.from('XABA');
 const ASSEMBLY_STORE_FORMAT_VERSION = 1;
+const ASSEMBLY_STORE_FORMAT_VERSION_2 = 2;
+const ASSEMBLY_STORE_FORMAT_VERSION_MAX = 3;
+
+// v2+ headers pack more than the format version into the version field
+const ASSEMBLY_STORE_FORMAT_VERSION_MASK = 0x0000FFFF;
+const ASSEMBLY_STORE_ABI_MASK = 0x00FF0000;
+const ASSEMBLY_STORE_64BIT_FLAG = 0x80000000;
+
+const ASSEMBLY_STORE_ABI_MAP = {
+  0x00010000: 'arm64',
+  0x00020000: 'arm',
+  0x00030000: 'x86_64',
+  0x00040000: 'x86',
+};
 
 const COMPRESSED_DATA_MAGIC = Buffer.from('XALZ');
 
+// default number of worker threads for LZ4 compression/decompression
+const DEFAULT_LZ4_JOBS = Math.max(1, (typeof os.availableParallelism === 'function') ? os.availableParallelism() : os.cpus().length);
+
 const FILE_ASSEMBLIES_BLOB = 'assemblies.blob';
 const FILE_ASSEMBLIES_BLOB_ARM = 'assemblies.armeabi_v7a.blob';
 const FILE_ASSEMBLIES_BLOB_ARM_64 = 'assemblies.arm64_v8a.blob';
@@ -29,9 +53,193 @@ const ARCHITECTURE_MAP = {
   x86_64: FILE_ASSEMBLIES_BLOB_x86_64,
 };
 
+// .NET 9+ wraps each store in an ELF shared object: lib/<abi>/libassemblies.<abi>.blob.so
+const ANDROID_ABI_MAP = {
+  arm: 'armeabi-v7a',
+  arm64: 'arm64-v8a',
+  x86: 'x86',
+  x86_64: 'x86_64',
+};
+
+const ARCHITECTURE_ELF_MAP = {
+  arm: `libassemblies.${ANDROID_ABI_MAP.arm}.blob.so`,
+  arm64: `libassemblies.${ANDROID_ABI_MAP.arm64}.blob.so`,
+  x86: `libassemblies.${ANDROID_ABI_MAP.x86}.blob.so`,
+  x86_64: `libassemblies.${ANDROID_ABI_MAP.x86_64}.blob.so`,
+};
+
+const ELF_MAGIC = Buffer.from([0x7F, 0x45, 0x4C, 0x46]);
+const ELF_PAYLOAD_SECTION_NAME = 'payload';
+
+// 16 KB: satisfies both 4 KB and 16 KB page size devices
+const ELF_PAYLOAD_ALIGNMENT = 0x4000;
+
+const ELF_MACHINE_MAP = {
+  arm: 40,     // EM_ARM
+  arm64: 183,  // EM_AARCH64
+  x86: 3,      // EM_386
+  x86_64: 62,  // EM_X86_64
+};
+
 const FILE_ASSEMBLIES_MANIFEST = 'assemblies.manifest';
 const FILE_ASSEMBLIES_JSON = 'assemblies.json';
 
+// JSON Schema (draft-07) of 'assemblies.json', shipped with the package. printed by: jsxamstore check-config --print-schema
+const ASSEMBLIES_JSON_SCHEMA = require('../schema/assemblies.schema.json');
+
+// culture of a satellite assembly (ex: 'fr', 'pt-BR', 'zh-Hans', 'sr-Latn-RS'), used as the name of its subdirectory
+const CULTURE_NAME_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// device names that cannot be used as a file name on Windows, with any extension
+const WINDOWS_RESERVED_FILE_NAME_PATTERN = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+// public key tokens of the assemblies that ship with .NET, Mono and Xamarin
+const FRAMEWORK_PUBLIC_KEY_TOKENS = [
+  'b77a5c561934e089',  // ECMA
+  'b03f5f7f11d50a3a',  // Microsoft
+  '31bf3856ad364e35',  // Microsoft (shared)
+  '7cec85d7bea7798e',  // System.Private.CoreLib
+  'cc7b13ffcd2ddd51',  // .NET Foundation
+  'adb9793829ddae60',  // Microsoft.Extensions
+  '84e04ff9cfb79065',  // Xamarin
+  '0738eb9f132ed756',  // Mono
+];
+
+// well-known assembly names, used to recover names that are missing from 'assemblies.manifest' (see: --lenient)
+const KNOWN_ASSEMBLY_NAMES = [
+  // .NET base class library
+  'Microsoft.CSharp', 'Microsoft.VisualBasic', 'Microsoft.VisualBasic.Core', 'Microsoft.Win32.Primitives',
+  'Microsoft.Win32.Registry', 'mscorlib', 'netstandard', 'System', 'System.AppContext', 'System.Buffers', 'System.Collections',
+  'System.Collections.Concurrent', 'System.Collections.Immutable', 'System.Collections.NonGeneric',
+  'System.Collections.Specialized', 'System.ComponentModel', 'System.ComponentModel.Annotations',
+  'System.ComponentModel.DataAnnotations', 'System.ComponentModel.EventBasedAsync', 'System.ComponentModel.Primitives',
+  'System.ComponentModel.TypeConverter', 'System.Configuration', 'System.Console', 'System.Core', 'System.Data',
+  'System.Data.Common', 'System.Data.DataSetExtensions', 'System.Diagnostics.Contracts', 'System.Diagnostics.Debug',
+  'System.Diagnostics.DiagnosticSource', 'System.Diagnostics.FileVersionInfo', 'System.Diagnostics.Process',
+  'System.Diagnostics.StackTrace', 'System.Diagnostics.TextWriterTraceListener', 'System.Diagnostics.Tools',
+  'System.Diagnostics.TraceSource', 'System.Diagnostics.Tracing', 'System.Drawing', 'System.Drawing.Common',
+  'System.Drawing.Primitives', 'System.Dynamic.Runtime', 'System.Formats.Asn1', 'System.Formats.Tar', 'System.Globalization',
+  'System.Globalization.Calendars', 'System.Globalization.Extensions', 'System.IdentityModel.Tokens.Jwt', 'System.IO',
+  'System.IO.Compression', 'System.IO.Compression.Brotli', 'System.IO.Compression.FileSystem', 'System.IO.Compression.ZipFile',
+  'System.IO.FileSystem', 'System.IO.FileSystem.AccessControl', 'System.IO.FileSystem.DriveInfo',
+  'System.IO.FileSystem.Primitives', 'System.IO.FileSystem.Watcher', 'System.IO.IsolatedStorage', 'System.IO.MemoryMappedFiles',
+  'System.IO.Pipelines', 'System.IO.Pipes', 'System.IO.Pipes.AccessControl', 'System.IO.UnmanagedMemoryStream', 'System.Json',
+  'System.Linq', 'System.Linq.Expressions', 'System.Linq.Parallel', 'System.Linq.Queryable', 'System.Memory', 'System.Net',
+  'System.Net.Http', 'System.Net.Http.Json', 'System.Net.Http.WinHttpHandler', 'System.Net.HttpListener', 'System.Net.Mail',
+  'System.Net.NameResolution', 'System.Net.NetworkInformation', 'System.Net.Ping', 'System.Net.Primitives', 'System.Net.Quic',
+  'System.Net.Requests', 'System.Net.Security', 'System.Net.ServicePoint', 'System.Net.Sockets', 'System.Net.WebClient',
+  'System.Net.WebHeaderCollection', 'System.Net.WebProxy', 'System.Net.WebSockets', 'System.Net.WebSockets.Client',
+  'System.Numerics', 'System.Numerics.Vectors', 'System.ObjectModel', 'System.Private.CoreLib',
+  'System.Private.DataContractSerialization', 'System.Private.Runtime.InteropServices.JavaScript', 'System.Private.Uri',
+  'System.Private.Xml', 'System.Private.Xml.Linq', 'System.Reflection', 'System.Reflection.Context',
+  'System.Reflection.DispatchProxy', 'System.Reflection.Emit', 'System.Reflection.Emit.ILGeneration',
+  'System.Reflection.Emit.Lightweight', 'System.Reflection.Extensions', 'System.Reflection.Metadata',
+  'System.Reflection.Primitives', 'System.Reflection.TypeExtensions', 'System.Resources.Reader',
+  'System.Resources.ResourceManager', 'System.Resources.Writer', 'System.Runtime', 'System.Runtime.Caching',
+  'System.Runtime.CompilerServices.Unsafe', 'System.Runtime.CompilerServices.VisualC', 'System.Runtime.Extensions',
+  'System.Runtime.Handles', 'System.Runtime.InteropServices', 'System.Runtime.InteropServices.JavaScript',
+  'System.Runtime.InteropServices.RuntimeInformation', 'System.Runtime.Intrinsics', 'System.Runtime.Loader',
+  'System.Runtime.Numerics', 'System.Runtime.Serialization', 'System.Runtime.Serialization.Formatters',
+  'System.Runtime.Serialization.Json', 'System.Runtime.Serialization.Primitives', 'System.Runtime.Serialization.Xml',
+  'System.Security', 'System.Security.AccessControl', 'System.Security.Claims', 'System.Security.Cryptography',
+  'System.Security.Cryptography.Algorithms', 'System.Security.Cryptography.Cng', 'System.Security.Cryptography.Csp',
+  'System.Security.Cryptography.Encoding', 'System.Security.Cryptography.OpenSsl', 'System.Security.Cryptography.Pkcs',
+  'System.Security.Cryptography.Primitives', 'System.Security.Cryptography.ProtectedData',
+  'System.Security.Cryptography.X509Certificates', 'System.Security.Permissions', 'System.Security.Principal',
+  'System.Security.Principal.Windows', 'System.Security.SecureString', 'System.ServiceModel.Web', 'System.ServiceProcess',
+  'System.Text.Encoding', 'System.Text.Encoding.CodePages', 'System.Text.Encoding.Extensions', 'System.Text.Encodings.Web',
+  'System.Text.Json', 'System.Text.RegularExpressions', 'System.Threading', 'System.Threading.Channels',
+  'System.Threading.Overlapped', 'System.Threading.Tasks', 'System.Threading.Tasks.Dataflow',
+  'System.Threading.Tasks.Extensions', 'System.Threading.Tasks.Parallel', 'System.Threading.Thread',
+  'System.Threading.ThreadPool', 'System.Threading.Timer', 'System.Transactions', 'System.Transactions.Local',
+  'System.ValueTuple', 'System.Web', 'System.Web.HttpUtility', 'System.Windows', 'System.Xml', 'System.Xml.Linq',
+  'System.Xml.ReaderWriter', 'System.Xml.Serialization', 'System.Xml.XDocument', 'System.Xml.XmlDocument',
+  'System.Xml.XmlSerializer', 'System.Xml.XPath', 'System.Xml.XPath.XDocument', 'WindowsBase',
+  // .NET for Android, Xamarin.Android and Mono
+  'Java.Interop', 'Java.Interop.Export', 'Java.Interop.GenericMarshaler', 'Microsoft.Android.Runtime', 'Mono.Android',
+  'Mono.Android.Export', 'Mono.Android.Runtime', 'Mono.CSharp', 'Mono.Data.Sqlite', 'Mono.Data.Tds', 'Mono.Posix',
+  'Mono.Security', 'Mono.Security.Providers.DotNet', 'Xamarin.Android.Arch.Core.Common', 'Xamarin.Android.Arch.Lifecycle.Common',
+  'Xamarin.Android.Arch.Lifecycle.Runtime', 'Xamarin.Android.Glide', 'Xamarin.Android.Glide.DiskLruCache',
+  'Xamarin.Android.Glide.GifDecoder', 'Xamarin.Android.Support.Annotations', 'Xamarin.Android.Support.Compat',
+  'Xamarin.Android.Support.Core.UI', 'Xamarin.Android.Support.Core.Utils', 'Xamarin.Android.Support.Design',
+  'Xamarin.Android.Support.Fragment', 'Xamarin.Android.Support.v4', 'Xamarin.Android.Support.v7.AppCompat',
+  'Xamarin.Android.Support.v7.CardView', 'Xamarin.Android.Support.v7.RecyclerView',
+  // Xamarin.Forms, .NET MAUI and Xamarin.Essentials
+  'FormsViewGroup', 'Microsoft.Maui', 'Microsoft.Maui.Controls', 'Microsoft.Maui.Controls.Compatibility',
+  'Microsoft.Maui.Controls.Maps', 'Microsoft.Maui.Controls.Xaml', 'Microsoft.Maui.Essentials', 'Microsoft.Maui.Graphics',
+  'Microsoft.Maui.Graphics.Skia', 'Microsoft.Maui.Maps', 'Xamarin.Essentials', 'Xamarin.Forms.Core', 'Xamarin.Forms.Maps',
+  'Xamarin.Forms.Maps.Android', 'Xamarin.Forms.Platform', 'Xamarin.Forms.Platform.Android', 'Xamarin.Forms.Xaml',
+  // AndroidX, Google and Kotlin bindings
+  'Xamarin.AndroidX.Activity', 'Xamarin.AndroidX.Activity.Ktx', 'Xamarin.AndroidX.Annotation',
+  'Xamarin.AndroidX.Annotation.Experimental', 'Xamarin.AndroidX.Annotation.Jvm', 'Xamarin.AndroidX.AppCompat',
+  'Xamarin.AndroidX.AppCompat.AppCompatResources', 'Xamarin.AndroidX.Arch.Core.Common', 'Xamarin.AndroidX.Arch.Core.Runtime',
+  'Xamarin.AndroidX.AsyncLayoutInflater', 'Xamarin.AndroidX.Browser', 'Xamarin.AndroidX.CardView', 'Xamarin.AndroidX.Collection',
+  'Xamarin.AndroidX.Collection.Jvm', 'Xamarin.AndroidX.Collection.Ktx', 'Xamarin.AndroidX.Concurrent.Futures',
+  'Xamarin.AndroidX.ConstraintLayout', 'Xamarin.AndroidX.ConstraintLayout.Core', 'Xamarin.AndroidX.CoordinatorLayout',
+  'Xamarin.AndroidX.Core', 'Xamarin.AndroidX.Core.Core.Ktx', 'Xamarin.AndroidX.CursorAdapter', 'Xamarin.AndroidX.CustomView',
+  'Xamarin.AndroidX.CustomView.PoolingContainer', 'Xamarin.AndroidX.DocumentFile', 'Xamarin.AndroidX.DrawerLayout',
+  'Xamarin.AndroidX.DynamicAnimation', 'Xamarin.AndroidX.Emoji2', 'Xamarin.AndroidX.Emoji2.ViewsHelper',
+  'Xamarin.AndroidX.ExifInterface', 'Xamarin.AndroidX.Fragment', 'Xamarin.AndroidX.Fragment.Ktx',
+  'Xamarin.AndroidX.Interpolator', 'Xamarin.AndroidX.LegacySupport.Core.UI', 'Xamarin.AndroidX.LegacySupport.Core.Utils',
+  'Xamarin.AndroidX.LegacySupport.V4', 'Xamarin.AndroidX.Lifecycle.Common', 'Xamarin.AndroidX.Lifecycle.Common.Jvm',
+  'Xamarin.AndroidX.Lifecycle.LiveData', 'Xamarin.AndroidX.Lifecycle.LiveData.Core',
+  'Xamarin.AndroidX.Lifecycle.LiveData.Core.Ktx', 'Xamarin.AndroidX.Lifecycle.Process', 'Xamarin.AndroidX.Lifecycle.Runtime',
+  'Xamarin.AndroidX.Lifecycle.Runtime.Ktx', 'Xamarin.AndroidX.Lifecycle.ViewModel', 'Xamarin.AndroidX.Lifecycle.ViewModel.Ktx',
+  'Xamarin.AndroidX.Lifecycle.ViewModelSavedState', 'Xamarin.AndroidX.Loader', 'Xamarin.AndroidX.LocalBroadcastManager',
+  'Xamarin.AndroidX.Media', 'Xamarin.AndroidX.MediaRouter', 'Xamarin.AndroidX.MultiDex', 'Xamarin.AndroidX.Navigation.Common',
+  'Xamarin.AndroidX.Navigation.Fragment', 'Xamarin.AndroidX.Navigation.Runtime', 'Xamarin.AndroidX.Navigation.UI',
+  'Xamarin.AndroidX.Palette', 'Xamarin.AndroidX.Preference', 'Xamarin.AndroidX.Print',
+  'Xamarin.AndroidX.ProfileInstaller.ProfileInstaller', 'Xamarin.AndroidX.RecyclerView',
+  'Xamarin.AndroidX.ResourceInspection.Annotation', 'Xamarin.AndroidX.SavedState', 'Xamarin.AndroidX.SavedState.SavedState.Ktx',
+  'Xamarin.AndroidX.Security.SecurityCrypto', 'Xamarin.AndroidX.SlidingPaneLayout', 'Xamarin.AndroidX.Startup.StartupRuntime',
+  'Xamarin.AndroidX.SwipeRefreshLayout', 'Xamarin.AndroidX.Tracing.Tracing', 'Xamarin.AndroidX.Transition',
+  'Xamarin.AndroidX.VectorDrawable', 'Xamarin.AndroidX.VectorDrawable.Animated', 'Xamarin.AndroidX.VersionedParcelable',
+  'Xamarin.AndroidX.ViewPager', 'Xamarin.AndroidX.ViewPager2', 'Xamarin.AndroidX.Window',
+  'Xamarin.AndroidX.Window.Extensions.Core.Core', 'Xamarin.AndroidX.Work.Runtime', 'Xamarin.Firebase.Common',
+  'Xamarin.Firebase.Messaging', 'Xamarin.Google.Android.Material', 'Xamarin.Google.Crypto.Tink.Android',
+  'Xamarin.Google.ErrorProne.Annotations', 'Xamarin.Google.Guava.ListenableFuture', 'Xamarin.GooglePlayServices.Base',
+  'Xamarin.GooglePlayServices.Basement', 'Xamarin.GooglePlayServices.Location', 'Xamarin.GooglePlayServices.Maps',
+  'Xamarin.GooglePlayServices.Tasks', 'Xamarin.Jetbrains.Annotations', 'Xamarin.Kotlin.StdLib', 'Xamarin.Kotlin.StdLib.Common',
+  'Xamarin.Kotlin.StdLib.Jdk7', 'Xamarin.Kotlin.StdLib.Jdk8', 'Xamarin.KotlinX.Coroutines.Android',
+  'Xamarin.KotlinX.Coroutines.Core', 'Xamarin.KotlinX.Coroutines.Core.Jvm',
+  // common libraries
+  'Acr.UserDialogs', 'AndHUD', 'CommunityToolkit.Maui', 'CommunityToolkit.Maui.Core', 'CommunityToolkit.Mvvm', 'DryIoc',
+  'FFImageLoading', 'FFImageLoading.Forms', 'FFImageLoading.Forms.Platform', 'FFImageLoading.Platform', 'Google.Protobuf',
+  'HarfBuzzSharp', 'Microsoft.AppCenter', 'Microsoft.AppCenter.Analytics', 'Microsoft.AppCenter.Crashes',
+  'Microsoft.Extensions.Configuration', 'Microsoft.Extensions.Configuration.Abstractions',
+  'Microsoft.Extensions.Configuration.Binder', 'Microsoft.Extensions.Configuration.FileExtensions',
+  'Microsoft.Extensions.Configuration.Json', 'Microsoft.Extensions.DependencyInjection',
+  'Microsoft.Extensions.DependencyInjection.Abstractions', 'Microsoft.Extensions.FileProviders.Abstractions',
+  'Microsoft.Extensions.FileProviders.Physical', 'Microsoft.Extensions.FileSystemGlobbing', 'Microsoft.Extensions.Http',
+  'Microsoft.Extensions.Logging', 'Microsoft.Extensions.Logging.Abstractions', 'Microsoft.Extensions.Logging.Debug',
+  'Microsoft.Extensions.ObjectPool', 'Microsoft.Extensions.Options', 'Microsoft.Extensions.Options.ConfigurationExtensions',
+  'Microsoft.Extensions.Primitives', 'Microsoft.Identity.Client', 'Microsoft.IdentityModel.Abstractions',
+  'Microsoft.IdentityModel.JsonWebTokens', 'Microsoft.IdentityModel.Logging', 'Microsoft.IdentityModel.Tokens',
+  'Newtonsoft.Json', 'Plugin.Connectivity', 'Plugin.CurrentActivity', 'Plugin.Geolocator', 'Plugin.Media', 'Plugin.Permissions',
+  'Plugin.Settings', 'Polly', 'Prism', 'Prism.DryIoc.Forms', 'Prism.Forms', 'Refit', 'RestSharp', 'Rg.Plugins.Popup',
+  'SkiaSharp', 'SkiaSharp.Views.Android', 'SkiaSharp.Views.Forms', 'SkiaSharp.Views.Maui.Controls', 'SkiaSharp.Views.Maui.Core',
+  'SQLite-net', 'SQLitePCLRaw.batteries_v2', 'SQLitePCLRaw.core', 'SQLitePCLRaw.provider.dynamic_cdecl',
+  'SQLitePCLRaw.provider.e_sqlite3', 'Square.OkHttp3', 'Square.OkIO', 'Square.Picasso',
+];
+
+const ZIP_LOCAL_FILE_HEADER_SIGNATURE = 0x04034B50;
+const ZIP_CENTRAL_DIRECTORY_SIGNATURE = 0x02014B50;
+const ZIP_EOCD_SIGNATURE = 0x06054B50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064B50;
+const ZIP64_EOCD_SIGNATURE = 0x06064B50;
+
+const ZIP_METHOD_STORED = 0;
+const ZIP_METHOD_DEFLATED = 8;
+
+const ZIP_FLAG_DATA_DESCRIPTOR = 0x0008;
+
+// zipalign-equivalent: stored entries start on a 4-byte boundary, native libraries on a page boundary
+const ZIP_ALIGNMENT = 4;
+const ZIP_ALIGNMENT_NATIVE_LIBRARY = 0x4000;
+
+// JAR (v1) signature files; the APK Signing Block (v2+) is dropped by rewriting the archive
+const APK_SIGNATURE_FILE_REGEX = /^META-INF\/(MANIFEST\.MF|[^/]+\.(SF|RSA|DSA|EC))$/i;
+
 let DEBUG = false;
 
 function debug(message) {
@@ -70,6 +278,414 @@ function writeUInt64LE(buffer, value, offset) {
   buffer.writeUInt32LE(high, offset + 4);
 }
 
+/** Helper functions for CRC-32 checksums (ZIP) **/
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** Helper functions for reading .NET (CLI) metadata, as described by ECMA-335 Partition II **/
+
+// coded indexes: the tables that each one can point into, in tag order (null: unused tag)
+const CLI_CODED_INDEX = {
+  TypeDefOrRef:        [0x02, 0x01, 0x1B],
+  HasConstant:         [0x04, 0x08, 0x17],
+  HasCustomAttribute:  [0x06, 0x04, 0x01, 0x02, 0x08, 0x09, 0x0A, 0x00, 0x0E, 0x17, 0x14, 0x11, 0x1A, 0x1B, 0x20, 0x23, 0x26, 0x27, 0x28, 0x2A, 0x2C, 0x2B],
+  HasFieldMarshal:     [0x04, 0x08],
+  HasDeclSecurity:     [0x02, 0x06, 0x20],
+  MemberRefParent:     [0x02, 0x01, 0x1A, 0x06, 0x1B],
+  HasSemantics:        [0x14, 0x17],
+  MethodDefOrRef:      [0x06, 0x0A],
+  MemberForwarded:     [0x04, 0x06],
+  Implementation:      [0x26, 0x23, 0x27],
+  CustomAttributeType: [null, null, 0x06, 0x0A, null],
+  ResolutionScope:     [0x00, 0x1A, 0x23, 0x01],
+  TypeOrMethodDef:     [0x02, 0x06],
+};
+
+// column types: 'u8', 'u16', 'u32', 'string', 'guid', 'blob', a table id (simple index), or a coded index name
+const CLI_METADATA_TABLES = {
+  0x00: ['Module',                 [['Generation', 'u16'], ['Name', 'string'], ['Mvid', 'guid'], ['EncId', 'guid'], ['EncBaseId', 'guid']]],
+  0x01: ['TypeRef',                [['ResolutionScope', 'ResolutionScope'], ['TypeName', 'string'], ['TypeNamespace', 'string']]],
+  0x02: ['TypeDef',                [['Flags', 'u32'], ['TypeName', 'string'], ['TypeNamespace', 'string'], ['Extends', 'TypeDefOrRef'], ['FieldList', 0x04], ['MethodList', 0x06]]],
+  0x03: ['FieldPtr',               [['Field', 0x04]]],
+  0x04: ['Field',                  [['Flags', 'u16'], ['Name', 'string'], ['Signature', 'blob']]],
+  0x05: ['MethodPtr',              [['Method', 0x06]]],
+  0x06: ['MethodDef',              [['RVA', 'u32'], ['ImplFlags', 'u16'], ['Flags', 'u16'], ['Name', 'string'], ['Signature', 'blob'], ['ParamList', 0x08]]],
+  0x07: ['ParamPtr',               [['Param', 0x08]]],
+  0x08: ['Param',                  [['Flags', 'u16'], ['Sequence', 'u16'], ['Name', 'string']]],
+  0x09: ['InterfaceImpl',          [['Class', 0x02], ['Interface', 'TypeDefOrRef']]],
+  0x0A: ['MemberRef',              [['Class', 'MemberRefParent'], ['Name', 'string'], ['Signature', 'blob']]],
+  0x0B: ['Constant',               [['Type', 'u16'], ['Parent', 'HasConstant'], ['Value', 'blob']]],
+  0x0C: ['CustomAttribute',        [['Parent', 'HasCustomAttribute'], ['Type', 'CustomAttributeType'], ['Value', 'blob']]],
+  0x0D: ['FieldMarshal',           [['Parent', 'HasFieldMarshal'], ['NativeType', 'blob']]],
+  0x0E: ['DeclSecurity',           [['Action', 'u16'], ['Parent', 'HasDeclSecurity'], ['PermissionSet', 'blob']]],
+  0x0F: ['ClassLayout',            [['PackingSize', 'u16'], ['ClassSize', 'u32'], ['Parent', 0x02]]],
+  0x10: ['FieldLayout',            [['Offset', 'u32'], ['Field', 0x04]]],
+  0x11: ['StandAloneSig',          [['Signature', 'blob']]],
+  0x12: ['EventMap',               [['Parent', 0x02], ['EventList', 0x14]]],
+  0x13: ['EventPtr',               [['Event', 0x14]]],
+  0x14: ['Event',                  [['EventFlags', 'u16'], ['Name', 'string'], ['EventType', 'TypeDefOrRef']]],
+  0x15: ['PropertyMap',            [['Parent', 0x02], ['PropertyList', 0x17]]],
+  0x16: ['PropertyPtr',            [['Property', 0x17]]],
+  0x17: ['Property',               [['Flags', 'u16'], ['Name', 'string'], ['Type', 'blob']]],
+  0x18: ['MethodSemantics',        [['Semantics', 'u16'], ['Method', 0x06], ['Association', 'HasSemantics']]],
+  0x19: ['MethodImpl',             [['Class', 0x02], ['MethodBody', 'MethodDefOrRef'], ['MethodDeclaration', 'MethodDefOrRef']]],
+  0x1A: ['ModuleRef',              [['Name', 'string']]],
+  0x1B: ['TypeSpec',               [['Signature', 'blob']]],
+  0x1C: ['ImplMap',                [['MappingFlags', 'u16'], ['MemberForwarded', 'MemberForwarded'], ['ImportName', 'string'], ['ImportScope', 0x1A]]],
+  0x1D: ['FieldRVA',               [['RVA', 'u32'], ['Field', 0x04]]],
+  0x1E: ['EncLog',                 [['Token', 'u32'], ['FuncCode', 'u32']]],
+  0x1F: ['EncMap',                 [['Token', 'u32']]],
+  0x20: ['Assembly',               [['HashAlgId', 'u32'], ['MajorVersion', 'u16'], ['MinorVersion', 'u16'], ['BuildNumber', 'u16'], ['RevisionNumber', 'u16'], ['Flags', 'u32'], ['PublicKey', 'blob'], ['Name', 'string'], ['Culture', 'string']]],
+  0x21: ['AssemblyProcessor',      [['Processor', 'u32']]],
+  0x22: ['AssemblyOS',             [['OSPlatformID', 'u32'], ['OSMajorVersion', 'u32'], ['OSMinorVersion', 'u32']]],
+  0x23: ['AssemblyRef',            [['MajorVersion', 'u16'], ['MinorVersion', 'u16'], ['BuildNumber', 'u16'], ['RevisionNumber', 'u16'], ['Flags', 'u32'], ['PublicKeyOrToken', 'blob'], ['Name', 'string'], ['Culture', 'string'], ['HashValue', 'blob']]],
+  0x24: ['AssemblyRefProcessor',   [['Processor', 'u32'], ['AssemblyRef', 0x23]]],
+  0x25: ['AssemblyRefOS',          [['OSPlatformID', 'u32'], ['OSMajorVersion', 'u32'], ['OSMinorVersion', 'u32'], ['AssemblyRef', 0x23]]],
+  0x26: ['File',                   [['Flags', 'u32'], ['Name', 'string'], ['HashValue', 'blob']]],
+  0x27: ['ExportedType',           [['Flags', 'u32'], ['TypeDefId', 'u32'], ['TypeName', 'string'], ['TypeNamespace', 'string'], ['Implementation', 'Implementation']]],
+  0x28: ['ManifestResource',       [['Offset', 'u32'], ['Flags', 'u32'], ['Name', 'string'], ['Implementation', 'Implementation']]],
+  0x29: ['NestedClass',            [['NestedClass', 0x02], ['EnclosingClass', 0x02]]],
+  0x2A: ['GenericParam',           [['Number', 'u16'], ['Flags', 'u16'], ['Owner', 'TypeOrMethodDef'], ['Name', 'string']]],
+  0x2B: ['MethodSpec',             [['Method', 'MethodDefOrRef'], ['Instantiation', 'blob']]],
+  0x2C: ['GenericParamConstraint', [['Owner', 0x2A], ['Constraint', 'TypeDefOrRef']]],
+};
+
+const CLI_METADATA_SIGNATURE = 0x424A5342;  // "BSJB"
+const PE_CLI_HEADER_DIRECTORY = 14;
+
+function read_compressed_uint(buffer, offset) {
+  // returns: {value, size} of an unsigned integer that is compressed into 1, 2 or 4 bytes
+  const first = buffer[offset];
+
+  if ((first & 0x80) === 0) {
+    return { value: first, size: 1 };
+  }
+  if ((first & 0xC0) === 0x80) {
+    return { value: ((first & 0x3F) << 8) | buffer[offset + 1], size: 2 };
+  }
+  return { value: (((first & 0x1F) << 24) | (buffer[offset + 1] << 16) | (buffer[offset + 2] << 8) | buffer[offset + 3]) >>> 0, size: 4 };
+}
+
+function pe_rva_to_offset(sections, rva) {
+  for (const section of sections) {
+    if ((rva >= section.virtual_address) && (rva < (section.virtual_address + Math.max(section.virtual_size, section.raw_size)))) {
+      return section.raw_offset + (rva - section.virtual_address);
+    }
+  }
+  throw new Error(`RVA 0x${rva.toString(16)} is not in any section`);
+}
+
+function parse_cli_metadata(data) {
+  // data: Buffer with a PE file (a DLL)
+  // returns: {cli_flags, machine, runtime_version, ready_to_run, tables: {<name>: [rows]}}
+  //   throws: when the file is not a .NET assembly, or its metadata is malformed
+
+  if ((data.length < 0x40) || (data.readUInt16LE(0) !== 0x5A4D)) {
+    throw new Error('Not a PE file');
+  }
+
+  const pe_offset = data.readUInt32LE(0x3C);
+  if (((pe_offset + 24) > data.length) || (data.readUInt32LE(pe_offset) !== 0x00004550)) {
+    throw new Error('Missing PE signature');
+  }
+
+  // COFF header, then the optional header
+  const machine = data.readUInt16LE(pe_offset + 4);
+  const section_count = data.readUInt16LE(pe_offset + 6);
+  const optional_header_size = data.readUInt16LE(pe_offset + 20);
+  const optional_header_offset = pe_offset + 24;
+
+  const is_pe32_plus = (data.readUInt16LE(optional_header_offset) === 0x20B);
+  const directories_offset = optional_header_offset + (is_pe32_plus ? 112 : 96);
+  const cli_directory_offset = directories_offset + (PE_CLI_HEADER_DIRECTORY * 8);
+
+  if ((cli_directory_offset + 8) > (optional_header_offset + optional_header_size)) {
+    throw new Error('Missing CLI header');
+  }
+
+  const sections = [];
+  for (let i = 0, offset = optional_header_offset + optional_header_size; i < section_count; i++, offset += 40) {
+    sections.push({
+      virtual_size: data.readUInt32LE(offset + 8),
+      virtual_address: data.readUInt32LE(offset + 12),
+      raw_size: data.readUInt32LE(offset + 16),
+      raw_offset: data.readUInt32LE(offset + 20),
+    });
+  }
+
+  const cli_header_rva = data.readUInt32LE(cli_directory_offset);
+  if (!cli_header_rva) {
+    throw new Error('Not a .NET assembly');
+  }
+
+  // CLI header: cb, runtime version, metadata directory, flags, ..., managed native header directory
+  const cli_header_offset = pe_rva_to_offset(sections, cli_header_rva);
+  const metadata_offset = pe_rva_to_offset(sections, data.readUInt32LE(cli_header_offset + 8));
+  const cli_flags = data.readUInt32LE(cli_header_offset + 16);
+
+  // ReadyToRun images hold precompiled native code next to the IL, and point at their own header
+  const ready_to_run = ((cli_flags & 0x4) !== 0) || (data.readUInt32LE(cli_header_offset + 64) !== 0);
+
+  // metadata root
+  if (data.readUInt32LE(metadata_offset) !== CLI_METADATA_SIGNATURE) {
+    throw new Error('Invalid metadata signature');
+  }
+
+  const version_length = data.readUInt32LE(metadata_offset + 12);
+  const runtime_version = data.toString('utf8', metadata_offset + 16, metadata_offset + 16 + version_length).replace(/\0.*$/, '');
+
+  let offset = metadata_offset + 16 + version_length;
+  const stream_count = data.readUInt16LE(offset + 2);
+  offset += 4;
+
+  const streams = {};
+  for (let i = 0; i < stream_count; i++) {
+    const stream_offset = data.readUInt32LE(offset);
+    const stream_size = data.readUInt32LE(offset + 4);
+    const name_end = data.indexOf(0, offset + 8);
+    const name = data.toString('ascii', offset + 8, name_end);
+
+    streams[name] = data.subarray(metadata_offset + stream_offset, metadata_offset + stream_offset + stream_size);
+
+    // stream names are null-terminated, and padded to a 4-byte boundary
+    offset = (name_end + 4) & ~3;
+  }
+
+  const tables_stream = streams['#~'] || streams['#-'];
+  if (!tables_stream) {
+    throw new Error('Missing metadata tables stream');
+  }
+
+  const strings_heap = streams['#Strings'] || Buffer.alloc(0);
+  const blob_heap = streams['#Blob'] || Buffer.alloc(0);
+  const guid_heap = streams['#GUID'] || Buffer.alloc(0);
+
+  // tables stream header: reserved, major, minor, heap sizes, reserved, valid (64-bit), sorted (64-bit), row counts
+  const heap_sizes = tables_stream.readUInt8(6);
+  const valid = readUInt64LE(tables_stream, 8);
+
+  offset = 24;
+  const row_counts = {};
+  for (let table_id = 0; table_id < 64; table_id++) {
+    if ((valid >> BigInt(table_id)) & 1n) {
+      row_counts[table_id] = tables_stream.readUInt32LE(offset);
+      offset += 4;
+    }
+  }
+
+  // uncompressed (#-) streams may hold an extra 4 bytes of data
+  if (heap_sizes & 0x40) {
+    offset += 4;
+  }
+
+  const index_size = (table_id) => ((row_counts[table_id] || 0) < 0x10000) ? 2 : 4;
+
+  const coded_index_size = (coded_index) => {
+    const tables = CLI_CODED_INDEX[coded_index];
+    const tag_bits = Math.ceil(Math.log2(tables.length));
+    const max_rows = Math.max(...tables.map(table_id => (table_id === null) ? 0 : (row_counts[table_id] || 0)));
+
+    return (max_rows < (1 << (16 - tag_bits))) ? 2 : 4;
+  };
+
+  const column_size = (type) => {
+    switch (type) {
+      case 'u8':     return 1;
+      case 'u16':    return 2;
+      case 'u32':    return 4;
+      case 'string': return (heap_sizes & 0x01) ? 4 : 2;
+      case 'guid':   return (heap_sizes & 0x02) ? 4 : 2;
+      case 'blob':   return (heap_sizes & 0x04) ? 4 : 2;
+      default:       return (typeof type === 'number') ? index_size(type) : coded_index_size(type);
+    }
+  };
+
+  const read_index = (buffer, position, size) => (size === 2) ? buffer.readUInt16LE(position) : buffer.readUInt32LE(position);
+
+  const read_string = (index) => {
+    const end = strings_heap.indexOf(0, index);
+    return strings_heap.toString('utf8', index, (end === -1) ? strings_heap.length : end);
+  };
+
+  const read_blob = (index) => {
+    // blobs are prefixed with a compressed length
+    if (index >= blob_heap.length) return Buffer.alloc(0);
+
+    const { value: length, size } = read_compressed_uint(blob_heap, index);
+    return blob_heap.subarray(index + size, index + size + length);
+  };
+
+  const read_guid = (index) => index ? guid_heap.subarray((index - 1) * 16, index * 16) : null;
+
+  const tables = {};
+
+  for (let table_id = 0; table_id < 64; table_id++) {
+    const row_count = row_counts[table_id];
+    if (!row_count) continue;
+
+    if (!CLI_METADATA_TABLES[table_id]) {
+      // the size of an unknown table cannot be computed, so none of the tables after it can be read
+      debug(`Unknown metadata table: 0x${table_id.toString(16)}`);
+      break;
+    }
+
+    const [table_name, columns] = CLI_METADATA_TABLES[table_id];
+    const sizes = columns.map(([, type]) => column_size(type));
+    const row_size = sizes.reduce((sum, size) => sum + size, 0);
+
+    if ((offset + (row_count * row_size)) > tables_stream.length) {
+      throw new Error(`Metadata table '${table_name}' is truncated`);
+    }
+
+    const rows = [];
+    for (let i = 0; i < row_count; i++, offset += row_size) {
+      const row = {};
+      let position = offset;
+
+      columns.forEach(([column_name, type], column_idx) => {
+        const size = sizes[column_idx];
+        const value = (type === 'u8') ? tables_stream.readUInt8(position) : read_index(tables_stream, position, size);
+
+        switch (type) {
+          case 'string': row[column_name] = read_string(value); break;
+          case 'blob':   row[column_name] = read_blob(value); break;
+          case 'guid':   row[column_name] = read_guid(value); break;
+          default:       row[column_name] = value;
+        }
+
+        position += size;
+      });
+
+      rows.push(row);
+    }
+
+    tables[table_name] = rows;
+  }
+
+  return { cli_flags, machine, runtime_version, ready_to_run, tables };
+}
+
+function get_public_key_token(public_key) {
+  // the last 8 bytes of the SHA-1 hash of a public key, in reverse order
+  if (!public_key || !public_key.length) {
+    return null;
+  }
+  return Buffer.from(crypto.createHash('sha1').update(public_key).digest().subarray(-8)).reverse().toString('hex');
+}
+
+function read_custom_attribute_string(value) {
+  // returns: the first (string) constructor argument of a custom attribute, or null
+  //   value: prolog (0x0001), then a SerString (0xFF: null, otherwise a compressed length and UTF-8 bytes)
+
+  if ((value.length < 3) || (value.readUInt16LE(0) !== 0x0001) || (value[2] === 0xFF)) {
+    return null;
+  }
+
+  const { value: length, size } = read_compressed_uint(value, 2);
+  return value.toString('utf8', 2 + size, 2 + size + length);
+}
+
+function inspect_assembly(data) {
+  // data: Buffer with a (decompressed) DLL
+  // returns: {name, version, culture, public_key_token, target_framework, reference_assembly, ready_to_run, mixed_mode, references: [{name, version, culture, public_key_token}]}
+  //   throws: when the DLL is not a .NET assembly, or its metadata is malformed
+
+  const { cli_flags, ready_to_run, tables } = parse_cli_metadata(data);
+
+  const assembly = (tables.Assembly || [])[0];
+  if (!assembly) {
+    throw new Error('Missing Assembly table (not an assembly manifest module)');
+  }
+
+  const format_version = (row) => `${row.MajorVersion}.${row.MinorVersion}.${row.BuildNumber}.${row.RevisionNumber}`;
+
+  // the full name of the type that declares the constructor of a custom attribute
+  const get_type_name = (type_row) => type_row ? [type_row.TypeNamespace, type_row.TypeName].filter(name => !!name).join('.') : null;
+
+  const get_attribute_type_name = (attribute) => {
+    const tag = attribute.Type & 0x7;
+    const index = attribute.Type >>> 3;
+
+    if (tag === 3) {
+      // MemberRef => TypeRef or TypeDef
+      const member_ref = (tables.MemberRef || [])[index - 1];
+      if (!member_ref) return null;
+
+      const parent_tag = member_ref.Class & 0x7;
+      const parent_index = member_ref.Class >>> 3;
+
+      if (parent_tag === 0) return get_type_name((tables.TypeDef || [])[parent_index - 1]);
+      if (parent_tag === 1) return get_type_name((tables.TypeRef || [])[parent_index - 1]);
+      return null;
+    }
+
+    if (tag === 2) {
+      // MethodDef => the TypeDef whose method list holds it
+      const owner = (tables.TypeDef || []).filter(type_def => type_def.MethodList <= index).pop();
+      return get_type_name(owner);
+    }
+
+    return null;
+  };
+
+  // HasCustomAttribute: tag 14 (Assembly), row 1
+  const assembly_attributes = (tables.CustomAttribute || [])
+    .filter(attribute => attribute.Parent === ((1 << 5) | 14))
+    .map(attribute => ({ type_name: get_attribute_type_name(attribute), value: attribute.Value }));
+
+  const target_framework_attribute = assembly_attributes.find(attribute => attribute.type_name === 'System.Runtime.Versioning.TargetFrameworkAttribute');
+
+  return {
+    name: assembly.Name,
+    version: format_version(assembly),
+    culture: assembly.Culture || 'neutral',
+    public_key_token: get_public_key_token(assembly.PublicKey),
+    target_framework: target_framework_attribute ? read_custom_attribute_string(target_framework_attribute.value) : null,
+    reference_assembly: assembly_attributes.some(attribute => attribute.type_name === 'System.Runtime.CompilerServices.ReferenceAssemblyAttribute'),
+    ready_to_run,
+    // COMIMAGE_FLAGS_ILONLY is also cleared in ReadyToRun images, which are not mixed-mode (C++/CLI)
+    mixed_mode: ((cli_flags & 0x1) === 0) && !ready_to_run,
+    references: (tables.AssemblyRef || []).map(assembly_ref => ({
+      name: assembly_ref.Name,
+      version: format_version(assembly_ref),
+      culture: assembly_ref.Culture || 'neutral',
+      // flag 0x0001: the blob holds a full public key, instead of its token
+      public_key_token: (assembly_ref.Flags & 0x0001)
+        ? get_public_key_token(assembly_ref.PublicKeyOrToken)
+        : (assembly_ref.PublicKeyOrToken.length ? assembly_ref.PublicKeyOrToken.toString('hex') : null),
+    })),
+  };
+}
+
+function read_cli_assembly_name(data) {
+  // returns: the name in the Assembly table of a DLL, or null
+  try {
+    const { tables } = parse_cli_metadata(data);
+    return (tables.Assembly && tables.Assembly.length) ? tables.Assembly[0].Name : null;
+  } catch(e) {
+    debug(`Unable to read CLI metadata: ${e.message}`);
+    return null;
+  }
+}
+
 /** Classes **/
 
 class ManifestEntry {
@@ -79,6 +695,10 @@ class ManifestEntry {
     this.blob_id = Number(blob_id);
     this.blob_idx = Number(blob_idx);
     this.name = name;
+
+    // set when the name was not in 'assemblies.manifest', and was recovered by a lenient unpack (or is marked as recovered in the manifest)
+    this.name_source = null;
+    this.hash_mismatch = false;
   }
 }
 
@@ -93,6 +713,192 @@ class ManifestList extends Array {
   }
 }
 
+class StoreFile {
+  // a file that is read on demand, either from disk or from an in-memory source (ex: an APK)
+  constructor(file_path, reader = null) {
+    this.file_path = file_path;
+    this.file_name = path.basename(file_path);
+    this.reader = reader;
+    this.raw = null;
+    this.fd = null;
+    this.size = null;
+  }
+
+  read() {
+    if (!this.raw) {
+      this.raw = this.reader ? this.reader() : fs.readFileSync(this.file_path);
+    }
+    return this.raw;
+  }
+
+  read_at(offset, length) {
+    // files on disk are read with positioned reads, and are never loaded into memory as a whole
+    if (this.reader || this.raw) {
+      return this.read().subarray(offset, offset + length);
+    }
+
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.file_path, 'r');
+    }
+
+    const buffer = Buffer.alloc(Math.max(0, Math.min(length, this.get_size() - offset)));
+    const bytes_read = (buffer.length > 0) ? fs.readSync(this.fd, buffer, 0, buffer.length, offset) : 0;
+
+    return buffer.subarray(0, bytes_read);
+  }
+
+  get_size() {
+    if (this.reader || this.raw) {
+      return this.read().length;
+    }
+    if (this.size === null) {
+      this.size = fs.statSync(this.file_path).size;
+    }
+    return this.size;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+class ZipEntry {
+  constructor(zip_raw, name, method, compressed_size, uncompressed_size, local_header_offset, central_header) {
+    this.zip_raw = zip_raw;
+    this.name = name;
+    this.method = method;
+    this.compressed_size = compressed_size;
+    this.uncompressed_size = uncompressed_size;
+    this.local_header_offset = local_header_offset;
+    this.central_header = central_header;
+  }
+
+  read() {
+    const data = this.read_raw();
+
+    switch (this.method) {
+      case ZIP_METHOD_STORED:
+        return data;
+      case ZIP_METHOD_DEFLATED:
+        try {
+          return zlib.inflateRawSync(data);
+        } catch(e) {
+          // offset: of the local file header, within the ZIP that holds the entry
+          throw new AssemblyStoreParseError(`Unable to inflate ZIP entry: ${e.message}`, this.name, 'zip', null, this.local_header_offset);
+        }
+      default:
+        throw new Error(`Unsupported ZIP compression method ${this.method} for '${this.name}'`);
+    }
+  }
+
+  read_raw() {
+    // Local file header
+    // 0-3:   Signature
+    // 26-27: FileNameLength
+    // 28-29: ExtraFieldLength
+    // 30-:   FileName, ExtraField, Data
+
+    const offset = this.local_header_offset;
+    if (this.zip_raw.readUInt32LE(offset) !== ZIP_LOCAL_FILE_HEADER_SIGNATURE) {
+      throw new Error(`Invalid ZIP local file header for '${this.name}'`);
+    }
+
+    const data_offset = offset + 30 + this.zip_raw.readUInt16LE(offset + 26) + this.zip_raw.readUInt16LE(offset + 28);
+    return this.zip_raw.subarray(data_offset, data_offset + this.compressed_size);
+  }
+}
+
+class LZ4WorkerPool {
+  // runs LZ4 compression/decompression on worker threads. with 1 job, runs on the main thread instead.
+  constructor(jobs = DEFAULT_LZ4_JOBS) {
+    this.jobs = Math.max(1, Math.floor(jobs) || 1);
+    this.workers = [];
+    this.idle_workers = [];
+    this.queue = [];
+  }
+
+  compress(data, desc_idx) {
+    return this.run({ op: 'compress', data, desc_idx });
+  }
+
+  decompress(data) {
+    return this.run({ op: 'decompress', data });
+  }
+
+  run(task) {
+    if (this.jobs <= 1) {
+      return run_lz4_task(task);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.queue.length) {
+      let worker = this.idle_workers.pop();
+
+      if (!worker && (this.workers.length < this.jobs)) {
+        worker = this.start_worker();
+      }
+      if (!worker) return;
+
+      worker.job = this.queue.shift();
+      worker.ref();
+      worker.postMessage(worker.job.task);
+    }
+  }
+
+  start_worker() {
+    const { Worker } = require('worker_threads');
+    const worker = new Worker(__filename, { workerData: { lz4_worker: true } });
+
+    worker.on('message', ({ data, error }) => {
+      const job = worker.job;
+
+      // an idle worker does not keep the process alive
+      worker.job = null;
+      worker.unref();
+      this.idle_workers.push(worker);
+
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+      }
+
+      this.dispatch();
+    });
+
+    worker.on('error', (error) => {
+      // a worker that crashed is not reused
+      this.workers = this.workers.filter(other => other !== worker);
+
+      if (worker.job) {
+        worker.job.reject(error);
+        worker.job = null;
+      }
+
+      this.dispatch();
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  async close() {
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+
+    this.workers = [];
+    this.idle_workers = [];
+  }
+}
+
 class AssemblyStoreAssembly {
   constructor() {
     this.data_offset = 0;
@@ -113,12 +919,71 @@ class AssemblyStoreHashEntry {
   }
 }
 
+class AssemblyStoreIndexEntry {
+  constructor() {
+    this.hash_val = '';
+    this.descriptor_index = 0;
+    this.ignore = false;
+  }
+}
+
+class AssemblyStoreParseError extends Error {
+  // a corrupt or truncated store.
+  // section: 'zip' (a deflated APK entry), 'elf', 'header', 'toc', 'hash32', 'hash64', 'index' (format version 2), 'names' (format version 2) or 'data'
+  constructor(message, file_name, section, index = null, offset = null) {
+    const location = [
+      section,
+      (index !== null) ? `entry ${index}` : null,
+      (offset !== null) ? `at offset ${offset} (0x${offset.toString(16)})` : null,
+    ].filter(Boolean).join(' ');
+
+    super(`${file_name}: ${location}: ${message}`);
+
+    this.name = 'AssemblyStoreParseError';
+    this.file_name = file_name;
+    this.section = section;
+    this.index = index;
+    this.offset = offset;
+  }
+}
+
+class AssemblyStoreError extends Error {
+  // a command that cannot run: a missing input, an existing output, or an invalid 'assemblies.json'.
+  // exit_code: the exit code of the CLI. details: lines that the CLI prints after the message
+  constructor(message, exit_code, details = []) {
+    super(message);
+
+    this.name = 'AssemblyStoreError';
+    this.exit_code = exit_code;
+    this.details = details;
+  }
+}
+
 class AssemblyStore {
-  constructor(in_file_name, manifest_entries, primary = true) {
+  constructor(in_file, manifest_entries, primary = true) {
+    const store_file = (in_file instanceof StoreFile) ? in_file : new StoreFile(in_file);
+
     this.manifest_entries = manifest_entries;
-    this.file_name = path.basename(in_file_name);
+    this.file_name = store_file.file_name;
 
-    this.raw = fs.readFileSync(in_file_name);
+    // the store is read on demand: only its metadata is kept in memory
+    this.store_file = store_file;
+    this.base_offset = 0;
+    this.size = store_file.get_size();
+    this.is_elf = false;
+
+    if (this.read(0, 4).equals(ELF_MAGIC)) {
+      debug(`Unwrapping ELF payload: ${this.file_name}`);
+
+      // the payload section is bounds-checked against the file size
+      const payload = find_elf_payload(store_file);
+
+      this.base_offset = payload.offset;
+      this.size = payload.size;
+      this.is_elf = true;
+    }
+
+    const header = this.read_section(0, 20, 'header');
 
     // Parse header
     // 0-3:   Magic
@@ -127,22 +992,39 @@ class AssemblyStore {
     // 12-15: GlobalEntryCount
     // 16-19: StoreID
 
-    const magic = this.raw.subarray(0, 4);
+    const magic = header.subarray(0, 4);
     if (!magic.equals(ASSEMBLY_STORE_MAGIC)) {
-      throw new Error(`Invalid Magic: ${magic.toString('utf8')}`);
+      throw new AssemblyStoreParseError(`Invalid Magic: ${magic.toString('utf8')}`, this.file_name, 'header', null, 0);
     }
 
-    const version = this.raw.readUInt32LE(4);
-    if (version > ASSEMBLY_STORE_FORMAT_VERSION) {
-      throw new Error(
-        `This version is higher than expected! Max = ${ASSEMBLY_STORE_FORMAT_VERSION}, got ${version}`
+    const version = header.readUInt32LE(4);
+    const format_version = version & ASSEMBLY_STORE_FORMAT_VERSION_MASK;
+    if (format_version > ASSEMBLY_STORE_FORMAT_VERSION_MAX) {
+      throw new AssemblyStoreParseError(
+        `This version is higher than expected! Max = ${ASSEMBLY_STORE_FORMAT_VERSION_MAX}, got ${format_version}`,
+        this.file_name, 'header', null, 4
       );
     }
     this.hdr_version = version;
+    this.format_version = format_version;
+
+    if (format_version >= ASSEMBLY_STORE_FORMAT_VERSION_2) {
+      this.parse_v2(header);
+      return;
+    }
 
-    this.hdr_lec = this.raw.readUInt32LE(8);
-    this.hdr_gec = this.raw.readUInt32LE(12);
-    this.hdr_store_id = this.raw.readUInt32LE(16);
+    this.hdr_lec = header.readUInt32LE(8);
+    this.hdr_gec = header.readUInt32LE(12);
+    this.hdr_store_id = header.readUInt32LE(16);
+
+    // header, TOC and (primary store only) hash tables
+    this.check_table('toc', 20, this.hdr_lec, 24);
+    if (primary) {
+      this.check_table('hash32', 20 + (this.hdr_lec * 24), this.hdr_gec, 20);
+      this.check_table('hash64', 20 + (this.hdr_lec * 24) + (this.hdr_gec * 20), this.hdr_gec, 20);
+    }
+
+    const metadata = this.read(0, 20 + (this.hdr_lec * 24) + (primary ? (this.hdr_gec * 40) : 0));
 
     debug(`Local entry count: ${this.hdr_lec}`);
     debug(`Global entry count: ${this.hdr_gec}`);
@@ -154,7 +1036,7 @@ class AssemblyStore {
     let offset = 20;
     for (let i = 0; i < this.hdr_lec; i++) {
       debug(`Extracting Assembly: ${offset} (0x${offset.toString(16)})`);
-      const entry = this.raw.subarray(offset, offset + 24);
+      const entry = metadata.subarray(offset, offset + 24);
 
       const assembly = new AssemblyStoreAssembly();
 
@@ -186,8 +1068,8 @@ class AssemblyStore {
     debug(`Hash32 start at: ${offset} (0x${offset.toString(16)})`);
     this.global_hash32 = [];
 
-    for (let i = 0; i < this.hdr_lec; i++) {
-      const entry = this.raw.subarray(offset, offset + 20);
+    for (let i = 0; i < this.hdr_gec; i++) {
+      const entry = metadata.subarray(offset, offset + 20);
       const hash_entry = new AssemblyStoreHashEntry();
 
       // hash_val is 4 bytes little endian hex string
@@ -212,8 +1094,8 @@ class AssemblyStore {
     debug(`Hash64 start at: ${offset} (0x${offset.toString(16)})`);
     this.global_hash64 = [];
 
-    for (let i = 0; i < this.hdr_lec; i++) {
-      const entry = this.raw.subarray(offset, offset + 20);
+    for (let i = 0; i < this.hdr_gec; i++) {
+      const entry = metadata.subarray(offset, offset + 20);
       const hash_entry = new AssemblyStoreHashEntry();
 
       // 8 bytes little endian for hash64
@@ -237,73 +1119,419 @@ class AssemblyStore {
     }
   }
 
-  async extract_all(json_config, outpath = 'out') {
-    // Initialize store JSON
-    const store_json = {};
-    store_json[this.file_name] = {
-      store_idx: json_config.stores.length
-    };
-
-    store_json[this.file_name]['header'] = {
-      version: this.hdr_version,
-      lec: this.hdr_lec,
-      gec: this.hdr_gec,
-      store_id: this.hdr_store_id,
-    };
+  parse_v2(header) {
+    // Parse header (v2)
+    // 0-3:   Magic
+    // 4-7:   Version (bit 31 = 64-bit ABI, bits 16-23 = ABI)
+    // 8-11:  EntryCount
+    // 12-15: IndexEntryCount
+    // 16-19: IndexSize (bytes)
+    //
+    // v2 stores are self-contained: one store per ABI, and assembly names are embedded in the store.
+
+    this.is_64bit = (this.hdr_version & ASSEMBLY_STORE_64BIT_FLAG) !== 0;
+    this.abi = ASSEMBLY_STORE_ABI_MAP[this.hdr_version & ASSEMBLY_STORE_ABI_MASK] || null;
+
+    this.hdr_lec = header.readUInt32LE(8);
+    this.hdr_gec = this.hdr_lec;
+    this.hdr_store_id = 0;
+    this.hdr_index_entry_count = header.readUInt32LE(12);
+    this.hdr_index_size = header.readUInt32LE(16);
+
+    debug(`ABI: ${this.abi} (${this.is_64bit ? '64' : '32'}-bit)`);
+    debug(`Entry count: ${this.hdr_lec}`);
+    debug(`Index entry count: ${this.hdr_index_entry_count}`);
+    debug(`Index size: ${this.hdr_index_size}`);
+
+    // hash (4 or 8 bytes, depending on ABI bitness) + descriptor index (4 bytes)
+    // format version 3 appends a 1-byte "ignore" flag, so the entry size is derived from the header
+    const hash_size = this.is_64bit ? 8 : 4;
+    const index_entry_size = (this.hdr_index_entry_count > 0) ? (this.hdr_index_size / this.hdr_index_entry_count) : 0;
+
+    if ((this.hdr_index_entry_count > 0) && (!Number.isInteger(index_entry_size) || (index_entry_size < (hash_size + 4)))) {
+      throw new AssemblyStoreParseError(`Index size ${this.hdr_index_size} does not hold ${this.hdr_index_entry_count} entries`, this.file_name, 'header', null, 12);
+    }
 
-    for (let i = 0; i < this.assemblies_list.length; i++) {
-      const assembly = this.assemblies_list[i];
-      const assembly_dict = {
-        store_idx: store_json[this.file_name].store_idx
-      };
+    // header, index and descriptors. names are read after the descriptors locate the assembly data.
+    this.check_table('index', 20, this.hdr_index_entry_count, index_entry_size);
+    this.check_table('toc', 20 + this.hdr_index_size, this.hdr_lec, 28);
 
-      assembly_dict.lz4 = false;
+    let metadata = this.read(0, 20 + this.hdr_index_size + (this.hdr_lec * 28));
 
-      let assembly_data = null;
+    // Parse index
+    let offset = 20;
+    debug(`Index start at: ${offset} (0x${offset.toString(16)})`);
+    this.index_list = [];
 
-      const entry = this.manifest_entries.get_idx(this.hdr_store_id, i);
+    for (let i = 0; i < this.hdr_index_entry_count; i++) {
+      const index_entry = new AssemblyStoreIndexEntry();
 
-      if (!entry) {
-        throw new Error(`Manifest entry not found for store_id ${this.hdr_store_id} index ${i}`);
+      if (this.is_64bit) {
+        const hash64BigInt = (BigInt(metadata.readUInt32LE(offset + 4)) << 32n) | BigInt(metadata.readUInt32LE(offset));
+        index_entry.hash_val = `0x${hash64BigInt.toString(16).padStart(16, '0')}`;
+      } else {
+        index_entry.hash_val = `0x${metadata.readUInt32LE(offset).toString(16).padStart(8, '0')}`;
       }
 
-      assembly_dict.name = entry.name;
-      assembly_dict.store_id = entry.blob_id;
-      assembly_dict.blob_idx = entry.blob_idx;
-      assembly_dict.hash32 = entry.hash32;
-      assembly_dict.hash64 = entry.hash64;
+      index_entry.descriptor_index = metadata.readUInt32LE(offset + hash_size);
 
-      const out_file = path.join(outpath, `${entry.name}.dll`);
-      assembly_dict.file = out_file;
+      if (index_entry_size > (hash_size + 4)) {
+        index_entry.ignore = metadata.readUInt8(offset + hash_size + 4) !== 0;
+      }
 
-      const assembly_header = this.raw.subarray(assembly.data_offset, assembly.data_offset + 4);
+      this.index_list.push(index_entry);
+      offset += index_entry_size;
+    }
 
-      if (assembly_header.equals(COMPRESSED_DATA_MAGIC)) {
-        assembly_data = await AssemblyStore.decompress_lz4(
-          this.raw.subarray(assembly.data_offset, assembly.data_offset + assembly.data_size)
-        );
-        assembly_dict.lz4 = true;
-        assembly_dict.lz4_desc_idx = this.raw.readUInt32LE(assembly.data_offset + 4);
-      } else {
-        assembly_data = this.raw.subarray(assembly.data_offset, assembly.data_offset + assembly.data_size);
-      }
+    // Parse descriptors
+    // 0-3:   MappingIndex
+    // 4-27:  same 6 fields as a v1 TOC entry
+    offset = 20 + this.hdr_index_size;
+    debug(`Descriptors start at: ${offset} (0x${offset.toString(16)})`);
+    this.assemblies_list = [];
 
-      console.log(`Extracting ${entry.name}...`);
+    for (let i = 0; i < this.hdr_lec; i++) {
+      const entry = metadata.subarray(offset, offset + 28);
 
-      const dirName = path.dirname(out_file);
-      if (!fs.existsSync(dirName)) {
-        fs.mkdirSync(dirName, { recursive: true });
-      }
+      const assembly = new AssemblyStoreAssembly();
 
-      fs.writeFileSync(out_file, assembly_data);
+      assembly.mapping_index = entry.readUInt32LE(0);
+      assembly.data_offset = entry.readUInt32LE(4);
+      assembly.data_size = entry.readUInt32LE(8);
+      assembly.debug_data_offset = entry.readUInt32LE(12);
+      assembly.debug_data_size = entry.readUInt32LE(16);
+      assembly.config_data_offset = entry.readUInt32LE(20);
+      assembly.config_data_size = entry.readUInt32LE(24);
 
-      json_config.assemblies.push(assembly_dict);
+      this.assemblies_list.push(assembly);
+
+      debug(`  Mapping Index: ${assembly.mapping_index}`);
+      debug(`  Data Offset: ${assembly.data_offset} (0x${assembly.data_offset.toString(16)})`);
+      debug(`  Data Size: ${assembly.data_size} (0x${assembly.data_size.toString(16)})`);
+
+      offset += 28;
+    }
+
+    // Parse names
+    // length-prefixed (4 bytes) UTF-8 strings, in descriptor order
+    debug(`Names start at: ${offset} (0x${offset.toString(16)})`);
+    this.assembly_names = [];
+
+    // the names end where the assembly data begins
+    const names_end = this.assemblies_list
+      .map(assembly => assembly.data_offset)
+      .filter(data_offset => data_offset >= offset)
+      .reduce((min, data_offset) => Math.min(min, data_offset), this.size);
+
+    metadata = Buffer.concat([metadata, this.read(metadata.length, names_end - metadata.length)]);
+
+    for (let i = 0; i < this.hdr_lec; i++) {
+      if (((offset + 4) > metadata.length) || ((offset + 4 + metadata.readUInt32LE(offset)) > metadata.length)) {
+        throw new AssemblyStoreParseError('Name runs past the start of the assembly data', this.file_name, 'names', i, offset);
+      }
+
+      const name_length = metadata.readUInt32LE(offset);
+      const name = metadata.toString('utf8', offset + 4, offset + 4 + name_length);
+
+      debug(`  Name: ${name}`);
+
+      this.assembly_names.push(name);
+      offset += 4 + name_length;
+    }
+  }
+
+  read(offset, length) {
+    // positioned read, relative to the start of the store (or ELF payload)
+    const end = Math.min(offset + length, this.size);
+
+    if (offset >= end) {
+      return Buffer.alloc(0);
+    }
+    return this.store_file.read_at(this.base_offset + offset, end - offset);
+  }
+
+  read_section(offset, length, section, index = null) {
+    // bounds-checked read: the whole range must be within the store
+    if ((offset + length) > this.size) {
+      throw new AssemblyStoreParseError(`${length} bytes run past the end of the store (${this.size} bytes)`, this.file_name, section, index, offset);
+    }
+    return this.read(offset, length);
+  }
+
+  check_table(section, offset, count, entry_size) {
+    // throws at the first entry of a table that runs past the end of the store
+    if ((offset + (count * entry_size)) > this.size) {
+      const index = Math.max(0, Math.floor((this.size - offset) / entry_size));
+      throw new AssemblyStoreParseError(
+        `Table of ${count} entries (${entry_size} bytes each) runs past the end of the store (${this.size} bytes)`,
+        this.file_name, section, index, offset + (index * entry_size)
+      );
+    }
+  }
+
+  read_entry_data(i, kind = 'data', max_length = Infinity) {
+    // bounds-checked read of the data of an assembly, or its 'debug' or 'config' data
+    const assembly = this.assemblies_list[i];
+    const field = (kind === 'data') ? 'data' : `${kind}_data`;
+    const offset = assembly[`${field}_offset`];
+    const size = assembly[`${field}_size`];
+
+    if ((offset + size) > this.size) {
+      throw new AssemblyStoreParseError(`${kind} of ${size} bytes runs past the end of the store (${this.size} bytes)`, this.file_name, 'data', i, offset);
+    }
+
+    const data = this.read(offset, Math.min(size, max_length));
+
+    if ((kind === 'data') && data.subarray(0, 4).equals(COMPRESSED_DATA_MAGIC) && (size < 12)) {
+      throw new AssemblyStoreParseError(`LZ4 header is truncated (${size} bytes)`, this.file_name, 'data', i, offset);
+    }
+    return data;
+  }
+
+  async decompress_entry_data(i, stored_data, pool = null) {
+    try {
+      return await (pool ? pool.decompress(stored_data) : AssemblyStore.decompress_lz4(stored_data));
+    } catch(e) {
+      throw new AssemblyStoreParseError(`Unable to decompress LZ4 data: ${e.message}`, this.file_name, 'data', i, this.assemblies_list[i].data_offset);
+    }
+  }
+
+  close() {
+    this.store_file.close();
+  }
+
+  get_manifest_entry(blob_idx) {
+    if (this.format_version < ASSEMBLY_STORE_FORMAT_VERSION_2) {
+      return this.manifest_entries.get_idx(this.hdr_store_id, blob_idx);
+    }
+
+    // v2 stores embed the names that v1 stores kept in 'assemblies.manifest'
+    const name = this.assembly_names[blob_idx].replace(/\.dll$/i, '');
+    const [hash32, hash64] = gen_xxhash(name);
+
+    return new ManifestEntry(`0x${hash32}`, `0x${hash64}`, this.hdr_store_id, blob_idx, name);
+  }
+
+  async extract_all(json_config, outpath = 'out', pool = null, name_filter = null, log = () => {}) {
+    // Initialize store JSON
+    const store_json = {};
+    store_json[this.file_name] = {
+      store_idx: json_config.stores.length
+    };
+
+    if (this.is_elf) {
+      store_json[this.file_name].elf = true;
     }
 
+    store_json[this.file_name]['header'] = {
+      version: this.hdr_version,
+      lec: this.hdr_lec,
+      gec: this.hdr_gec,
+      store_id: this.hdr_store_id,
+    };
+
+    // assemblies are decompressed a few at a time, in parallel, then written in order
+    const is_filtered = (i) => {
+      const entry = this.get_manifest_entry(i);
+      return !!name_filter && !!entry && !name_filter(entry.name);
+    };
+
+    // file names that are already used, in lower case: to detect collisions on case-insensitive file systems
+    const file_stems = new Map();
+
+    const get_file_stem = (i, name) => {
+      const safe_stem = get_assembly_file_stem(name) || `unnamed_${this.hdr_store_id}_${i}`;
+
+      let file_stem = safe_stem;
+      for (let n = 2; file_stems.has(file_stem.toLowerCase()); n++) {
+        file_stem = `${safe_stem}~${n}`;
+      }
+
+      if (file_stem !== safe_stem) {
+        log(`Warning: '${name}' collides with '${file_stems.get(safe_stem.toLowerCase())}' on a case-insensitive file system.`);
+      }
+
+      file_stems.set(file_stem.toLowerCase(), name);
+
+      // the sanitized path cannot escape the output directory. this only guards against a bug in 'get_assembly_file_stem'
+      const relative_path = path.relative(outpath, path.resolve(outpath, file_stem));
+      // a file name that only starts with two dots (ex: '..Foo') is still inside it
+      if (!relative_path || (relative_path === '..') || relative_path.startsWith(`..${path.sep}`) || path.isAbsolute(relative_path)) {
+        throw new Error(`Assembly name '${name}' is not a safe file name`);
+      }
+
+      return file_stem;
+    };
+
+    const read_assembly = async (i) => {
+      if (is_filtered(i)) {
+        // only the LZ4 header is needed, to keep the same compression on pack
+        return { stored_data: this.read_entry_data(i, 'data', 12), assembly_data: null, lz4: null };
+      }
+
+      const stored_data = this.read_entry_data(i);
+      const lz4 = stored_data.subarray(0, 4).equals(COMPRESSED_DATA_MAGIC);
+
+      return {
+        stored_data,
+        assembly_data: lz4 ? await this.decompress_entry_data(i, stored_data, pool) : stored_data,
+        lz4,
+      };
+    };
+
+    const write_assembly = (i, { stored_data, assembly_data, lz4 }) => {
+      const assembly = this.assemblies_list[i];
+      const assembly_dict = {
+        store_idx: store_json[this.file_name].store_idx
+      };
+
+      assembly_dict.lz4 = false;
+
+      const entry = this.get_manifest_entry(i);
+
+      if (!entry) {
+        throw new Error(`Manifest entry not found for store_id ${this.hdr_store_id} index ${i} (use --lenient to recover its name)`);
+      }
+
+      assembly_dict.name = entry.name;
+      assembly_dict.store_id = entry.blob_id;
+      assembly_dict.blob_idx = entry.blob_idx;
+      assembly_dict.hash32 = entry.hash32;
+      assembly_dict.hash64 = entry.hash64;
+
+      if (entry.name_source) {
+        assembly_dict.name_source = entry.name_source;
+      }
+
+      if (this.format_version >= ASSEMBLY_STORE_FORMAT_VERSION_2) {
+        assembly_dict.mapping_index = assembly.mapping_index;
+      }
+
+      if (is_filtered(i)) {
+        // not extracted: 'pack' reads this assembly from the original store
+        debug(`Skipping ${entry.name}...`);
+        assembly_dict.extracted = false;
+        assembly_dict.source_idx = i;
+
+        if (stored_data.subarray(0, 4).equals(COMPRESSED_DATA_MAGIC)) {
+          assembly_dict.lz4 = true;
+          assembly_dict.lz4_desc_idx = stored_data.readUInt32LE(4);
+        }
+
+        json_config.assemblies.push(assembly_dict);
+        return;
+      }
+
+      // the original name is kept in 'name', and used to repack. 'file' is where it is extracted to
+      const file_stem = get_file_stem(i, entry.name);
+      const out_file = path.join(outpath, `${file_stem}.dll`);
+      assembly_dict.file = out_file;
+
+      if (lz4) {
+        assembly_dict.lz4 = true;
+        assembly_dict.lz4_desc_idx = stored_data.readUInt32LE(4);
+
+        // keep the original compressed payload, so an unchanged assembly can be repacked byte-for-byte
+        assembly_dict.lz4_file = `${out_file}.lz4`;
+      }
+
+      log((file_stem === entry.name) ? `Extracting ${entry.name}...` : `Extracting ${entry.name} as ${file_stem}.dll...`);
+
+      const dirName = path.dirname(out_file);
+      if (!fs.existsSync(dirName)) {
+        fs.mkdirSync(dirName, { recursive: true });
+      }
+
+      fs.writeFileSync(out_file, assembly_data);
+      assembly_dict.sha256 = gen_content_digest(assembly_data);
+
+      if (assembly_dict.lz4_file) {
+        fs.writeFileSync(assembly_dict.lz4_file, stored_data);
+      }
+
+      // debug symbols and config data are stored uncompressed, next to the assembly data
+      if (assembly.debug_data_size > 0) {
+        const debug_file = path.join(outpath, `${file_stem}.pdb`);
+        log(`Extracting ${file_stem}.pdb...`);
+        fs.writeFileSync(debug_file, this.read_entry_data(i, 'debug'));
+        assembly_dict.debug_file = debug_file;
+      }
+
+      if (assembly.config_data_size > 0) {
+        const config_file = path.join(outpath, `${file_stem}.dll.config`);
+        log(`Extracting ${file_stem}.dll.config...`);
+        fs.writeFileSync(config_file, this.read_entry_data(i, 'config'));
+        assembly_dict.config_file = config_file;
+      }
+
+      json_config.assemblies.push(assembly_dict);
+    };
+
+    const indexes = this.assemblies_list.map((assembly, i) => i);
+    await process_in_batches(indexes, pool ? (pool.jobs * 2) : 1, read_assembly, write_assembly);
+
     json_config.stores.push(store_json);
     return json_config;
   }
 
+  list_all() {
+    // same fields as 'extract_all', without extracting anything
+    const assembly_list = [];
+
+    for (let i = 0; i < this.assemblies_list.length; i++) {
+      const assembly = this.assemblies_list[i];
+      const entry = this.get_manifest_entry(i);
+
+      const assembly_header = this.read_entry_data(i, 'data', 12);
+      const lz4 = assembly_header.subarray(0, 4).equals(COMPRESSED_DATA_MAGIC);
+
+      // an assembly that is missing from the manifest is listed without a name or hashes (see: 'unpack --lenient')
+      assembly_list.push({
+        name: entry ? entry.name : null,
+        store_file: this.file_name,
+        store_id: entry ? entry.blob_id : this.hdr_store_id,
+        blob_idx: entry ? entry.blob_idx : i,
+        compressed_size: assembly.data_size,
+        uncompressed_size: lz4 ? assembly_header.readUInt32LE(8) : assembly.data_size,
+        lz4,
+        hash32: entry ? entry.hash32 : null,
+        hash64: entry ? entry.hash64 : null,
+      });
+    }
+
+    return assembly_list;
+  }
+
+  find_assembly(name) {
+    // returns: index of the assembly (with or without its '.dll' extension), or -1
+    name = name.replace(/\.dll$/i, '');
+
+    for (let i = 0; i < this.assemblies_list.length; i++) {
+      const entry = this.get_manifest_entry(i);
+
+      if (entry && (entry.name === name)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  async read_assembly(name_or_index) {
+    // returns: Buffer with the (decompressed) DLL
+    const i = (typeof name_or_index === 'number') ? name_or_index : this.find_assembly(name_or_index);
+    const assembly = this.assemblies_list[i];
+
+    if (!assembly) {
+      throw new Error(`Assembly not found: ${name_or_index}`);
+    }
+
+    const data = this.read_entry_data(i);
+
+    return data.subarray(0, 4).equals(COMPRESSED_DATA_MAGIC)
+      ? await this.decompress_entry_data(i, data)
+      : Buffer.from(data);
+  }
+
   static async decompress_lz4(compressed_data) {
     // compressed_data is a Buffer
     // Format:
@@ -316,6 +1544,7 @@ class AssemblyStore {
     const compressed_payload = compressed_data.subarray(12);
 
     const dst_buffer_size = unpacked_payload_len + 1024;
+    await init_lz4();
     const uncompressed = await lz4.uncompressBlock(compressed_payload, dst_buffer_size);
     const decompressedSize = uncompressed.length;
 
@@ -329,6 +1558,47 @@ class AssemblyStore {
 
 /** Utility functions **/
 
+async function init_lz4() {
+  if (!lz4) {
+    lz4 = await lz4BlockCodec.init();
+  }
+  return lz4;
+}
+
+async function run_lz4_task({ op, data, desc_idx }) {
+  // data arrives from a worker message as a Uint8Array
+  data = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+  return (op === 'compress')
+    ? await lz4_compress(data, desc_idx)
+    : await AssemblyStore.decompress_lz4(data);
+}
+
+function run_lz4_worker() {
+  const { parentPort } = require('worker_threads');
+
+  parentPort.on('message', async (task) => {
+    try {
+      parentPort.postMessage({ data: await run_lz4_task(task) });
+    } catch(e) {
+      parentPort.postMessage({ error: e.message });
+    }
+  });
+}
+
+async function process_in_batches(items, batch_size, prepare, consume) {
+  // prepare() runs on up to batch_size items at a time, in parallel.
+  // consume() runs on one item at a time, in order, so the output does not depend on which item is prepared first.
+  for (let i = 0; i < items.length; i += batch_size) {
+    const batch = items.slice(i, i + batch_size);
+    const results = await Promise.all(batch.map(prepare));
+
+    for (let j = 0; j < batch.length; j++) {
+      await consume(batch[j], results[j]);
+    }
+  }
+}
+
 async function lz4_compress(file_data, desc_idx) {
   // file_data: Buffer
   // Compose header + compressed data
@@ -344,11 +1614,16 @@ async function lz4_compress(file_data, desc_idx) {
   header.writeUInt32LE(file_data.length, 8);
 
   // Compress with lz4 high compression
+  await init_lz4();
   const compressedData = await lz4.compressBlockHC(file_data, 9);
 
   return Buffer.concat([header, compressedData]);
 }
 
+function gen_content_digest(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
 function gen_xxhash(name, raw = false) {
   // xxhashjs expects string or Buffer
   // seed 0
@@ -388,10 +1663,20 @@ function getLowBitsUnsigned(uint64) {
   return uint64.toNumber();
 }
 
+async function gen_xxhash_v2(name, is_64bit) {
+  // v2 stores index names with XXH3 (64-bit ABIs) or XXH32 (32-bit ABIs), seed 0
+  const hex = is_64bit
+    ? await hashWasm.xxhash3(Buffer.from(name, 'utf8'))
+    : gen_xxhash(name)[0];
+
+  return BigInt(`0x${hex}`);
+}
+
 function read_manifest(in_manifest) {
   const manifest_list = new ManifestList();
 
-  const content = fs.readFileSync(in_manifest, 'utf8');
+  const manifest_file = (in_manifest instanceof StoreFile) ? in_manifest : new StoreFile(in_manifest);
+  const content = manifest_file.read().toString('utf8');
   const lines = content.split(/\r?\n/);
 
   for (const line of lines) {
@@ -401,15 +1686,21 @@ function read_manifest(in_manifest) {
     const split_line = line.trim().split(/\s+/);
     if (split_line.length < 5) continue;
 
-    manifest_list.push(
-      new ManifestEntry(
-        split_line[0], // hash32
-        split_line[1], // hash64
-        split_line[2], // blob_id
-        split_line[3], // blob_idx
-        split_line[4]  // name
-      )
+    const entry = new ManifestEntry(
+      split_line[0], // hash32
+      split_line[1], // hash64
+      split_line[2], // blob_id
+      split_line[3], // blob_idx
+      split_line[4]  // name
     );
+
+    // a name that was recovered by a lenient unpack is marked by 'build_manifest'
+    const recovered = /^recovered:(\w+)$/.exec(split_line[5] || '');
+    if (recovered) {
+      entry.name_source = recovered[1];
+    }
+
+    manifest_list.push(entry);
   }
 
   return manifest_list;
@@ -419,352 +1710,3726 @@ function usage() {
   console.log('usage: node jsxamstore.js MODE <args>');
   console.log('');
   console.log('MODES:');
-  console.log('  unpack <args>  Unpack assembly blobs.');
-  console.log('  pack <args>    Repackage assembly blobs.');
-  console.log('  hash file_name Generate xxHash values.');
-  console.log('  help           Print this message.');
+  console.log('  unpack <args>        Unpack assembly blobs.');
+  console.log('  list <args>          List the assemblies in assembly blobs.');
+  console.log('  inspect <args>       Show the identity and references of assemblies.');
+  console.log('  graph <args>         Print the assembly reference graph (DOT or JSON).');
+  console.log('  sbom <args>          Write an SBOM (CycloneDX or SPDX) of the assemblies.');
+  console.log('  verify <args>        Validate the integrity of assembly blobs.');
+  console.log('  replace <args>       Replace one assembly in assembly blobs.');
+  console.log('  pack <args>          Repackage assembly blobs.');
+  console.log('  check-config <args>  Validate an assemblies.json file, before pack.');
+  console.log('  create <args>        Create new assembly blobs from a directory of DLLs.');
+  console.log('  repack-apk <args>    Repackage assembly blobs into a copy of an APK.');
+  console.log('  hash file_name       Generate xxHash values.');
+  console.log('  help                 Print this message.');
   return 0;
 }
 
-async function do_unpack(in_directory, out_directory, include_arch_assemblies, force) {
-  let has_arch_assemblies = false;
+function normalize_arch_list(include_arch_assemblies) {
+  const valid_arch = Object.keys(ARCHITECTURE_MAP);
+  let all_arch = true;
 
-  in_directory  = path.resolve(in_directory);
-  out_directory = path.resolve(out_directory);
+  if (!Array.isArray(include_arch_assemblies)) {
+    include_arch_assemblies = (!!include_arch_assemblies && (typeof include_arch_assemblies === 'string')) ? [include_arch_assemblies] : [];
+  }
+  if (include_arch_assemblies.length) {
+    // normalize values to lowercase
+    include_arch_assemblies = include_arch_assemblies.map(arch => arch.toLowerCase())
+  }
+  if (include_arch_assemblies.includes('none') || include_arch_assemblies.includes('no') || include_arch_assemblies.includes('0')) {
+    all_arch = false;
+    include_arch_assemblies = [];
+  }
+  if (include_arch_assemblies.length) {
+    // filter to remove invalid values
+    include_arch_assemblies = include_arch_assemblies.filter(arch => valid_arch.includes(arch));
+  }
+  if (include_arch_assemblies.length) {
+    all_arch = false;
+  }
+  if (all_arch) {
+    include_arch_assemblies = valid_arch;
+  }
 
-  if (force && fs.existsSync(out_directory)) {
-    fs.rmSync(out_directory, { recursive: true, force: true });
+  return include_arch_assemblies;
+}
+
+function compile_name_pattern(pattern) {
+  // "/regex/flags" or a glob ('*' and '?' wildcards)
+  const regex_match = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+
+  if (regex_match) {
+    // 'g' and 'y' make RegExp.test() stateful
+    return new RegExp(regex_match[1], regex_match[2].replace(/[gy]/g, ''));
   }
 
-  if (fs.existsSync(out_directory)) {
-    console.log('Out directory already exists!');
-    return 11;
+  const glob = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${glob}$`);
+}
+
+function compile_name_filter(include_names, exclude_names) {
+  // returns: a function that tests a manifest name (with or without '.dll'), or null when no patterns are given
+  //   throws: when a regex pattern is invalid
+
+  include_names = (include_names || []).map(compile_name_pattern);
+  exclude_names = (exclude_names || []).map(compile_name_pattern);
+
+  if (!include_names.length && !exclude_names.length) {
+    return null;
   }
 
-  const manifest_path = path.join(in_directory, FILE_ASSEMBLIES_MANIFEST);
-  const assemblies_path = path.join(in_directory, FILE_ASSEMBLIES_BLOB);
+  const matches = (patterns, name) => patterns.some(pattern => pattern.test(name) || pattern.test(`${name}.dll`));
+
+  return (name) => {
+    if (include_names.length && !matches(include_names, name)) {
+      return false;
+    }
+    return !matches(exclude_names, name);
+  };
+}
 
-  if (!fs.existsSync(manifest_path)) {
-    console.log(`Manifest file '${manifest_path}' does not exist!`);
-    return 12;
-  } else if (!fs.existsSync(assemblies_path)) {
-    console.log(`Main assemblies blob '${assemblies_path}' does not exist!`);
-    return 13;
+function get_assembly_file_stem(name) {
+  // returns: the relative path (without extension) to extract an assembly to, or null
+  //
+  // manifest names come from untrusted APKs, so the path always stays within the output directory:
+  //   - '/' and '\\' separate segments. empty, '.' and '..' segments are dropped
+  //   - characters that are not valid in a file name (on any OS) are replaced with '_'
+  //   - a satellite assembly keeps its culture subdirectory (ex: 'fr/App.resources'). any other segments are joined with '_'
+
+  const segments = `${name}`.split(/[\\/]+/)
+    .filter(segment => segment && (segment !== '.') && (segment !== '..'))
+    .map(segment => segment
+      .replace(/[\x00-\x1F<>:"|?*]/g, '_')
+      .replace(/[. ]+$/, match => '_'.repeat(match.length))
+      .replace(WINDOWS_RESERVED_FILE_NAME_PATTERN, '_$&'));
+
+  if (!segments.length) {
+    return null;
   }
 
-  const manifest_entries = read_manifest(manifest_path);
-  if (!manifest_entries) {
-    console.log(`Unable to parse '${FILE_ASSEMBLIES_MANIFEST}' file!`);
-    return 14;
+  if ((segments.length === 2) && CULTURE_NAME_PATTERN.test(segments[0])) {
+    return path.join(segments[0], segments[1]);
   }
 
-  const json_data = { stores: [], assemblies: [] };
+  return segments.join('_');
+}
 
-  fs.mkdirSync(out_directory);
+function find_elf_payload(store_file) {
+  // returns: {offset, size, index} of the payload section
+  // throws: AssemblyStoreParseError (section: 'elf'), when a header or table runs past the end of the file
+  //
+  // ELF header
+  // 4:     EI_CLASS (1 = 32-bit, 2 = 64-bit)
+  // 5:     EI_DATA  (1 = little-endian)
+  // e_shoff, e_shentsize, e_shnum, e_shstrndx locate the section header table
 
-  const assembly_store = new AssemblyStore(assemblies_path, manifest_entries);
+  const file_name = store_file.file_name;
+  const file_size = store_file.get_size();
+  const elf_error = (message, index = null, offset = null) => new AssemblyStoreParseError(message, file_name, 'elf', index, offset);
 
-  // Extract primary assembly
-  await assembly_store.extract_all(json_data, path.join(out_directory, 'primary'));
+  const header = store_file.read_at(0, 0x40);
 
-  if (assembly_store.hdr_lec !== assembly_store.hdr_gec) {
-    has_arch_assemblies = true;
-    debug('Architecture-specific assemblies exist!');
+  if ((header.length < 6) || ((header[4] !== 1) && (header[4] !== 2))) {
+    throw elf_error('Invalid ELF class', null, 4);
   }
 
-  if (has_arch_assemblies) {
-    const valid_arch = Object.keys(ARCHITECTURE_MAP);
-    let all_arch = true;
-    let has_arch = false;
+  const is_64bit = header[4] === 2;
+  const header_size = is_64bit ? 0x40 : 0x34;
 
-    if (!Array.isArray(include_arch_assemblies)) {
-      include_arch_assemblies = (!!include_arch_assemblies && (typeof include_arch_assemblies === 'string')) ? [include_arch_assemblies] : [];
-    }
-    if (include_arch_assemblies.length) {
-      // normalize values to lowercase
-      include_arch_assemblies = include_arch_assemblies.map(arch => arch.toLowerCase())
-    }
-    if (include_arch_assemblies.includes('none') || include_arch_assemblies.includes('no') || include_arch_assemblies.includes('0')) {
-      all_arch = false;
-      include_arch_assemblies = [];
-    }
-    if (include_arch_assemblies.length) {
-      // filter to remove invalid values
-      include_arch_assemblies = include_arch_assemblies.filter(arch => valid_arch.includes(arch));
-    }
-    if (include_arch_assemblies.length) {
-      all_arch = false;
-    }
-    if (all_arch) {
-      include_arch_assemblies = valid_arch;
+  if (header[5] !== 1) {
+    throw elf_error('Only little-endian ELF files are supported!', null, 5);
+  }
+  if (header.length < header_size) {
+    throw elf_error(`ELF header of ${header_size} bytes runs past the end of the file (${file_size} bytes)`, null, 0);
+  }
+
+  const e_shoff     = is_64bit ? Number(header.readBigUInt64LE(0x28)) : header.readUInt32LE(0x20);
+  const e_shentsize = header.readUInt16LE(is_64bit ? 0x3A : 0x2E);
+  const e_shnum     = header.readUInt16LE(is_64bit ? 0x3C : 0x30);
+  const e_shstrndx  = header.readUInt16LE(is_64bit ? 0x3E : 0x32);
+
+  // sh_name, sh_offset and sh_size are read from each section header
+  if (e_shentsize < (is_64bit ? 0x28 : 0x18)) {
+    throw elf_error(`Section header size ${e_shentsize} is too small`, null, is_64bit ? 0x3A : 0x2E);
+  }
+  if ((e_shoff + (e_shnum * e_shentsize)) > file_size) {
+    throw elf_error(`Section header table of ${e_shnum} entries (${e_shentsize} bytes each) runs past the end of the file (${file_size} bytes)`, null, e_shoff);
+  }
+  if (e_shstrndx >= e_shnum) {
+    throw elf_error(`Section name table index ${e_shstrndx} is out of range (${e_shnum} sections)`, null, is_64bit ? 0x3E : 0x32);
+  }
+
+  const section_headers = store_file.read_at(e_shoff, e_shnum * e_shentsize);
+
+  const read_section_header = (index) => {
+    const offset = index * e_shentsize;
+
+    const section = {
+      sh_name:   section_headers.readUInt32LE(offset),
+      sh_offset: is_64bit ? Number(section_headers.readBigUInt64LE(offset + 0x18)) : section_headers.readUInt32LE(offset + 0x10),
+      sh_size:   is_64bit ? Number(section_headers.readBigUInt64LE(offset + 0x20)) : section_headers.readUInt32LE(offset + 0x14),
+    };
+
+    if ((section.sh_offset + section.sh_size) > file_size) {
+      throw elf_error(`Section of ${section.sh_size} bytes runs past the end of the file (${file_size} bytes)`, index, e_shoff + offset);
     }
+    return section;
+  };
 
-    for (let arch of include_arch_assemblies) {
-      const arch_assembly_path = path.join(in_directory, ARCHITECTURE_MAP[arch]);
+  const shstrtab = read_section_header(e_shstrndx);
+  const section_names = store_file.read_at(shstrtab.sh_offset, shstrtab.sh_size);
 
-      if (fs.existsSync(arch_assembly_path)) {
-        // Extract architecture-specific assembly
-        const arch_assembly_store = new AssemblyStore(arch_assembly_path, manifest_entries, false);
-        await arch_assembly_store.extract_all(json_data, path.join(out_directory, arch));
-        has_arch = true;
-      }
+  for (let i = 0; i < e_shnum; i++) {
+    const section = read_section_header(i);
+
+    if (section.sh_name >= section_names.length) {
+      throw elf_error(`Section name offset ${section.sh_name} is past the end of the section name table (${section_names.length} bytes)`, i, e_shoff + (i * e_shentsize));
     }
 
-    if (!has_arch) {
-      // either: "--arch none", or no assembly stores found for any of the included architectures
-      // update "gec" to equal "lec"
+    const name_end = section_names.indexOf(0, section.sh_name);
+    const name = section_names.toString('utf8', section.sh_name, (name_end < 0) ? section_names.length : name_end);
 
-      if (
-        (json_data.stores.length === 1) &&
-        (json_data.stores[0][FILE_ASSEMBLIES_BLOB] instanceof Object) &&
-        (json_data.stores[0][FILE_ASSEMBLIES_BLOB]['header']['store_id'] === 0) &&
-        (json_data.stores[0][FILE_ASSEMBLIES_BLOB]['header']['lec'] === json_data.assemblies.length) &&
-        (json_data.stores[0][FILE_ASSEMBLIES_BLOB]['header']['gec']   > json_data.assemblies.length) &&
-        (json_data.assemblies[json_data.assemblies.length - 1]['store_id'] === 0)
-      ) {
-        json_data.stores[0][FILE_ASSEMBLIES_BLOB]['header']['gec'] = json_data.assemblies.length;
-      }
+    if (name === ELF_PAYLOAD_SECTION_NAME) {
+      debug(`ELF payload section at: ${section.sh_offset} (0x${section.sh_offset.toString(16)}), size: ${section.sh_size}`);
+      return { offset: section.sh_offset, size: section.sh_size, index: i };
     }
   }
 
-  fs.writeFileSync(path.join(out_directory, FILE_ASSEMBLIES_JSON), JSON.stringify(json_data, null, 4));
-
-  return 0;
+  throw elf_error(`ELF file has no '${ELF_PAYLOAD_SECTION_NAME}' section!`);
 }
 
-async function do_pack(in_json_config, out_directory) {
-  in_json_config = path.resolve(in_json_config);
-  out_directory = path.resolve(out_directory);
+function read_store_format_version(in_file) {
+  // peek at the header without parsing the whole store
+  const store_file = (in_file instanceof StoreFile) ? in_file : new StoreFile(in_file);
+  let header = store_file.read_at(0, 8);
 
-  if (!fs.existsSync(in_json_config)) {
-    console.log(`Config file '${in_json_config}' does not exist!`);
-    return 21;
+  // a corrupt ELF file is not mistaken for a format version 1 store: the AssemblyStoreParseError is thrown
+  if (header.subarray(0, 4).equals(ELF_MAGIC)) {
+    header = store_file.read_at(find_elf_payload(store_file).offset, 8);
   }
 
-  if (!fs.existsSync(out_directory)) {
-    fs.mkdirSync(out_directory);
+  if ((header.length < 8) || !header.subarray(0, 4).equals(ASSEMBLY_STORE_MAGIC)) {
+    return 0;
   }
 
-  const assemblies_manifest_path = path.join(out_directory, `${FILE_ASSEMBLIES_MANIFEST}.new`)
+  return header.readUInt32LE(4) & ASSEMBLY_STORE_FORMAT_VERSION_MASK;
+}
 
-  if (fs.existsSync(assemblies_manifest_path)) {
-    console.log('Output manifest exists!');
-    return 22;
+function read_zip_entries(raw) {
+  // End of central directory record
+  // 0-3:   Signature
+  // 10-11: TotalEntries
+  // 12-15: CentralDirectorySize
+  // 16-19: CentralDirectoryOffset
+  // 20-21: CommentLength
+
+  let eocd_offset = -1;
+  for (let offset = raw.length - 22; offset >= Math.max(0, raw.length - 22 - 0xFFFF); offset--) {
+    if (raw.readUInt32LE(offset) === ZIP_EOCD_SIGNATURE) {
+      eocd_offset = offset;
+      break;
+    }
   }
 
-  const json_data = JSON.parse(fs.readFileSync(in_json_config, 'utf8'));
-
-  // Write new assemblies.manifest
-  console.log("Writing 'assemblies.manifest.new'...");
-  const assemblies_manifest_f = fs.openSync(assemblies_manifest_path, 'w');
+  if (eocd_offset < 0) {
+    throw new Error('Invalid ZIP file: end of central directory not found');
+  }
 
-  fs.writeSync(
-    assemblies_manifest_f,
-    'Hash 32     Hash 64             Blob ID  Blob idx  Name\r\n'
-  );
+  let total_entries = raw.readUInt16LE(eocd_offset + 10);
+  let cd_offset = raw.readUInt32LE(eocd_offset + 16);
 
-  for (const assembly of json_data.assemblies) {
-    if (assembly.store_idx >= 2) break;
+  if ((total_entries === 0xFFFF) || (cd_offset === 0xFFFFFFFF)) {
+    // ZIP64: the locator immediately precedes the end of central directory record
+    const locator_offset = eocd_offset - 20;
 
-    const [hash32, hash64] = gen_xxhash(assembly.name);
+    if ((locator_offset < 0) || (raw.readUInt32LE(locator_offset) !== ZIP64_EOCD_LOCATOR_SIGNATURE)) {
+      throw new Error('Invalid ZIP64 file: end of central directory locator not found');
+    }
 
-    const line = `0x${hash32}  0x${hash64}  ${assembly.store_id
-      .toString()
-      .padStart(3, '0')}      ${assembly.blob_idx.toString().padStart(4, '0')}      ${assembly.name}\r\n`;
+    const zip64_eocd_offset = Number(raw.readBigUInt64LE(locator_offset + 8));
+    if (raw.readUInt32LE(zip64_eocd_offset) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('Invalid ZIP64 file: end of central directory record not found');
+    }
 
-    fs.writeSync(assemblies_manifest_f, line);
+    total_entries = Number(raw.readBigUInt64LE(zip64_eocd_offset + 32));
+    cd_offset = Number(raw.readBigUInt64LE(zip64_eocd_offset + 48));
   }
 
-  fs.closeSync(assemblies_manifest_f);
+  // Central directory file header
+  // 0-3:   Signature
+  // 10-11: CompressionMethod
+  // 20-23: CompressedSize
+  // 24-27: UncompressedSize
+  // 28-29: FileNameLength
+  // 30-31: ExtraFieldLength
+  // 32-33: FileCommentLength
+  // 42-45: LocalHeaderOffset
+  // 46-:   FileName, ExtraField, FileComment
+
+  const entries = new Map();
+  let offset = cd_offset;
+
+  for (let i = 0; i < total_entries; i++) {
+    if (raw.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error(`Invalid ZIP central directory entry at: ${offset} (0x${offset.toString(16)})`);
+    }
 
-  // Determine lec/gec for store 0
-  let store_zero_lec = 0;
-  for (const assembly_store of json_data.stores) {
-    for (const [store_name, store_data] of Object.entries(assembly_store)) {
-      if (store_name === FILE_ASSEMBLIES_BLOB) {
-        store_zero_lec = store_data.header.lec;
+    const method = raw.readUInt16LE(offset + 10);
+    let compressed_size = raw.readUInt32LE(offset + 20);
+    let uncompressed_size = raw.readUInt32LE(offset + 24);
+    const name_length = raw.readUInt16LE(offset + 28);
+    const extra_length = raw.readUInt16LE(offset + 30);
+    const comment_length = raw.readUInt16LE(offset + 32);
+    let local_header_offset = raw.readUInt32LE(offset + 42);
+    const name = raw.toString('utf8', offset + 46, offset + 46 + name_length);
+
+    // ZIP64 extended information: only the fields that overflowed are present, in this order
+    let extra_offset = offset + 46 + name_length;
+    const extra_end = extra_offset + extra_length;
+    while ((extra_offset + 4) <= extra_end) {
+      const header_id = raw.readUInt16LE(extra_offset);
+      const data_size = raw.readUInt16LE(extra_offset + 2);
+
+      if (header_id === 0x0001) {
+        let field_offset = extra_offset + 4;
+        if (uncompressed_size === 0xFFFFFFFF) {
+          uncompressed_size = Number(raw.readBigUInt64LE(field_offset));
+          field_offset += 8;
+        }
+        if (compressed_size === 0xFFFFFFFF) {
+          compressed_size = Number(raw.readBigUInt64LE(field_offset));
+          field_offset += 8;
+        }
+        if (local_header_offset === 0xFFFFFFFF) {
+          local_header_offset = Number(raw.readBigUInt64LE(field_offset));
+        }
       }
+
+      extra_offset += 4 + data_size;
     }
-  }
 
-  // Write blobs
-  for (const assembly_store of json_data.stores) {
-    for (const [store_name, store_data] of Object.entries(assembly_store)) {
-      const out_store_name = `${store_name}.new`;
-      const out_store_path = path.join(out_directory, out_store_name);
+    const central_header_size = 46 + name_length + extra_length + comment_length;
+    const central_header = raw.subarray(offset, offset + central_header_size);
 
-      if (fs.existsSync(out_store_path)) {
-        console.log('Output blob exists!', out_store_name);
-        return 23;
-      }
+    entries.set(name, new ZipEntry(raw, name, method, compressed_size, uncompressed_size, local_header_offset, central_header));
 
-      console.log(`Writing '${out_store_name}'...`);
-      const assemblies_blob_f = fs.openSync(out_store_path, 'w+');
+    offset += central_header_size;
+  }
 
-      const json_hdr = store_data.header;
+  return entries;
+}
 
-      // Write header: 4sIIII
-      const headerBuffer = Buffer.alloc(20);
-      ASSEMBLY_STORE_MAGIC.copy(headerBuffer, 0);
-      headerBuffer.writeUInt32LE(json_hdr.version, 4);
-      headerBuffer.writeUInt32LE(json_hdr.lec, 8);
-      headerBuffer.writeUInt32LE(json_hdr.gec, 12);
-      headerBuffer.writeUInt32LE(json_hdr.store_id, 16);
+function write_aligned_zip(out_file, zip_entries, replacements) {
+  // zip_entries:  Map of entry name => ZipEntry, in original order
+  // replacements: Map of entry name => Buffer, written uncompressed
+  //
+  // Every local header is rebuilt, so that the data of each stored entry can be aligned
+  // by padding its extra field; the data of all other entries is copied without recompression.
 
-      fs.writeSync(assemblies_blob_f, headerBuffer, 0, 20, 0);
+  const out_f = fs.openSync(out_file, 'w');
+  const central_headers = [];
+  let offset = 0;
 
-      const primary = json_hdr.store_id === 0;
+  const write = (buffer) => {
+    fs.writeSync(out_f, buffer, 0, buffer.length, offset);
+    offset += buffer.length;
+  };
 
-      let next_entry_offset = 20;
-      let next_data_offset = 20 + (json_hdr.lec * 24) + (json_hdr.gec * 40);
+  try {
+    for (const [name, zip_entry] of zip_entries) {
+      const central_header = Buffer.from(zip_entry.central_header);
 
-      if (!primary) {
-        next_data_offset = 20 + json_hdr.lec * 24;
+      if ((zip_entry.compressed_size >= 0xFFFFFFFF) || (zip_entry.uncompressed_size >= 0xFFFFFFFF) || (offset >= 0xFFFFFFFF)) {
+        throw new Error(`ZIP64 is not supported for output entry '${name}'`);
       }
 
-      // First pass: write entries + DLL content
-      for (const assembly of json_data.assemblies) {
-        if (assembly.store_idx !== store_data.store_idx) {
-          debug('Skipping assembly for another store');
-          continue;
+      let data, method, crc, uncompressed_size;
+
+      if (replacements.has(name)) {
+        data = replacements.get(name);
+        method = ZIP_METHOD_STORED;
+        crc = crc32(data);
+        uncompressed_size = data.length;
+      } else {
+        data = zip_entry.read_raw();
+        method = zip_entry.method;
+        crc = central_header.readUInt32LE(16);
+        uncompressed_size = zip_entry.uncompressed_size;
+      }
+
+      const name_buffer = central_header.subarray(46, 46 + central_header.readUInt16LE(28));
+      const flags = central_header.readUInt16LE(8) & ~ZIP_FLAG_DATA_DESCRIPTOR;
+
+      let extra_length = 0;
+      if (method === ZIP_METHOD_STORED) {
+        const alignment = /\.so$/.test(name) ? ZIP_ALIGNMENT_NATIVE_LIBRARY : ZIP_ALIGNMENT;
+        const data_offset = offset + 30 + name_buffer.length;
+        extra_length = (alignment - (data_offset % alignment)) % alignment;
+      }
+
+      // Local file header
+      const local_header = Buffer.alloc(30 + name_buffer.length + extra_length);
+      local_header.writeUInt32LE(ZIP_LOCAL_FILE_HEADER_SIGNATURE, 0);
+      local_header.writeUInt16LE(central_header.readUInt16LE(6), 4);    // version needed
+      local_header.writeUInt16LE(flags, 6);
+      local_header.writeUInt16LE(method, 8);
+      local_header.writeUInt32LE(central_header.readUInt32LE(12), 10);  // modification time + date
+      local_header.writeUInt32LE(crc, 14);
+      local_header.writeUInt32LE(data.length, 18);
+      local_header.writeUInt32LE(uncompressed_size, 22);
+      local_header.writeUInt16LE(name_buffer.length, 26);
+      local_header.writeUInt16LE(extra_length, 28);
+      name_buffer.copy(local_header, 30);
+
+      // Central directory file header
+      central_header.writeUInt16LE(flags, 8);
+      central_header.writeUInt16LE(method, 10);
+      central_header.writeUInt32LE(crc, 16);
+      central_header.writeUInt32LE(data.length, 20);
+      central_header.writeUInt32LE(uncompressed_size, 24);
+      central_header.writeUInt32LE(offset, 42);
+      central_headers.push(central_header);
+
+      debug(`Writing ZIP entry '${name}' at: ${offset} (0x${offset.toString(16)})`);
+
+      write(local_header);
+      write(data);
+    }
+
+    const cd_offset = offset;
+    const central_directory = Buffer.concat(central_headers);
+    write(central_directory);
+
+    // End of central directory record
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(ZIP_EOCD_SIGNATURE, 0);
+    eocd.writeUInt16LE(central_headers.length, 8);
+    eocd.writeUInt16LE(central_headers.length, 10);
+    eocd.writeUInt32LE(central_directory.length, 12);
+    eocd.writeUInt32LE(cd_offset, 16);
+    write(eocd);
+  } finally {
+    fs.closeSync(out_f);
+  }
+}
+
+function get_apk_entry_name(file_name) {
+  // inverse of the relative paths used by 'read_apk_store_files'
+  const elf_match = /^libassemblies\.(.+)\.blob\.so$/.exec(file_name);
+
+  return elf_match ? `lib/${elf_match[1]}/${file_name}` : `assemblies/${file_name}`;
+}
+
+function read_apk_store_files(apk_label, raw, store_files) {
+  // collect the entries that an apktool directory would hold, keyed by the same relative paths:
+  //   'assemblies/<name>'                       => '<name>'
+  //   'lib/<abi>/libassemblies.<abi>.blob.so'   => unchanged
+  // split APKs bundled in an .xapk or .apks file are searched recursively
+
+  const entries = read_zip_entries(raw);
+
+  for (const [name, entry] of entries) {
+    if (/\.apk$/i.test(name)) {
+      debug(`Searching split APK: ${name}`);
+      read_apk_store_files(`${apk_label}/${name}`, entry.read(), store_files);
+      continue;
+    }
+
+    let relative_path = null;
+
+    if (/^assemblies\/[^/]+$/.test(name)) {
+      relative_path = name.substring('assemblies/'.length);
+    } else if (/^lib\/[^/]+\/libassemblies\.[^/]+\.blob\.so$/.test(name)) {
+      relative_path = name;
+    }
+
+    if (!relative_path) continue;
+
+    if (store_files.has(relative_path)) {
+      debug(`Ignoring duplicate entry '${name}' in: ${apk_label}`);
+      continue;
+    }
+
+    debug(`Found '${name}' in: ${apk_label}`);
+    store_files.set(relative_path, new StoreFile(relative_path, () => entry.read()));
+  }
+
+  return store_files;
+}
+
+function get_directory_lookup(in_directory) {
+  return (relative_path) => {
+    const file_path = path.join(in_directory, relative_path);
+    return fs.existsSync(file_path) ? new StoreFile(file_path) : null;
+  };
+}
+
+function find_arch_store_files(lookup, arch) {
+  // candidate locations, relative to either the 'assemblies/' directory or the 'lib/' directory of an unpacked APK
+  const elf_file_name = ARCHITECTURE_ELF_MAP[arch];
+  const abi = ANDROID_ABI_MAP[arch];
+
+  return [
+    ARCHITECTURE_MAP[arch],
+    elf_file_name,
+    path.posix.join(abi, elf_file_name),
+    path.posix.join('lib', abi, elf_file_name),
+  ].map(lookup).filter(store_file => !!store_file);
+}
+
+function find_v2_store_files(lookup, include_arch_assemblies) {
+  // v2 stores: one self-contained store per ABI, no 'assemblies.manifest'
+  const store_files = [];
+
+  const assemblies_file = lookup(FILE_ASSEMBLIES_BLOB);
+  if (assemblies_file && (read_store_format_version(assemblies_file) >= ASSEMBLY_STORE_FORMAT_VERSION_2)) {
+    store_files.push(assemblies_file);
+  }
+
+  for (let arch of normalize_arch_list(include_arch_assemblies)) {
+    for (const arch_assembly_file of find_arch_store_files(lookup, arch)) {
+      if (read_store_format_version(arch_assembly_file) >= ASSEMBLY_STORE_FORMAT_VERSION_2) {
+        store_files.push(arch_assembly_file);
+        break;
+      }
+    }
+  }
+
+  return store_files;
+}
+
+function load_v2_store(store_file) {
+  const assembly_store = new AssemblyStore(store_file, null);
+  const dir_name = assembly_store.abi || store_file.file_name.replace(/\.blob(\.so)?$/, '');
+
+  return { assembly_store, dir_name };
+}
+
+function load_stores(lookup, in_label, include_arch_assemblies, lenient = false, log = () => {}) {
+  // returns: [{assembly_store, dir_name}] in extraction order
+  // throws: AssemblyStoreError
+
+  const manifest_path = path.join(in_label, FILE_ASSEMBLIES_MANIFEST);
+  const assemblies_path = path.join(in_label, FILE_ASSEMBLIES_BLOB);
+
+  const v2_store_files = find_v2_store_files(lookup, include_arch_assemblies);
+  if (v2_store_files.length) {
+    return v2_store_files.map(load_v2_store);
+  }
+
+  const manifest_file = lookup(FILE_ASSEMBLIES_MANIFEST);
+  const assemblies_file = lookup(FILE_ASSEMBLIES_BLOB);
+
+  if (!manifest_file && !lenient) {
+    throw new AssemblyStoreError(`Manifest file '${manifest_path}' does not exist!`, 12);
+  } else if (!assemblies_file) {
+    throw new AssemblyStoreError(`Main assemblies blob '${assemblies_path}' does not exist!`, 13);
+  }
+
+  // lenient: every assembly name is recovered by 'recover_assembly_names'
+  if (!manifest_file) {
+    log(`Manifest file '${manifest_path}' does not exist! Recovering assembly names.`);
+  }
+
+  const manifest_entries = manifest_file ? read_manifest(manifest_file) : new ManifestList();
+  if (!manifest_entries) {
+    throw new AssemblyStoreError(`Unable to parse '${FILE_ASSEMBLIES_MANIFEST}' file!`, 14);
+  }
+
+  const assembly_store = new AssemblyStore(assemblies_file, manifest_entries);
+  const stores = [{ assembly_store, dir_name: 'primary' }];
+
+  if (assembly_store.hdr_lec !== assembly_store.hdr_gec) {
+    debug('Architecture-specific assemblies exist!');
+
+    include_arch_assemblies = normalize_arch_list(include_arch_assemblies);
+
+    for (let arch of include_arch_assemblies) {
+      const arch_assembly_file = lookup(ARCHITECTURE_MAP[arch]);
+
+      if (arch_assembly_file) {
+        const arch_assembly_store = new AssemblyStore(arch_assembly_file, manifest_entries, false);
+        stores.push({ assembly_store: arch_assembly_store, dir_name: arch });
+      }
+    }
+  }
+
+  return stores;
+}
+
+function open_input_stores(in_directory, apk_files, include_arch_assemblies, lenient = false, log = () => {}) {
+  // returns: [{assembly_store, dir_name}]
+  // throws: AssemblyStoreError
+  //
+  // input is one of:
+  //   - apk_files:    .apk, .xapk, .apks, or a base APK followed by its split APKs
+  //   - in_directory: a directory of blobs/manifest, or a single format version 2 store file
+
+  if (apk_files && apk_files.length) {
+    apk_files = apk_files.map(apk_file => path.resolve(apk_file));
+
+    const store_files = new Map();
+
+    for (const apk_file of apk_files) {
+      if (!fs.existsSync(apk_file)) {
+        throw new AssemblyStoreError(`APK file '${apk_file}' does not exist!`, 17);
+      }
+
+      try {
+        read_apk_store_files(apk_file, fs.readFileSync(apk_file), store_files);
+      } catch(e) {
+        throw new AssemblyStoreError(`Unable to read APK file '${apk_file}': ${e.message}`, 18);
+      }
+    }
+
+    const lookup = (relative_path) => store_files.get(relative_path) || null;
+
+    return load_stores(lookup, path.join(apk_files[0], 'assemblies'), include_arch_assemblies, lenient, log);
+  }
+
+  in_directory = path.resolve(in_directory);
+
+  if (fs.existsSync(in_directory) && fs.statSync(in_directory).isFile()) {
+    // a single store file (ex: 'libassemblies.arm64-v8a.blob.so')
+    if (read_store_format_version(in_directory) < ASSEMBLY_STORE_FORMAT_VERSION_2) {
+      throw new AssemblyStoreError(`Assembly store '${in_directory}' can only be unpacked on its own if it is format version 2 or higher!`, 16);
+    }
+
+    return [load_v2_store(new StoreFile(in_directory))];
+  }
+
+  return load_stores(get_directory_lookup(in_directory), in_directory, include_arch_assemblies, lenient, log);
+}
+
+async function recover_assembly_names(stores) {
+  // lenient unpack: adds a manifest entry for each assembly that is missing from 'assemblies.manifest'.
+  // a name is recovered from (in order):
+  //   - 'dictionary': a well-known assembly name, with the same hash64 value as the assembly
+  //   - 'metadata':   the name in the CLI metadata of the DLL
+  //   - 'unknown':    'unknown_<store_id>_<blob_idx>_<hash32>'
+  // returns: [ManifestEntry] that were added
+
+  const v1_stores = stores
+    .map(({ assembly_store }) => assembly_store)
+    .filter(assembly_store => assembly_store.format_version < ASSEMBLY_STORE_FORMAT_VERSION_2);
+
+  const primary_store = v1_stores.find(assembly_store => assembly_store.hdr_store_id === 0);
+  if (!primary_store) {
+    return [];
+  }
+
+  // all stores share the same manifest entries, and only the primary store has hash tables
+  const manifest_entries = primary_store.manifest_entries;
+
+  const hashes = new Map();
+  const get_hashes = (store_id, blob_idx) => {
+    const key = `${store_id}:${blob_idx}`;
+    if (!hashes.has(key)) {
+      hashes.set(key, { hash32: null, hash64: null });
+    }
+    return hashes.get(key);
+  };
+
+  primary_store.global_hash32.forEach(hash_entry => get_hashes(hash_entry.store_id, hash_entry.local_store_index).hash32 = hash_entry.hash_val);
+  primary_store.global_hash64.forEach(hash_entry => get_hashes(hash_entry.store_id, hash_entry.local_store_index).hash64 = hash_entry.hash_val);
+
+  const known_names = new Map(KNOWN_ASSEMBLY_NAMES.map(name => [`0x${gen_xxhash(name)[1]}`, name]));
+
+  const recovered = [];
+
+  for (const assembly_store of v1_stores) {
+    const store_id = assembly_store.hdr_store_id;
+
+    for (let blob_idx = 0; blob_idx < assembly_store.assemblies_list.length; blob_idx++) {
+      if (assembly_store.get_manifest_entry(blob_idx)) continue;
+
+      const { hash32, hash64 } = get_hashes(store_id, blob_idx);
+      const is_unique = (name) => !manifest_entries.some(entry => (entry.blob_id === store_id) && (entry.name === name));
+
+      let name = hash64 ? known_names.get(hash64) : null;
+      let name_source = 'dictionary';
+
+      if (!name) {
+        try {
+          name = read_cli_assembly_name(await assembly_store.read_assembly(blob_idx));
+        } catch(e) {
+          debug(`Unable to read assembly ${blob_idx} in '${assembly_store.file_name}': ${e.message}`);
+        }
+        name_source = 'metadata';
+      }
+
+      if (!name || !is_unique(name) || !/^[^\\/:*?"<>|\s]+$/.test(name)) {
+        name = `unknown_${store_id}_${blob_idx}_${hash32 ? hash32.replace(/^0x/, '') : 'nohash'}`;
+        name_source = 'unknown';
+      }
+
+      const entry = new ManifestEntry(hash32 || '0x00000000', hash64 || '0x0000000000000000', store_id, blob_idx, name);
+      entry.name_source = name_source;
+
+      // the runtime looks up assemblies by hash, so a name from the metadata is only a guess when its hash differs
+      entry.hash_mismatch = (name_source === 'metadata') && !!hash64 && (`0x${gen_xxhash(name)[1]}` !== hash64);
+
+      manifest_entries.push(entry);
+      recovered.push(entry);
+    }
+  }
+
+  return recovered;
+}
+
+function prepare_out_directory(out_directory, force) {
+  if (force && fs.existsSync(out_directory)) {
+    fs.rmSync(out_directory, { recursive: true, force: true });
+  }
+
+  if (fs.existsSync(out_directory)) {
+    throw new AssemblyStoreError('Out directory already exists!', 11);
+  }
+}
+
+async function do_unpack(in_directory, out_directory, include_arch_assemblies, force, apk_files = null, jobs = DEFAULT_LZ4_JOBS, include_names = [], exclude_names = [], lenient = false) {
+  await unpack_stores({
+    in_directory,
+    out_directory,
+    arch: include_arch_assemblies,
+    force,
+    apk_files,
+    jobs,
+    include: include_names,
+    exclude: exclude_names,
+    lenient,
+    log: console.log,
+  });
+
+  return 0;
+}
+
+function format_store_version(version) {
+  // v2+ versions also hold flags, which are easier to read in hex
+  return (version > ASSEMBLY_STORE_FORMAT_VERSION_MASK) ? `0x${(version >>> 0).toString(16)}` : `${version}`;
+}
+
+function format_table(columns, rows) {
+  // columns: [{key, label, align}]
+  const widths = columns.map(column => Math.max(column.label.length, ...rows.map(row => `${row[column.key]}`.length)));
+
+  const format_row = (values) => values
+    .map((value, i) => (columns[i].align === 'right') ? `${value}`.padStart(widths[i]) : `${value}`.padEnd(widths[i]))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    format_row(columns.map(column => column.label)),
+    format_row(widths.map(width => '-'.repeat(width))),
+    ...rows.map(row => format_row(columns.map(column => row[column.key]))),
+  ].join('\n');
+}
+
+function format_csv(columns, rows) {
+  const escape = (value) => /[",\r\n]/.test(`${value}`) ? `"${`${value}`.replace(/"/g, '""')}"` : `${value}`;
+
+  return [
+    columns.map(column => escape(column.key)).join(','),
+    ...rows.map(row => columns.map(column => escape(row[column.key])).join(',')),
+  ].join('\n');
+}
+
+function do_list(in_directory, apk_files, include_arch_assemblies, format = 'table') {
+  const stores = open_input_stores(in_directory, apk_files, include_arch_assemblies);
+  const store_rows = stores.map(({ assembly_store }) => ({
+    file: assembly_store.file_name,
+    version: assembly_store.hdr_version,
+    lec: assembly_store.hdr_lec,
+    gec: assembly_store.hdr_gec,
+    store_id: assembly_store.hdr_store_id,
+  }));
+
+  const assembly_rows = [];
+  for (const { assembly_store } of stores) {
+    assembly_rows.push(...assembly_store.list_all());
+    assembly_store.close();
+  }
+
+  const store_columns = [
+    { key: 'file',     label: 'Store' },
+    { key: 'version',  label: 'Version' },
+    { key: 'lec',      label: 'LEC',      align: 'right' },
+    { key: 'gec',      label: 'GEC',      align: 'right' },
+    { key: 'store_id', label: 'Store ID', align: 'right' },
+  ];
+
+  const assembly_columns = [
+    { key: 'name',              label: 'Name' },
+    { key: 'store_file',        label: 'Store' },
+    { key: 'store_id',          label: 'Store ID',     align: 'right' },
+    { key: 'blob_idx',          label: 'Blob idx',     align: 'right' },
+    { key: 'compressed_size',   label: 'Size',         align: 'right' },
+    { key: 'uncompressed_size', label: 'Uncompressed', align: 'right' },
+    { key: 'lz4',               label: 'LZ4' },
+    { key: 'hash32',            label: 'Hash 32' },
+    { key: 'hash64',            label: 'Hash 64' },
+  ];
+
+  switch (format) {
+    case 'json':
+      console.log(JSON.stringify({ stores: store_rows, assemblies: assembly_rows }, null, 4));
+      break;
+    case 'csv': {
+      // one row per assembly, with the header values of its store
+      const store_header_columns = [
+        { key: 'store_version' },
+        { key: 'store_lec' },
+        { key: 'store_gec' },
+      ];
+      const csv_rows = assembly_rows.map(row => {
+        const store_row = store_rows.find(store_row => store_row.file === row.store_file);
+
+        return Object.assign({}, row, {
+          name: (row.name === null) ? '' : row.name,
+          hash32: (row.hash32 === null) ? '' : row.hash32,
+          hash64: (row.hash64 === null) ? '' : row.hash64,
+          store_version: format_store_version(store_row.version),
+          store_lec: store_row.lec,
+          store_gec: store_row.gec,
+        });
+      });
+
+      console.log(format_csv([...assembly_columns, ...store_header_columns], csv_rows));
+      break;
+    }
+    default:
+      console.log(format_table(store_columns, store_rows.map(row => Object.assign({}, row, { version: format_store_version(row.version) }))));
+      console.log('');
+      console.log(format_table(assembly_columns, assembly_rows.map(row => Object.assign({}, row, {
+        name: (row.name === null) ? '(unnamed)' : row.name,
+        lz4: row.lz4 ? 'yes' : 'no',
+        hash32: (row.hash32 === null) ? '' : row.hash32,
+        hash64: (row.hash64 === null) ? '' : row.hash64,
+      }))));
+
+      {
+        const unnamed_count = assembly_rows.filter(row => row.name === null).length;
+        if (unnamed_count) {
+          console.log('');
+          console.log((unnamed_count === 1)
+            ? `1 assembly is missing from the manifest (use 'unpack --lenient' to recover its name).`
+            : `${unnamed_count} assemblies are missing from the manifest (use 'unpack --lenient' to recover their names).`);
+        }
+      }
+      break;
+  }
+
+  return 0;
+}
+
+function format_assembly_identity(assembly) {
+  return `${assembly.name}, Version=${assembly.version}, Culture=${assembly.culture}, PublicKeyToken=${assembly.public_key_token || 'null'}`;
+}
+
+async function inspect_store_assemblies(assembly_store, name_filter = null) {
+  // returns: [{name, store_file, blob_idx, assembly}], or {..., error} when an assembly cannot be inspected
+  const rows = [];
+
+  for (let i = 0; i < assembly_store.assemblies_list.length; i++) {
+    const entry = assembly_store.get_manifest_entry(i);
+    const name = entry ? entry.name : `#${i}`;
+
+    if (name_filter && !name_filter(name)) continue;
+
+    const row = { name, store_file: assembly_store.file_name, blob_idx: i };
+
+    try {
+      row.assembly = inspect_assembly(await assembly_store.read_assembly(i));
+    } catch(e) {
+      row.error = e.message;
+    }
+
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+async function do_inspect(in_directory, apk_files, include_arch_assemblies, names = [], format = 'text') {
+  let name_filter;
+  try {
+    name_filter = compile_name_filter(names, []);
+  } catch(e) {
+    console.log(`Invalid name filter: ${e.message}`);
+    return 83;
+  }
+
+  const stores = open_input_stores(in_directory, apk_files, include_arch_assemblies);
+  const rows = [];
+
+  for (const { assembly_store } of stores) {
+    rows.push(...await inspect_store_assemblies(assembly_store, name_filter));
+    assembly_store.close();
+  }
+
+  if (!rows.length) {
+    console.log('No matching assemblies found!');
+    return 81;
+  }
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ assemblies: rows }, null, 4));
+  } else {
+    const yes_no = (value) => value ? 'yes' : 'no';
+
+    for (const row of rows) {
+      console.log(`${row.name} (${row.store_file} #${row.blob_idx})`);
+
+      if (row.error) {
+        console.log(`  Error: ${row.error}`);
+        console.log('');
+        continue;
+      }
+
+      const assembly = row.assembly;
+
+      if (assembly.name !== row.name) {
+        console.log(`  Assembly name:       ${assembly.name}`);
+      }
+
+      console.log(`  Version:             ${assembly.version}`);
+      console.log(`  Culture:             ${assembly.culture}`);
+      console.log(`  Public key token:    ${assembly.public_key_token || 'null'}`);
+      console.log(`  Target framework:    ${assembly.target_framework || 'unknown'}`);
+      console.log(`  Reference assembly:  ${yes_no(assembly.reference_assembly)}`);
+      console.log(`  ReadyToRun:          ${yes_no(assembly.ready_to_run)}`);
+      console.log(`  Mixed-mode:          ${yes_no(assembly.mixed_mode)}`);
+      console.log(`  References:          ${assembly.references.length ? '' : 'none'}`.trimEnd());
+
+      for (const reference of assembly.references) {
+        console.log(`    ${format_assembly_identity(reference)}`);
+      }
+
+      console.log('');
+    }
+  }
+
+  return rows.some(row => row.error) ? 82 : 0;
+}
+
+function escape_dot_id(value) {
+  return `"${`${value}`.replace(/["\\]/g, '\\$&')}"`;
+}
+
+function format_dot_node_label(node) {
+  // the name and version on separate lines
+  const label = escape_dot_id(node.name);
+  return node.version ? `${label.slice(0, -1)}\\n${escape_dot_id(node.version).slice(1)}` : label;
+}
+
+function build_reference_graph(stores, store_rows) {
+  // stores: [{assembly_store, dir_name}]
+  // store_rows: [[rows of 'inspect_store_assemblies']], in the same order as stores
+  // returns: {configurations, nodes, edges}
+  //
+  // a reference is checked against each set of stores that is loaded together at runtime (a configuration):
+  //   - format version 1: the primary store, plus one architecture-specific store
+  //   - format version 2: one self-contained store per ABI
+
+  const entries = stores.map((store, i) => Object.assign({ rows: store_rows[i] }, store));
+  const is_v1 = ({ assembly_store }) => assembly_store.format_version < ASSEMBLY_STORE_FORMAT_VERSION_2;
+
+  const v1_primary = entries.find(entry => is_v1(entry) && (entry.assembly_store.hdr_store_id === 0));
+  const v1_arch = entries.filter(entry => is_v1(entry) && (entry !== v1_primary));
+
+  const configurations = [];
+
+  if (v1_primary) {
+    if (v1_arch.length) {
+      v1_arch.forEach(entry => configurations.push({ label: entry.dir_name, entries: [v1_primary, entry] }));
+    } else {
+      configurations.push({ label: v1_primary.dir_name, entries: [v1_primary] });
+    }
+  }
+
+  entries.filter(entry => !is_v1(entry)).forEach(entry => configurations.push({ label: entry.dir_name, entries: [entry] }));
+
+  const known_names = new Set(KNOWN_ASSEMBLY_NAMES);
+  const get_node_name = (row) => row.assembly ? row.assembly.name : row.name;
+
+  const nodes = new Map();
+  for (const entry of entries) {
+    for (const row of entry.rows) {
+      const name = get_node_name(row);
+
+      if (!nodes.has(name)) {
+        const kind = !row.assembly
+          ? 'unknown'
+          : ((known_names.has(name) || FRAMEWORK_PUBLIC_KEY_TOKENS.includes(row.assembly.public_key_token)) ? 'framework' : 'app');
+
+        nodes.set(name, { name, kind, version: row.assembly ? row.assembly.version : null, stores: [] });
+      }
+
+      if (!nodes.get(name).stores.includes(entry.assembly_store.file_name)) {
+        nodes.get(name).stores.push(entry.assembly_store.file_name);
+      }
+    }
+  }
+
+  const edges = new Map();
+  for (const configuration of configurations) {
+    const available_names = new Set(configuration.entries.flatMap(entry => entry.rows.map(get_node_name)));
+
+    for (const entry of configuration.entries) {
+      for (const row of entry.rows.filter(row => !!row.assembly)) {
+        for (const reference of row.assembly.references) {
+          const key = `${row.assembly.name}\0${reference.name}`;
+
+          if (!edges.has(key)) {
+            edges.set(key, { from: row.assembly.name, to: reference.name, version: reference.version, satisfied: true, missing_in: [] });
+          }
+
+          const edge = edges.get(key);
+          if (!available_names.has(reference.name) && !edge.missing_in.includes(configuration.label)) {
+            edge.satisfied = false;
+            edge.missing_in.push(configuration.label);
+          }
         }
+      }
+    }
+  }
+
+  // referenced assemblies that are not in any store
+  for (const edge of edges.values()) {
+    if (!nodes.has(edge.to)) {
+      nodes.set(edge.to, { name: edge.to, kind: 'missing', version: edge.version, stores: [] });
+    }
+  }
+
+  const by_name = (a, b) => (a < b) ? -1 : ((a > b) ? 1 : 0);
+
+  return {
+    configurations: configurations.map(configuration => configuration.label),
+    nodes: [...nodes.values()].sort((a, b) => by_name(a.name, b.name)),
+    edges: [...edges.values()].sort((a, b) => by_name(a.from, b.from) || by_name(a.to, b.to)),
+  };
+}
+
+function format_reference_graph_dot(graph) {
+  const node_attributes = {
+    app:       'fillcolor="lightblue"',
+    framework: 'fillcolor="lightgray"',
+    unknown:   'fillcolor="white", style="dashed"',
+    missing:   'fillcolor="white", color="red", fontcolor="red", style="dashed"',
+  };
+
+  const lines = [
+    'digraph assemblies {',
+    '  rankdir=LR;',
+    '  node [shape=box, style=filled];',
+    '',
+  ];
+
+  for (const node of graph.nodes) {
+    lines.push(`  ${escape_dot_id(node.name)} [label=${format_dot_node_label(node)}, ${node_attributes[node.kind]}];`);
+  }
+
+  lines.push('');
+
+  for (const edge of graph.edges) {
+    const attributes = edge.satisfied ? '' : ` [color="red", label=${escape_dot_id(`missing in: ${edge.missing_in.join(', ')}`)}]`;
+    lines.push(`  ${escape_dot_id(edge.from)} -> ${escape_dot_id(edge.to)}${attributes};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+async function do_graph(in_directory, apk_files, include_arch_assemblies, format = 'dot', out_file = null) {
+  const stores = open_input_stores(in_directory, apk_files, include_arch_assemblies);
+  const store_rows = [];
+  for (const { assembly_store } of stores) {
+    store_rows.push(await inspect_store_assemblies(assembly_store));
+    assembly_store.close();
+  }
+
+  const graph = build_reference_graph(stores, store_rows);
+  const output = (format === 'json') ? JSON.stringify(graph, null, 4) : format_reference_graph_dot(graph);
+  const unsatisfied = graph.edges.filter(edge => !edge.satisfied);
+
+  if (!out_file) {
+    console.log(output);
+  } else {
+    console.log(`Writing '${out_file}'...`);
+    fs.writeFileSync(out_file, `${output}\n`);
 
-        let assembly_data = fs.readFileSync(assembly.file);
-        if (assembly.lz4) {
-          assembly_data = await lz4_compress(assembly_data, assembly.lz4_desc_idx);
+    console.log(`${graph.nodes.filter(node => node.kind !== 'missing').length} assemblies, ${graph.edges.length} references.`);
+
+    if (unsatisfied.length) {
+      console.log(`${unsatisfied.length} unsatisfied references:`);
+
+      for (const edge of unsatisfied) {
+        console.log(`  ${edge.from} -> ${edge.to}, Version=${edge.version} (missing in: ${edge.missing_in.join(', ')})`);
+      }
+    }
+  }
+
+  return unsatisfied.length ? 91 : 0;
+}
+
+async function collect_sbom_components(stores) {
+  // stores: [{assembly_store, dir_name}]
+  // returns: {components, errors}
+  //
+  // assemblies with the same name and content (ex: the same DLL in several per-ABI stores) are one component, that ships for several ABIs.
+  // the ABI of an assembly in the primary store (format version 1) is null: it ships for every ABI.
+
+  const components = new Map();
+  const errors = [];
+
+  for (const { assembly_store, dir_name } of stores) {
+    const is_v1 = assembly_store.format_version < ASSEMBLY_STORE_FORMAT_VERSION_2;
+    const arch = is_v1 ? ((dir_name === 'primary') ? null : dir_name) : assembly_store.abi;
+    const abi = arch ? (ANDROID_ABI_MAP[arch] || arch) : null;
+
+    for (let i = 0; i < assembly_store.assemblies_list.length; i++) {
+      const entry = assembly_store.get_manifest_entry(i);
+      const store_name = entry ? entry.name : `#${i}`;
+
+      let data;
+      try {
+        data = await assembly_store.read_assembly(i);
+      } catch(e) {
+        errors.push(`${store_name} (${assembly_store.file_name} #${i}): ${e.message}`);
+        continue;
+      }
+
+      let assembly = null;
+      try {
+        assembly = inspect_assembly(data);
+      } catch(e) {
+        debug(`${store_name}: ${e.message}`);
+      }
+
+      const sha256 = gen_content_digest(data);
+      const key = `${store_name}\0${sha256}`;
+
+      if (!components.has(key)) {
+        components.set(key, {
+          name:             assembly ? assembly.name : store_name,
+          store_name,
+          version:          assembly ? assembly.version : null,
+          culture:          assembly ? assembly.culture : null,
+          public_key_token: assembly ? assembly.public_key_token : null,
+          size:             data.length,
+          sha1:             crypto.createHash('sha1').update(data).digest('hex'),
+          sha256,
+          abis:             [],
+          stores:           [],
+        });
+      }
+
+      const component = components.get(key);
+
+      if (!component.abis.includes(abi)) {
+        component.abis.push(abi);
+      }
+      if (!component.stores.includes(assembly_store.file_name)) {
+        component.stores.push(assembly_store.file_name);
+      }
+    }
+  }
+
+  return { components: [...components.values()], errors };
+}
+
+function format_sbom_cyclonedx(app_name, components) {
+  // CycloneDX 1.5 JSON
+  const get_bom_ref = (component) => `${component.store_name}@${component.version || 'unknown'}#${component.sha256.substring(0, 16)}`;
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      tools: {
+        components: [{ type: 'application', name: 'jsxamstore', version: PACKAGE_VERSION }],
+      },
+      component: { type: 'application', 'bom-ref': 'app', name: app_name },
+    },
+    components: components.map(component => {
+      const properties = [];
+      const add_property = (name, value) => { if (value !== null) properties.push({ name: `jsxamstore:${name}`, value: `${value}` }); };
+
+      component.abis.forEach(abi => add_property('abi', abi || 'any'));
+      component.stores.forEach(store => add_property('store', store));
+      add_property('store_name', component.store_name);
+      add_property('culture', component.culture);
+      add_property('public_key_token', component.public_key_token);
+      add_property('size', component.size);
+
+      return Object.assign(
+        { type: 'library', 'bom-ref': get_bom_ref(component), name: component.name },
+        component.version ? { version: component.version } : {},
+        {
+          hashes: [
+            { alg: 'SHA-1', content: component.sha1 },
+            { alg: 'SHA-256', content: component.sha256 },
+          ],
+          properties,
         }
+      );
+    }),
+    dependencies: [
+      { ref: 'app', dependsOn: components.map(get_bom_ref) },
+    ],
+  };
+}
+
+function format_sbom_spdx(app_name, components) {
+  // SPDX 2.3 JSON
+  const NOASSERTION = 'NOASSERTION';
+
+  const packages = components.map((component, i) => Object.assign(
+    { name: component.name, SPDXID: `SPDXRef-Assembly-${i}` },
+    component.version ? { versionInfo: component.version } : {},
+    {
+      packageFileName: component.store_name,
+      primaryPackagePurpose: 'LIBRARY',
+      downloadLocation: NOASSERTION,
+      filesAnalyzed: false,
+      checksums: [
+        { algorithm: 'SHA1', checksumValue: component.sha1 },
+        { algorithm: 'SHA256', checksumValue: component.sha256 },
+      ],
+      licenseConcluded: NOASSERTION,
+      licenseDeclared: NOASSERTION,
+      copyrightText: NOASSERTION,
+      comment: `ABI: ${component.abis.map(abi => abi || 'any').join(', ')}. Store: ${component.stores.join(', ')}.`,
+    }
+  ));
+
+  return {
+    spdxVersion: 'SPDX-2.3',
+    dataLicense: 'CC0-1.0',
+    SPDXID: 'SPDXRef-DOCUMENT',
+    name: app_name,
+    documentNamespace: `https://spdx.org/spdxdocs/jsxamstore-${encodeURIComponent(app_name)}-${crypto.randomUUID()}`,
+    creationInfo: {
+      created: new Date().toISOString().replace(/\.\d+Z$/, 'Z'),
+      creators: [`Tool: jsxamstore-${PACKAGE_VERSION}`],
+    },
+    packages: [
+      {
+        name: app_name,
+        SPDXID: 'SPDXRef-App',
+        primaryPackagePurpose: 'APPLICATION',
+        downloadLocation: NOASSERTION,
+        filesAnalyzed: false,
+        licenseConcluded: NOASSERTION,
+        licenseDeclared: NOASSERTION,
+        copyrightText: NOASSERTION,
+      },
+      ...packages,
+    ],
+    relationships: [
+      { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: 'SPDXRef-App' },
+      ...packages.map(pkg => ({ spdxElementId: 'SPDXRef-App', relationshipType: 'CONTAINS', relatedSpdxElement: pkg.SPDXID })),
+    ],
+  };
+}
+
+async function do_sbom(in_directory, apk_files, include_arch_assemblies, format = 'cyclonedx', out_file = null, app_name = null) {
+  const stores = open_input_stores(in_directory, apk_files, include_arch_assemblies);
+  let result;
+  try {
+    result = await collect_sbom_components(stores);
+  } finally {
+    stores.forEach(({ assembly_store }) => assembly_store.close());
+  }
+
+  if (!result.components.length) {
+    console.log('No assemblies found!');
+    return 101;
+  }
 
-        const data_size = assembly_data.length;
+  if (!app_name) {
+    app_name = (apk_files && apk_files.length)
+      ? path.basename(apk_files[0]).replace(/\.(apk|xapk|apks)$/i, '')
+      : path.basename(path.resolve(in_directory));
+  }
+
+  const sbom = (format === 'spdx')
+    ? format_sbom_spdx(app_name, result.components)
+    : format_sbom_cyclonedx(app_name, result.components);
+
+  const output = JSON.stringify(sbom, null, 4);
+
+  if (!out_file) {
+    console.log(output);
+  } else {
+    console.log(`Writing '${out_file}'...`);
+    fs.writeFileSync(out_file, `${output}\n`);
+    console.log(`${result.components.length} components.`);
+  }
+
+  // stderr, to keep stdout a valid SBOM document
+  for (const error of result.errors) {
+    console.error(`Unable to read assembly ${error}`);
+  }
+
+  return result.errors.length ? 102 : 0;
+}
+
+async function verify_assembly_store(assembly_store, primary_lec) {
+  // returns: [{name, errors, warnings}], one item per check
+  const checks = [];
+  const store_size = assembly_store.size;
+  const is_v2 = assembly_store.format_version >= ASSEMBLY_STORE_FORMAT_VERSION_2;
+
+  const add_check = (name, errors, warnings = []) => checks.push({ name, errors, warnings });
+  const is_sorted = (hash_entries) => hash_entries.every((hash_entry, i) => (i === 0) || (BigInt(hash_entries[i - 1].hash_val) <= BigInt(hash_entry.hash_val)));
+
+  // header
+  {
+    const errors = [];
+
+    if (!is_v2 && (assembly_store.hdr_version !== ASSEMBLY_STORE_FORMAT_VERSION)) {
+      errors.push(`unexpected version: ${assembly_store.hdr_version}`);
+    }
+    if (is_v2 && !assembly_store.abi) {
+      errors.push(`unknown ABI in version: ${format_store_version(assembly_store.hdr_version)}`);
+    }
+    if (!is_v2 && (assembly_store.hdr_store_id === 0) && (assembly_store.hdr_gec < assembly_store.hdr_lec)) {
+      errors.push(`gec (${assembly_store.hdr_gec}) is less than lec (${assembly_store.hdr_lec})`);
+    }
+
+    add_check('header magic/version', errors);
+  }
+
+  // metadata: header, TOC (or index + descriptors + names), and hash tables
+  let metadata_end;
+  if (is_v2) {
+    metadata_end = 20 + assembly_store.hdr_index_size + (assembly_store.hdr_lec * 28);
+    for (const name of assembly_store.assembly_names) {
+      metadata_end += 4 + Buffer.byteLength(name, 'utf8');
+    }
+  } else {
+    metadata_end = 20 + (assembly_store.hdr_lec * 24);
+    if (assembly_store.hdr_store_id === 0) {
+      metadata_end += assembly_store.hdr_gec * 40;
+    }
+  }
+
+  // TOC offsets and sizes
+  {
+    const errors = [];
+    const regions = [];
+
+    if (metadata_end > store_size) {
+      errors.push(`metadata (${metadata_end} bytes) is past end of file (${store_size} bytes)`);
+    }
+
+    assembly_store.assemblies_list.forEach((assembly, i) => {
+      const add_region = (label, offset, size) => {
+        if ((label !== 'data') && (size === 0)) return;
+
+        if ((size === 0) || (offset < metadata_end) || ((offset + size) > store_size)) {
+          errors.push(`entry ${i}: ${label} (offset ${offset}, size ${size}) is outside of the data section (${metadata_end}-${store_size})`);
+        }
+
+        regions.push({ label: `entry ${i} ${label}`, start: offset, end: offset + size });
+      };
+
+      add_region('data', assembly.data_offset, assembly.data_size);
+      add_region('debug data', assembly.debug_data_offset, assembly.debug_data_size);
+      add_region('config data', assembly.config_data_offset, assembly.config_data_size);
+    });
+
+    regions.sort((a, b) => a.start - b.start);
+    for (let i = 1; i < regions.length; i++) {
+      if (regions[i].start < regions[i - 1].end) {
+        errors.push(`${regions[i - 1].label} overlaps ${regions[i].label}`);
+      }
+    }
+
+    add_check('TOC offsets and sizes', errors);
+  }
+
+  // names
+  {
+    const errors = [];
+
+    for (let i = 0; i < assembly_store.assemblies_list.length; i++) {
+      if (!assembly_store.get_manifest_entry(i)) {
+        errors.push(`entry ${i}: no manifest entry for store_id ${assembly_store.hdr_store_id}`);
+      }
+    }
+
+    add_check(is_v2 ? 'assembly names' : 'manifest entries', errors);
+  }
+
+  if (is_v2) {
+    // index
+    const errors = [];
+    const known_hashes = new Map();
+
+    for (let i = 0; i < assembly_store.assembly_names.length; i++) {
+      const name = assembly_store.assembly_names[i];
+      const name_without_ext = name.replace(/\.dll$/i, '');
+
+      for (const indexed_name of [name, name_without_ext]) {
+        known_hashes.set(await gen_xxhash_v2(indexed_name, assembly_store.is_64bit), i);
+      }
+    }
+
+    if (!is_sorted(assembly_store.index_list)) {
+      errors.push('index is not sorted ascending');
+    }
+
+    assembly_store.index_list.forEach((index_entry, i) => {
+      const hash_val = BigInt(index_entry.hash_val);
+
+      if (index_entry.descriptor_index >= assembly_store.hdr_lec) {
+        errors.push(`index entry ${i}: descriptor index ${index_entry.descriptor_index} is out of range`);
+      } else if (!known_hashes.has(hash_val)) {
+        errors.push(`index entry ${i}: hash ${index_entry.hash_val} does not match any assembly name`);
+      } else if (known_hashes.get(hash_val) !== index_entry.descriptor_index) {
+        errors.push(`index entry ${i}: hash ${index_entry.hash_val} belongs to descriptor ${known_hashes.get(hash_val)}, not ${index_entry.descriptor_index}`);
+      }
+    });
+
+    add_check('index', errors);
+  }
+
+  if (!is_v2 && (assembly_store.hdr_store_id === 0)) {
+    const manifest_entries = assembly_store.manifest_entries;
+
+    // hash tables: count
+    {
+      const errors = [];
+      const data_offsets = assembly_store.assemblies_list.map(assembly => assembly.data_offset);
+
+      if (data_offsets.length) {
+        const hash_entry_count = (Math.min(...data_offsets) - 20 - (assembly_store.hdr_lec * 24)) / 40;
+
+        if (hash_entry_count !== assembly_store.hdr_gec) {
+          errors.push(`gec is ${assembly_store.hdr_gec}, but there is room for ${hash_entry_count} hash entries`);
+        }
+      }
+      if (manifest_entries.length !== assembly_store.hdr_gec) {
+        errors.push(`gec is ${assembly_store.hdr_gec}, but the manifest has ${manifest_entries.length} entries`);
+      }
+
+      add_check('gec matches hash entry count', errors);
+    }
+
+    for (const [key, hash_entries] of [['hash32', assembly_store.global_hash32], ['hash64', assembly_store.global_hash64]]) {
+      const hash_index = (key === 'hash32') ? 0 : 1;
+      const known_hashes = new Map();
+      const recovered_hashes = new Map();
+
+      for (const entry of manifest_entries) {
+        known_hashes.set(BigInt(`0x${gen_xxhash(entry.name)[hash_index]}`), entry);
+
+        // a name that was recovered by a lenient unpack is packed with the original hashes, which are written to the manifest
+        const manifest_hash = (key === 'hash32') ? entry.hash32 : entry.hash64;
+        if (entry.name_source && /^0x[0-9a-f]+$/i.test(manifest_hash)) {
+          recovered_hashes.set(BigInt(manifest_hash), entry);
+        }
+      }
+
+      // sorted
+      add_check(`${key} table sorted ascending`, is_sorted(hash_entries) ? [] : [`${key} table is not sorted ascending`]);
+
+      // names and mapping
+      {
+        const name_errors = [];
+        const recovered_warnings = [];
+        const mapping_errors = [];
+
+        hash_entries.forEach((hash_entry, i) => {
+          let entry = known_hashes.get(BigInt(hash_entry.hash_val));
+
+          if (!entry && recovered_hashes.has(BigInt(hash_entry.hash_val))) {
+            entry = recovered_hashes.get(BigInt(hash_entry.hash_val));
+            recovered_warnings.push(`${key} entry ${i}: ${hash_entry.hash_val} is the original hash of '${entry.name}', which was recovered from the ${entry.name_source}`);
+          }
+
+          if (!entry) {
+            name_errors.push(`${key} entry ${i}: ${hash_entry.hash_val} does not match the hash of any manifest name`);
+            return;
+          }
+
+          const mapping_index = (entry.blob_id === 0) ? entry.blob_idx : (primary_lec + entry.blob_idx);
+
+          if ((hash_entry.store_id !== entry.blob_id) || (hash_entry.local_store_index !== entry.blob_idx)) {
+            mapping_errors.push(`${key} entry ${i} (${entry.name}): store_id/local index ${hash_entry.store_id}/${hash_entry.local_store_index}, manifest has ${entry.blob_id}/${entry.blob_idx}`);
+          }
+          if (hash_entry.mapping_index !== mapping_index) {
+            mapping_errors.push(`${key} entry ${i} (${entry.name}): mapping_index is ${hash_entry.mapping_index}, expected ${mapping_index}`);
+          }
+        });
+
+        add_check(`${key} values match manifest names`, name_errors);
+        if (recovered_hashes.size) {
+          add_check(`${key} values of recovered names`, [], recovered_warnings);
+        }
+        add_check(`${key} mapping_index/store_id`, mapping_errors);
+      }
+    }
+  }
+
+  // LZ4 payloads
+  {
+    const errors = [];
+
+    for (let i = 0; i < assembly_store.assemblies_list.length; i++) {
+      const assembly = assembly_store.assemblies_list[i];
+      const data = assembly_store.read(assembly.data_offset, assembly.data_size);
+
+      if ((data.length < 12) || !data.subarray(0, 4).equals(COMPRESSED_DATA_MAGIC)) continue;
+
+      try {
+        await AssemblyStore.decompress_lz4(data);
+      } catch(e) {
+        errors.push(`entry ${i}: ${e.message}`);
+      }
+    }
+
+    add_check('LZ4 payloads decompress', errors);
+  }
+
+  return checks;
+}
+
+async function do_verify(in_directory, apk_files, include_arch_assemblies) {
+  let stores;
+
+  try {
+    stores = open_input_stores(in_directory, apk_files, include_arch_assemblies);
+  } catch(e) {
+    if (e instanceof AssemblyStoreError) {
+      throw e;
+    }
+
+    console.log(`[FAIL] Unable to parse assembly stores: ${e.message}`);
+    return 52;
+  }
+
+  const primary = stores.find(({ assembly_store }) => (assembly_store.format_version === ASSEMBLY_STORE_FORMAT_VERSION) && (assembly_store.hdr_store_id === 0));
+  const primary_lec = primary ? primary.assembly_store.hdr_lec : 0;
+
+  let failed_count = 0;
+  let warning_count = 0;
+  let check_count = 0;
+
+  for (const { assembly_store } of stores) {
+    console.log(assembly_store.file_name);
+
+    const checks = await verify_assembly_store(assembly_store, primary_lec);
+    assembly_store.close();
+
+    for (const check of checks) {
+      check_count++;
+
+      if (check.errors.length) {
+        failed_count++;
+        console.log(`  [FAIL] ${check.name}`);
+
+        for (const error of check.errors) {
+          console.log(`         ${error}`);
+        }
+      } else if (check.warnings.length) {
+        warning_count++;
+        console.log(`  [WARN] ${check.name}`);
+
+        for (const warning of check.warnings) {
+          console.log(`         ${warning}`);
+        }
+      } else {
+        console.log(`  [PASS] ${check.name}`);
+      }
+    }
+  }
+
+  console.log('');
+  console.log(failed_count ? `${failed_count} of ${check_count} checks failed.` : `All ${check_count} checks passed.`);
+
+  if (warning_count) {
+    console.log(`${warning_count} checks passed with warnings.`);
+  }
+
+  return failed_count ? 51 : 0;
+}
+
+async function replace_store_assembly(assembly_store, blob_idx, file_data) {
+  // returns: Buffer with the new store (not ELF-wrapped)
+  //
+  // the hash tables (or index) and names are unchanged, since the name of the assembly is unchanged
+
+  const store = assembly_store.read(0, assembly_store.size);
+  const assembly = assembly_store.assemblies_list[blob_idx];
+  const old_data = store.subarray(assembly.data_offset, assembly.data_offset + assembly.data_size);
+  const old_data_end = assembly.data_offset + assembly.data_size;
+
+  // keep the original compression, and its descriptor index
+  let new_data = file_data;
+  if ((old_data.length >= 12) && old_data.subarray(0, 4).equals(COMPRESSED_DATA_MAGIC)) {
+    new_data = await lz4_compress(file_data, old_data.readUInt32LE(4));
+  }
+
+  const delta = new_data.length - assembly.data_size;
+  const new_store = Buffer.concat([store.subarray(0, assembly.data_offset), new_data, store.subarray(old_data_end)]);
+
+  // TOC entries (v1) and descriptors (v2) hold the same 3 pairs of offset/size fields: data, debug data, config data
+  const is_v2 = assembly_store.format_version >= ASSEMBLY_STORE_FORMAT_VERSION_2;
+  const entries_offset = is_v2 ? (20 + assembly_store.hdr_index_size + 4) : 20;
+  const entry_size = is_v2 ? 28 : 24;
+
+  for (let i = 0; i < assembly_store.assemblies_list.length; i++) {
+    const entry_offset = entries_offset + (i * entry_size);
+
+    for (const field_offset of [0, 8, 16]) {
+      const data_offset = new_store.readUInt32LE(entry_offset + field_offset);
+      const data_size = new_store.readUInt32LE(entry_offset + field_offset + 4);
+
+      if ((data_size > 0) && (data_offset >= old_data_end)) {
+        new_store.writeUInt32LE(data_offset + delta, entry_offset + field_offset);
+      }
+    }
+  }
+
+  new_store.writeUInt32LE(new_data.length, entries_offset + (blob_idx * entry_size) + 4);
+
+  return new_store;
+}
+
+async function do_replace(in_directory, name, in_file, arch) {
+  in_file = path.resolve(in_file);
+
+  if (!fs.existsSync(in_file)) {
+    console.log(`Input file '${in_file}' does not exist!`);
+    return 61;
+  }
+
+  arch = arch ? arch.toLowerCase() : null;
+
+  const stores = open_input_stores(in_directory, null, arch ? [arch] : []);
+  let store_path, new_store;
+
+  try {
+    // v1: the primary store, unless an architecture is chosen
+    // v2: the store for the chosen architecture, or any store that holds the assembly
+    const candidates = stores
+      .filter(({ assembly_store, dir_name }) => {
+        if (arch) return (dir_name === arch);
+        return (assembly_store.format_version >= ASSEMBLY_STORE_FORMAT_VERSION_2) || (dir_name === 'primary');
+      })
+      .filter(({ assembly_store }) => assembly_store.find_assembly(name) >= 0);
+
+    if (!candidates.length) {
+      console.log(`Assembly '${name}' not found!` + (arch ? '' : ' For an architecture-specific assembly, use --arch.'));
+      return 62;
+    }
+
+    if (candidates.length > 1) {
+      console.log(`Assembly '${name}' is in more than one store: ${candidates.map(({ assembly_store }) => assembly_store.file_name).join(', ')}. Use --arch to choose one.`);
+      return 63;
+    }
+
+    const { assembly_store } = candidates[0];
+    store_path = assembly_store.store_file.file_path;
+
+    console.log(`Replacing '${name}' in '${assembly_store.file_name}'...`);
+
+    new_store = await replace_store_assembly(assembly_store, assembly_store.find_assembly(name), fs.readFileSync(in_file));
+
+    // only the payload section of an ELF file is rewritten
+    if (assembly_store.is_elf) {
+      try {
+        new_store = splice_elf_payload(assembly_store.store_file.read(), new_store, assembly_store.file_name);
+      } catch(e) {
+        if (e instanceof AssemblyStoreParseError) throw e;
+
+        console.log(e.message);
+        return 64;
+      }
+    }
+  } finally {
+    for (const store of stores) {
+      store.assembly_store.close();
+    }
+  }
+
+  // write next to the original, then replace it
+  const tmp_store_path = `${store_path}.tmp`;
+  fs.writeFileSync(tmp_store_path, new_store);
+  fs.renameSync(tmp_store_path, store_path);
+
+  console.log(`Wrote '${store_path}'.`);
+  return 0;
+}
+
+function find_dll_files(in_directory) {
+  return fs.readdirSync(in_directory)
+    .filter(file_name => /\.dll$/i.test(file_name) && fs.statSync(path.join(in_directory, file_name)).isFile())
+    .sort();
+}
+
+async function do_create(in_directory, arch_directories, lz4, out_directory, force, jobs = DEFAULT_LZ4_JOBS) {
+  in_directory = path.resolve(in_directory);
+  out_directory = path.resolve(out_directory);
+
+  // arch_directories: ["arm64=dlls-arm64/", ...]
+  const arch_stores = [];
+
+  for (const arch_directory of arch_directories) {
+    const [arch, directory] = arch_directory.split(/=(.*)/s);
+
+    if (!ARCHITECTURE_MAP[arch] || !directory) {
+      console.log(`Invalid --arch-dir '${arch_directory}'! Expected: <arch>=<directory>, with <arch> one of: ${Object.keys(ARCHITECTURE_MAP).join(', ')}`);
+      return 72;
+    }
+
+    arch_stores.push({ store_name: ARCHITECTURE_MAP[arch], directory: path.resolve(directory) });
+  }
+
+  const stores = [{ store_name: FILE_ASSEMBLIES_BLOB, directory: in_directory }, ...arch_stores];
+
+  for (const { directory } of stores) {
+    if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+      console.log(`Input directory '${directory}' does not exist!`);
+      return 71;
+    }
+  }
+
+  if (!find_dll_files(in_directory).length) {
+    console.log(`No DLL files found in '${in_directory}'!`);
+    return 73;
+  }
+
+  const dll_lists = stores.map(({ directory }) => find_dll_files(directory));
+
+  // the primary store only holds hash entries for one architecture-specific store, so every architecture must hold the same assemblies
+  for (let store_idx = 2; store_idx < stores.length; store_idx++) {
+    const expect_names = dll_lists[1].map(file_name => file_name.replace(/\.dll$/i, ''));
+    const actual_names = dll_lists[store_idx].map(file_name => file_name.replace(/\.dll$/i, ''));
+
+    const missing_names = expect_names.filter(name => !actual_names.includes(name));
+    const extra_names = actual_names.filter(name => !expect_names.includes(name));
+
+    if (missing_names.length || extra_names.length) {
+      console.log(`Architecture directories '${stores[1].directory}' and '${stores[store_idx].directory}' do not hold the same DLLs!`);
+      if (missing_names.length) {
+        console.log(`  only in '${stores[1].directory}': ${missing_names.join(', ')}`);
+      }
+      if (extra_names.length) {
+        console.log(`  only in '${stores[store_idx].directory}': ${extra_names.join(', ')}`);
+      }
+      return 74;
+    }
+  }
+
+  prepare_out_directory(out_directory, force);
+
+  const json_data = { stores: [], assemblies: [] };
+  const primary_lec = dll_lists[0].length;
+
+  // the primary store holds hash entries for its own assemblies, and for those of the first architecture-specific store
+  const primary_gec = primary_lec + ((dll_lists.length > 1) ? dll_lists[1].length : 0);
+
+  stores.forEach(({ store_name, directory }, store_idx) => {
+    const dll_files = dll_lists[store_idx];
+
+    json_data.stores.push({
+      [store_name]: {
+        store_idx,
+        header: { version: ASSEMBLY_STORE_FORMAT_VERSION, lec: dll_files.length, gec: (store_idx === 0) ? primary_gec : 0, store_id: (store_idx === 0) ? 0 : 1 },
+      }
+    });
+
+    dll_files.forEach((file_name, blob_idx) => {
+      // only one architecture-specific store is loaded at runtime, so they all share the descriptor indexes after the primary store
+      const assembly = {
+        store_idx,
+        lz4,
+        name: file_name.replace(/\.dll$/i, ''),
+        store_id: (store_idx === 0) ? 0 : 1,
+        blob_idx,
+        hash32: '',
+        hash64: '',
+        file: path.join(directory, file_name),
+      };
+
+      if (lz4) {
+        assembly.lz4_desc_idx = ((store_idx === 0) ? 0 : primary_lec) + blob_idx;
+      }
+
+      json_data.assemblies.push(assembly);
+    });
+  });
+
+  update_pack_layout(json_data, console.log);
+
+  fs.mkdirSync(out_directory);
+
+  console.log(`Writing '${FILE_ASSEMBLIES_MANIFEST}'...`);
+  fs.writeFileSync(path.join(out_directory, FILE_ASSEMBLIES_MANIFEST), build_manifest(json_data.assemblies));
+
+  const pool = new LZ4WorkerPool(jobs);
+
+  try {
+    for (const assembly_store of json_data.stores) {
+      for (const [store_name, store_data] of Object.entries(assembly_store)) {
+        console.log(`Writing '${store_name}'...`);
+        fs.writeFileSync(path.join(out_directory, store_name), await build_store_v1(store_data, json_data.assemblies, primary_lec, pool));
+      }
+    }
+  } finally {
+    await pool.close();
+  }
+
+  console.log(`Writing '${FILE_ASSEMBLIES_JSON}'...`);
+  fs.writeFileSync(path.join(out_directory, FILE_ASSEMBLIES_JSON), JSON.stringify(json_data, null, 4));
+
+  return 0;
+}
+
+async function do_pack(in_json_config, out_directory, elf = false, jobs = DEFAULT_LZ4_JOBS, overwrite = false, dry_run = false) {
+  if (!dry_run) {
+    await pack_stores({ config: in_json_config, out_directory, elf, jobs, overwrite, log: console.log });
+    return 0;
+  }
+
+  // a dry run builds the outputs in memory, and prints their layout instead of writing them.
+  // it is a full build: the layout depends on the size of each LZ4 payload, which is only known once it is compressed
+  in_json_config = path.resolve(in_json_config);
+  out_directory = path.resolve(out_directory);
+
+  const json_data = read_pack_config(in_json_config);
+  const outputs = prepare_pack(json_data, `Config file '${in_json_config}'`, out_directory, elf, false, console.log);
+  const sources = open_pack_sources(json_data);
+  const pool = new LZ4WorkerPool(jobs);
+
+  try {
+    for (const output of outputs) {
+      print_pack_layout(output.out_name, await output.build(pool), output.store_data, json_data.assemblies);
+    }
+  } finally {
+    await pool.close();
+    sources.forEach(source_store => source_store.close());
+  }
+
+  console.log(`Dry run: nothing was written to '${out_directory}'.`);
+  return 0;
+}
+
+function prepare_pack(json_data, config_label, out_directory, elf, check_outputs, log = () => {}) {
+  // the whole configuration is validated before anything is written.
+  // 'json_data' is updated in place (see 'update_pack_layout').
+  // returns: [{out_name, store_data, build: async (pool) => Buffer or string}]
+  // throws: AssemblyStoreError
+
+  const { errors, warnings } = check_pack_config(json_data);
+  if (errors.length) {
+    // the first error decides the exit code, the same as when each check returned on its own
+    throw new AssemblyStoreError(`${config_label} is invalid:`, errors[0].code || 30, errors.map(problem => `error: ${problem.path}: ${problem.message}`));
+  }
+
+  // each warning is a value that 'update_pack_layout' rewrites
+  warnings.forEach(problem => log(`warning: ${problem.path}: ${problem.message}`));
+
+  update_pack_layout(json_data);
+
+  // format version 2 stores embed assembly names, so 'assemblies.manifest' is only needed for version 1 stores
+  const has_v1_stores = json_data.stores.some(
+    assembly_store => Object.values(assembly_store).some(store_data => !is_store_format_v2(store_data.header))
+  );
+
+  // Determine lec/gec for store 0
+  let store_zero_lec = 0;
+  for (const assembly_store of json_data.stores) {
+    for (const [store_name, store_data] of Object.entries(assembly_store)) {
+      if (store_name === FILE_ASSEMBLIES_BLOB) {
+        store_zero_lec = store_data.header.lec;
+      }
+    }
+  }
+
+  // Validate: every output, before anything is written
+  const outputs = [];
+
+  if (has_v1_stores) {
+    outputs.push({ out_name: `${FILE_ASSEMBLIES_MANIFEST}.new`, store_data: null, build: async () => build_manifest(json_data.assemblies) });
+  }
+
+  for (const assembly_store of json_data.stores) {
+    for (const [store_name, store_data] of Object.entries(assembly_store)) {
+      const is_v2 = is_store_format_v2(store_data.header);
+      const abi = get_store_abi(store_data.header);
+      const wrap_elf = is_v2 && (store_data.elf || (elf && !!abi));
+
+      // a raw v2 store that is wrapped on request is renamed to match what the runtime looks for
+      const out_file_name = (wrap_elf && !store_data.elf) ? ARCHITECTURE_ELF_MAP[abi] : store_name;
+
+      if (is_v2 && store_data.elf && !abi) {
+        throw new AssemblyStoreError(`Unable to determine the ABI of ELF-wrapped store '${store_name}'!`, 26);
+      }
+
+      if (!is_v2 && (store_data.header.store_id === 0)) {
+        for (const key of ['hash32', 'hash64']) {
+          const sortedHash = sort_assemblies_by_hash(json_data.assemblies, key);
+
+          if (sortedHash.length !== store_data.header.gec) {
+            throw new AssemblyStoreError(`Sorted ${key} is the wrong length. Expected: ${store_data.header.gec}. Found: ${sortedHash.length}.`, (key === 'hash32') ? 24 : 25);
+          }
+        }
+      }
+
+      outputs.push({
+        out_name: `${out_file_name}.new`,
+        store_data,
+        build: async (pool) => {
+          if (!is_v2) {
+            return await build_store_v1(store_data, json_data.assemblies, store_zero_lec, pool);
+          }
+
+          const store_buffer = await build_store_v2(store_data, json_data.assemblies, pool);
+          return wrap_elf ? build_elf_payload(store_buffer, abi, out_file_name) : store_buffer;
+        },
+      });
+    }
+  }
+
+  if (check_outputs) {
+    for (const { out_name } of outputs) {
+      if (fs.existsSync(path.join(out_directory, out_name))) {
+        if (out_name === `${FILE_ASSEMBLIES_MANIFEST}.new`) {
+          throw new AssemblyStoreError('Output manifest exists! (use --overwrite to replace it)', 22);
+        }
+
+        throw new AssemblyStoreError(`Output blob exists! (use --overwrite to replace it) ${out_name}`, 23);
+      }
+    }
+  }
+
+  return outputs;
+}
+
+function format_json_path(json_path, key) {
+  if (typeof key === 'number') {
+    return `${json_path}[${key}]`;
+  }
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? `${json_path}.${key}` : `${json_path}[${JSON.stringify(key)}]`;
+}
+
+function validate_json_schema(schema, value, json_path = '$', root_schema = schema) {
+  // a subset of JSON Schema (draft-07): the keywords used by 'ASSEMBLIES_JSON_SCHEMA'
+  // returns: [{path, message}]
+
+  if (schema.$ref) {
+    return validate_json_schema(root_schema.definitions[schema.$ref.replace('#/definitions/', '')], value, json_path, root_schema);
+  }
+
+  const problems = [];
+  const add_problem = (message) => problems.push({ path: json_path, message });
+
+  const get_type = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  };
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    add_problem(`must be one of: ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    return problems;
+  }
+
+  if (schema.type) {
+    const type = get_type(value);
+
+    if ((type !== schema.type) && !((schema.type === 'number') && (type === 'integer'))) {
+      add_problem(`must be ${/^[aeiou]/.test(schema.type) ? 'an' : 'a'} ${schema.type}, found: ${JSON.stringify(value)}`);
+      return problems;
+    }
+  }
+
+  if ((typeof schema.minimum === 'number') && (value < schema.minimum)) {
+    add_problem(`must be >= ${schema.minimum}, found: ${value}`);
+  }
+
+  if (typeof value === 'string') {
+    if ((typeof schema.minLength === 'number') && (value.length < schema.minLength)) {
+      add_problem('must not be empty');
+    }
+    if (schema.pattern && !(new RegExp(schema.pattern)).test(value)) {
+      add_problem(`must match ${schema.pattern}, found: ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if ((typeof schema.minItems === 'number') && (value.length < schema.minItems)) {
+      add_problem(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => problems.push(...validate_json_schema(schema.items, item, format_json_path(json_path, i), root_schema)));
+    }
+  } else if (get_type(value) === 'object') {
+    const keys = Object.keys(value);
+
+    if ((typeof schema.minProperties === 'number') && (keys.length < schema.minProperties)) {
+      add_problem(`must have at least ${schema.minProperties} properties`);
+    }
+    if ((typeof schema.maxProperties === 'number') && (keys.length > schema.maxProperties)) {
+      add_problem(`must have at most ${schema.maxProperties} properties, found: ${keys.join(', ')}`);
+    }
+
+    for (const key of (schema.required || [])) {
+      if (!(key in value)) {
+        add_problem(`'${key}' is required`);
+      }
+    }
+
+    for (const key of keys) {
+      const property_schema = (schema.properties && schema.properties[key]) || ((typeof schema.additionalProperties === 'object') ? schema.additionalProperties : null);
+
+      if (property_schema) {
+        problems.push(...validate_json_schema(property_schema, value[key], format_json_path(json_path, key), root_schema));
+      }
+    }
+  }
+
+  return problems;
+}
+
+function check_pack_config(json_data) {
+  // validates 'assemblies.json' before pack: the schema, then the rules that it cannot express.
+  // returns: {errors, warnings}, each: [{path, message}]
+  //   - errors:   pack would fail, or write corrupt stores, or values that contradict each other, so it is unclear which one to keep.
+  //               an error that 'pack' reported before this validation existed keeps its exit code: {path, message, code}
+  //   - warnings: values that pack recomputes (see 'update_pack_layout'). pack prints them, since each one is a value that it rewrites
+
+  const errors = validate_json_schema(ASSEMBLIES_JSON_SCHEMA, json_data);
+  const warnings = [];
+
+  if (errors.length) {
+    // the rules below expect the structure that the schema describes
+    return { errors, warnings };
+  }
+
+  const add_error = (json_path, message, code = null) => errors.push(code ? { path: json_path, message, code } : { path: json_path, message });
+  const add_warning = (json_path, message) => warnings.push({ path: json_path, message });
+
+  // stores
+  const stores = [];
+  json_data.stores.forEach((assembly_store, i) => {
+    const [store_name, store_data] = Object.entries(assembly_store)[0];
+    stores.push({ store_name, store_data, json_path: format_json_path(format_json_path('$.stores', i), store_name), i });
+  });
+
+  for (const { store_name, store_data, json_path, i } of stores) {
+    const json_hdr = store_data.header;
+    const is_v2 = is_store_format_v2(json_hdr);
+
+    if (stores.some(other => (other.i < i) && (other.store_name === store_name))) {
+      add_error(json_path, `Store name '${store_name}' is not unique`);
+    }
+
+    if (store_data.store_idx !== i) {
+      add_error(`${json_path}.store_idx`, `must equal the position of the store (${i}), found: ${store_data.store_idx}`);
+    }
+
+    if (!is_v2) {
+      const is_primary = (store_name === FILE_ASSEMBLIES_BLOB);
+
+      if (is_primary && (json_hdr.store_id !== 0)) {
+        add_error(`${json_path}.header.store_id`, `must be 0 for the primary store, found: ${json_hdr.store_id}`);
+      }
+      if (!is_primary && (json_hdr.store_id === 0)) {
+        add_error(`${json_path}.header.store_id`, 'must not be 0 for an architecture-specific store');
+      }
+    }
+
+    if (store_data.elf && is_v2 && !get_store_abi(json_hdr)) {
+      add_error(`${json_path}.header.version`, 'has no ABI, which is required to wrap the store in an ELF file', 26);
+    }
+  }
+
+  // assemblies
+  const store_assemblies = new Map(stores.map(({ store_data }) => [store_data.store_idx, []]));
+
+  json_data.assemblies.forEach((assembly, i) => {
+    const json_path = format_json_path('$.assemblies', i);
+
+    if (!store_assemblies.has(assembly.store_idx)) {
+      add_error(`${json_path}.store_idx`, `${assembly.store_idx} does not match any store`);
+      return;
+    }
+
+    store_assemblies.get(assembly.store_idx).push({ assembly, json_path });
+
+    if (assembly.extracted === false) {
+      if (typeof assembly.source_idx !== 'number') {
+        add_error(json_path, `'source_idx' is required when 'extracted' is false`);
+      }
+    } else {
+      const keys = ['file', 'debug_file', 'config_file'].filter(key => (key === 'file') || (key in assembly));
+
+      for (const key of keys) {
+        if (!(key in assembly)) {
+          add_error(json_path, `'${key}' is required`);
+          continue;
+        }
+
+        try {
+          fs.accessSync(assembly[key], fs.constants.R_OK);
+
+          if (!fs.statSync(assembly[key]).isFile()) {
+            add_error(`${json_path}.${key}`, `'${assembly[key]}' is not a file`, 29);
+          }
+        } catch(e) {
+          add_error(`${json_path}.${key}`, `'${assembly[key]}' does not exist, or is not readable`, 29);
+        }
+      }
+    }
+
+    if (assembly.lz4 && (typeof assembly.lz4_desc_idx !== 'number')) {
+      add_warning(`${json_path}.lz4`, `has no 'lz4_desc_idx', and will be stored uncompressed`);
+    }
+
+    if (!assembly.name_source) {
+      const [hash32, hash64] = gen_xxhash(assembly.name);
+
+      if (assembly.hash32 && (assembly.hash32.toLowerCase() !== `0x${hash32}`)) {
+        add_warning(`${json_path}.hash32`, `does not match the name '${assembly.name}' (0x${hash32}), and will be recomputed`);
+      }
+      if (assembly.hash64 && (assembly.hash64.toLowerCase() !== `0x${hash64}`)) {
+        add_warning(`${json_path}.hash64`, `does not match the name '${assembly.name}' (0x${hash64}), and will be recomputed`);
+      }
+    }
+  });
+
+  for (const { store_name, store_data, json_path } of stores) {
+    const json_hdr = store_data.header;
+    const assemblies = store_assemblies.get(store_data.store_idx);
+
+    const names = new Map();
+    for (const { assembly, json_path: assembly_path } of assemblies) {
+      if (names.has(assembly.name)) {
+        add_error(`${assembly_path}.name`, `'${assembly.name}' is not unique in store '${store_name}' (see ${names.get(assembly.name)})`);
+      } else {
+        names.set(assembly.name, assembly_path);
+      }
+    }
+
+    // assemblies are packed in the order of 'assemblies': a gap is left by a removed assembly, but a lower index is a reordered one
+    let prev_blob_idx = -1;
+
+    assemblies.forEach(({ assembly, json_path: assembly_path }, blob_idx) => {
+      if ('blob_idx' in assembly) {
+        if (assembly.blob_idx <= prev_blob_idx) {
+          add_error(`${assembly_path}.blob_idx`, `blob indexes of store '${store_name}' are out of order: found ${assembly.blob_idx} after ${prev_blob_idx}. Assemblies are packed in the order of 'assemblies', so reorder them there`);
+        } else if (assembly.blob_idx !== blob_idx) {
+          add_warning(`${assembly_path}.blob_idx`, `blob indexes of store '${store_name}' are not contiguous: expected ${blob_idx}, found ${assembly.blob_idx}, and will be recomputed`);
+        }
+        prev_blob_idx = assembly.blob_idx;
+      }
+
+      // the store of an assembly is decided by 'store_idx'. a 'store_id' of another store means that only one of them was edited
+      if (('store_id' in assembly) && (assembly.store_id !== json_hdr.store_id)) {
+        add_error(`${assembly_path}.store_id`, `${assembly.store_id} does not match the header of store '${store_name}' (${json_hdr.store_id}), which its 'store_idx' selects. To move an assembly to another store, change 'store_idx', and remove 'store_id'`);
+      }
+    });
+
+    if (is_store_format_v2(json_hdr)) {
+      const mapping_indexes = new Set(assemblies.map(({ assembly }) => assembly.mapping_index));
+      const keep_mapping_index = (mapping_indexes.size === assemblies.length) &&
+        [...mapping_indexes].every(mapping_index => (typeof mapping_index === 'number') && (mapping_index < assemblies.length));
+
+      if (!keep_mapping_index) {
+        add_warning(json_path, `mapping indexes of store '${store_name}' are not unique values from 0 to ${assemblies.length - 1}, and will be recomputed`);
+      }
+    }
+
+    if (json_hdr.lec !== assemblies.length) {
+      add_warning(`${json_path}.header.lec`, `${json_hdr.lec} does not match the ${assemblies.length} assemblies in the store, and will be recomputed`);
+    }
+  }
+
+  const primary = stores.find(({ store_name, store_data }) => (store_name === FILE_ASSEMBLIES_BLOB) && !is_store_format_v2(store_data.header));
+  if (primary) {
+    const arch_store = stores.find(({ store_data }) => (store_data.store_idx === 1) && !is_store_format_v2(store_data.header));
+    const gec = store_assemblies.get(primary.store_data.store_idx).length + (arch_store ? store_assemblies.get(1).length : 0);
+
+    if (primary.store_data.header.gec !== gec) {
+      add_warning(`${primary.json_path}.header.gec`, `${primary.store_data.header.gec} does not match the ${gec} assemblies in the primary and first architecture-specific store, and will be recomputed`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+function read_pack_config(in_json_config) {
+  // returns: the parsed 'assemblies.json'
+  // throws: AssemblyStoreError
+  if (!fs.existsSync(in_json_config)) {
+    throw new AssemblyStoreError(`Config file '${in_json_config}' does not exist!`, 21);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(in_json_config, 'utf8'));
+  } catch(e) {
+    throw new AssemblyStoreError(`Unable to parse config file '${in_json_config}': ${e.message}`, 30);
+  }
+}
+
+function print_config_problems(label, problems) {
+  for (const problem of problems) {
+    console.log(`${label}: ${problem.path}: ${problem.message}`);
+  }
+}
+
+function do_check_config(in_json_config) {
+  in_json_config = path.resolve(in_json_config);
+
+  let json_data;
+  try {
+    json_data = read_pack_config(in_json_config);
+  } catch(e) {
+    if (!(e instanceof AssemblyStoreError)) throw e;
+
+    console.log(e.message);
+    return 112;
+  }
+
+  const { errors, warnings } = check_pack_config(json_data);
+
+  print_config_problems('error', errors);
+  print_config_problems('warning', warnings);
+
+  console.log(`${errors.length} errors, ${warnings.length} warnings.`);
+
+  return errors.length ? 111 : 0;
+}
+
+function open_pack_sources(json_data) {
+  // assemblies that were not extracted by 'unpack --include/--exclude' are read from the original stores
+  // returns: [AssemblyStore]
+  // throws: AssemblyStoreError
+
+  const sources = [];
+  const source_error = (message, code) => {
+    sources.forEach(source_store => source_store.close());
+    return new AssemblyStoreError(message, code);
+  };
+
+  for (const assembly_store of json_data.stores) {
+    for (const [store_name, store_data] of Object.entries(assembly_store)) {
+      const assemblies = json_data.assemblies.filter(assembly => (assembly.store_idx === store_data.store_idx) && (assembly.extracted === false));
+
+      if (!assemblies.length) continue;
+
+      const source = store_data.source;
+      if (!source || !source.path) {
+        throw source_error(`Store '${store_name}' has assemblies that were not extracted, and no 'source' to read them from!`, 27);
+      }
+
+      let store_file = null;
+
+      if (Array.isArray(source.apk) && source.apk.length) {
+        const store_files = new Map();
+
+        for (const apk_file of source.apk) {
+          if (!fs.existsSync(apk_file)) {
+            throw source_error(`Source APK file '${apk_file}' does not exist!`, 27);
+          }
+          read_apk_store_files(apk_file, fs.readFileSync(apk_file), store_files);
+        }
+
+        store_file = store_files.get(source.path) || null;
+      } else if (fs.existsSync(source.path)) {
+        store_file = new StoreFile(source.path);
+      }
+
+      if (!store_file) {
+        throw source_error(`Source blob '${source.path}' does not exist!`, 27);
+      }
+
+      debug(`Reading assemblies that were not extracted from: ${source.path}`);
+      const source_store = new AssemblyStore(store_file, null, is_store_format_v2(store_data.header) || (store_data.header.store_id === 0));
+      sources.push(source_store);
+
+      for (const assembly of assemblies) {
+        if (!source_store.assemblies_list[assembly.source_idx]) {
+          throw source_error(`Assembly '${assembly.name}' has an invalid 'source_idx': ${assembly.source_idx}`, 28);
+        }
+        assembly.source_store = source_store;
+      }
+    }
+  }
+
+  return sources;
+}
+
+function read_source_assembly(assembly) {
+  // returns: the stored (possibly compressed) data of an assembly that was not extracted, with its debug and config data
+  const source_assembly = assembly.source_store.assemblies_list[assembly.source_idx];
+  const read = (kind, size) => (size > 0) ? Buffer.from(assembly.source_store.read_entry_data(assembly.source_idx, kind)) : null;
+
+  return {
+    stored_data: read('data', source_assembly.data_size),
+    debug_data:  read('debug', source_assembly.debug_data_size),
+    config_data: read('config', source_assembly.config_data_size),
+  };
+}
+
+async function read_assembly_data(assembly, pool = null) {
+  if (assembly.source_store) {
+    const { stored_data } = read_source_assembly(assembly);
+    const is_lz4 = stored_data.subarray(0, 4).equals(COMPRESSED_DATA_MAGIC);
+
+    // copied as-is, unless the compression was changed in 'assemblies.json'
+    if ((is_lz4 === !!assembly.lz4) && (!is_lz4 || (stored_data.readUInt32LE(4) === assembly.lz4_desc_idx))) {
+      return stored_data;
+    }
+
+    const file_data = is_lz4 ? await AssemblyStore.decompress_lz4(stored_data) : stored_data;
+
+    if (!assembly.lz4) {
+      return file_data;
+    }
+
+    debug(`Compressing '${assembly.name}'`);
+    return pool
+      ? await pool.compress(file_data, assembly.lz4_desc_idx)
+      : await lz4_compress(file_data, assembly.lz4_desc_idx);
+  }
+
+  // the library API passes DLLs as Buffers, instead of files
+  const file_data = Buffer.isBuffer(assembly.data) ? assembly.data : fs.readFileSync(assembly.file);
+
+  if (!assembly.lz4) {
+    return file_data;
+  }
+
+  // reuse the original compressed payload when the DLL is unchanged since unpack
+  if (assembly.lz4_file && assembly.sha256 && fs.existsSync(assembly.lz4_file) && (gen_content_digest(file_data) === assembly.sha256)) {
+    const lz4_data = fs.readFileSync(assembly.lz4_file);
+
+    if ((lz4_data.length >= 12) && lz4_data.subarray(0, 4).equals(COMPRESSED_DATA_MAGIC) && (lz4_data.readUInt32LE(4) === assembly.lz4_desc_idx) && (lz4_data.readUInt32LE(8) === file_data.length)) {
+      debug(`Reusing original compressed payload for '${assembly.name}'`);
+      return lz4_data;
+    }
+  }
+
+  debug(`Compressing '${assembly.name}'`);
+  return pool
+    ? await pool.compress(file_data, assembly.lz4_desc_idx)
+    : await lz4_compress(file_data, assembly.lz4_desc_idx);
+}
+
+function read_assembly_extra_data(assembly) {
+  if (assembly.source_store) {
+    const { debug_data, config_data } = read_source_assembly(assembly);
+    return { debug_data, config_data };
+  }
+
+  // optional: "<name>.pdb" and "<name>.dll.config" files, recorded by 'unpack'
+  return {
+    debug_data:  Buffer.isBuffer(assembly.debug_data)  ? assembly.debug_data  : (assembly.debug_file  ? fs.readFileSync(assembly.debug_file)  : null),
+    config_data: Buffer.isBuffer(assembly.config_data) ? assembly.config_data : (assembly.config_file ? fs.readFileSync(assembly.config_file) : null),
+  };
+}
+
+function build_manifest(assemblies) {
+  const lines = ['Hash 32     Hash 64             Blob ID  Blob idx  Name\r\n'];
+
+  for (const assembly of assemblies) {
+    if (assembly.store_idx >= 2) break;
+
+    // a recovered name keeps the hashes of the original assembly, the same as the hash tables (see: 'build_store_v1')
+    const [hash32, hash64] = assembly.name_source
+      ? [BigInt(assembly.hash32).toString(16).padStart(8, '0'), BigInt(assembly.hash64).toString(16).padStart(16, '0')]
+      : gen_xxhash(assembly.name);
+
+    // and is marked, so 'verify' only accepts the original hashes for the names that were recovered
+    const line = `0x${hash32}  0x${hash64}  ${assembly.store_id
+      .toString()
+      .padStart(3, '0')}      ${assembly.blob_idx.toString().padStart(4, '0')}      ${assembly.name}${assembly.name_source ? `  recovered:${assembly.name_source}` : ''}\r\n`;
+
+    lines.push(line);
+  }
+
+  return lines.join('');
+}
+
+function format_layout_offset(offset) {
+  return `${offset} (0x${offset.toString(16)})`;
+}
+
+function print_pack_layout(out_name, out_data, store_data, assemblies) {
+  // prints the layout of an output that 'pack --dry-run' built in memory.
+  // the layout is read back from the built bytes, so it is exactly what would have been written.
+
+  if (!store_data) {
+    const lines = out_data.split('\r\n').filter(line => line.length > 0);
+
+    console.log(`${out_name}: ${Buffer.byteLength(out_data)} bytes, ${lines.length - 1} entries`);
+    lines.forEach(line => console.log(`  ${line}`));
+    console.log('');
+    return;
+  }
+
+  const primary = is_store_format_v2(store_data.header) || (store_data.header.store_id === 0);
+  const assembly_store = new AssemblyStore(new StoreFile(out_name, () => out_data), null, primary);
+
+  console.log(`${out_name}: ${out_data.length} bytes`);
+
+  if (assembly_store.is_elf) {
+    console.log(`  ELF payload: offset ${format_layout_offset(assembly_store.base_offset)}, ${assembly_store.size} bytes (offsets below are relative to the payload)`);
+  }
+
+  let data_offset = 20;
+
+  if (assembly_store.format_version < ASSEMBLY_STORE_FORMAT_VERSION_2) {
+    const hash32_offset = 20 + (assembly_store.hdr_lec * 24);
+    const hash64_offset = hash32_offset + (assembly_store.hdr_gec * 20);
+
+    console.log(`  header:       offset 0 (0x0), 20 bytes: version ${assembly_store.hdr_version}, lec ${assembly_store.hdr_lec}, gec ${assembly_store.hdr_gec}, store_id ${assembly_store.hdr_store_id}`);
+    console.log(`  TOC:          offset ${format_layout_offset(20)}, ${assembly_store.hdr_lec} entries of 24 bytes`);
+
+    if (primary) {
+      console.log(`  hash32 table: offset ${format_layout_offset(hash32_offset)}, ${assembly_store.hdr_gec} entries of 20 bytes`);
+      console.log(`  hash64 table: offset ${format_layout_offset(hash64_offset)}, ${assembly_store.hdr_gec} entries of 20 bytes`);
+      data_offset = hash64_offset + (assembly_store.hdr_gec * 20);
+    } else {
+      data_offset = hash32_offset;
+    }
+  } else {
+    const descriptors_offset = 20 + assembly_store.hdr_index_size;
+    const names_offset = descriptors_offset + (assembly_store.hdr_lec * 28);
+    const names_size = assembly_store.assembly_names.reduce((size, name) => size + 4 + Buffer.byteLength(name), 0);
+
+    console.log(`  header:       offset 0 (0x0), 20 bytes: version 0x${assembly_store.hdr_version.toString(16).padStart(8, '0')}, entry count ${assembly_store.hdr_lec}, index entry count ${assembly_store.hdr_index_entry_count}, index size ${assembly_store.hdr_index_size}`);
+    console.log(`  index:        offset ${format_layout_offset(20)}, ${assembly_store.hdr_index_entry_count} entries, ${assembly_store.hdr_index_size} bytes`);
+    console.log(`  descriptors:  offset ${format_layout_offset(descriptors_offset)}, ${assembly_store.hdr_lec} entries of 28 bytes`);
+    console.log(`  names:        offset ${format_layout_offset(names_offset)}, ${names_size} bytes`);
+    data_offset = names_offset + names_size;
+  }
+
+  console.log(`  data:         offset ${format_layout_offset(data_offset)}, ${assembly_store.size - data_offset} bytes`);
+
+  // v1 stores hold no names: the TOC follows the order of the store's assemblies in 'assemblies.json'
+  const store_assemblies = assemblies.filter(assembly => assembly.store_idx === store_data.store_idx);
+
+  for (let i = 0; i < assembly_store.assemblies_list.length; i++) {
+    const assembly = assembly_store.assemblies_list[i];
+    const name = assembly_store.assembly_names ? assembly_store.assembly_names[i] : store_assemblies[i].name;
+    const stored_data = assembly_store.read_entry_data(i, 'data', 12);
+    const is_lz4 = stored_data.subarray(0, 4).equals(COMPRESSED_DATA_MAGIC);
+
+    let line = `  [${i}] ${name}: data offset ${format_layout_offset(assembly.data_offset)}, size ${assembly.data_size}`;
+
+    if (is_lz4) {
+      line += ` (LZ4, descriptor ${stored_data.readUInt32LE(4)}, ${stored_data.readUInt32LE(8)} bytes uncompressed)`;
+    }
+    if (assembly.debug_data_size > 0) {
+      line += `; debug offset ${format_layout_offset(assembly.debug_data_offset)}, size ${assembly.debug_data_size}`;
+    }
+    if (assembly.config_data_size > 0) {
+      line += `; config offset ${format_layout_offset(assembly.config_data_offset)}, size ${assembly.config_data_size}`;
+    }
+    console.log(line);
+  }
+
+  console.log('');
+}
+
+async function build_store_v1(store_data, assemblies, store_zero_lec, pool = null) {
+  // Layout:
+  //   header (20)
+  //   TOC (lec * 24)
+  //   primary store only: hash32 (gec * 20), then hash64 (gec * 20), sorted by hash
+  //   assembly data
+
+  const json_hdr = store_data.header;
+  const primary = json_hdr.store_id === 0;
+
+  // Write header: 4sIIII
+  const headerBuffer = Buffer.alloc(20);
+  ASSEMBLY_STORE_MAGIC.copy(headerBuffer, 0);
+  headerBuffer.writeUInt32LE(json_hdr.version, 4);
+  headerBuffer.writeUInt32LE(json_hdr.lec, 8);
+  headerBuffer.writeUInt32LE(json_hdr.gec, 12);
+  headerBuffer.writeUInt32LE(json_hdr.store_id, 16);
+
+  const tocBuffer = Buffer.alloc(json_hdr.lec * 24);
+  const data_chunks = [];
+
+  let next_entry_offset = 0;
+  let next_data_offset = 20 + (json_hdr.lec * 24) + (json_hdr.gec * 40);
+
+  if (!primary) {
+    next_data_offset = 20 + json_hdr.lec * 24;
+  }
+
+  const store_assemblies = assemblies.filter(assembly => assembly.store_idx === store_data.store_idx);
+
+  // assemblies are compressed in parallel, and laid out afterwards, in order
+  const store_assemblies_data = await Promise.all(store_assemblies.map(assembly => read_assembly_data(assembly, pool)));
+
+  // First pass: write entries + DLL content
+  for (let i = 0; i < store_assemblies.length; i++) {
+    const assembly = store_assemblies[i];
+    const assembly_data = store_assemblies_data[i];
+
+    const data_size = assembly_data.length;
+    const { debug_data, config_data } = read_assembly_extra_data(assembly);
+
+    // Layout: DLL data, then debug data, then config data
+    const debug_data_offset = debug_data ? (next_data_offset + data_size) : 0;
+    const config_data_offset = config_data ? (next_data_offset + data_size + (debug_data ? debug_data.length : 0)) : 0;
+
+    // Write entry data
+    tocBuffer.writeUInt32LE(next_data_offset, next_entry_offset);
+    tocBuffer.writeUInt32LE(data_size, next_entry_offset + 4);
+    tocBuffer.writeUInt32LE(debug_data_offset, next_entry_offset + 8);
+    tocBuffer.writeUInt32LE(debug_data ? debug_data.length : 0, next_entry_offset + 12);
+    tocBuffer.writeUInt32LE(config_data_offset, next_entry_offset + 16);
+    tocBuffer.writeUInt32LE(config_data ? config_data.length : 0, next_entry_offset + 20);
+
+    // Write binary data
+    data_chunks.push(assembly_data);
+    next_data_offset += data_size;
+
+    if (debug_data) {
+      data_chunks.push(debug_data);
+      next_data_offset += debug_data.length;
+    }
+
+    if (config_data) {
+      data_chunks.push(config_data);
+      next_data_offset += config_data.length;
+    }
+
+    next_entry_offset += 24;
+  }
+
+  if (!primary) {
+    return Buffer.concat([headerBuffer, tocBuffer, ...data_chunks]);
+  }
+
+  // Second + third pass: write hashes
+  const hash32Buffer = Buffer.alloc(json_hdr.gec * 20);
+  const hash64Buffer = Buffer.alloc(json_hdr.gec * 20);
+
+  const get_raw_hashes = (assembly) => {
+    if (!assembly.name_source) {
+      return gen_xxhash(assembly.name, true);
+    }
+
+    // a recovered name keeps the hashes of the original assembly (see: 'update_pack_layout')
+    const hash32 = Buffer.alloc(4);
+    const hash64 = Buffer.alloc(8);
+    hash32.writeUInt32LE(Number(BigInt(assembly.hash32)), 0);
+    writeUInt64LE(hash64, BigInt(assembly.hash64), 0);
+
+    return [hash32, hash64];
+  };
+
+  // hash32
+  const sortedHash32 = sort_assemblies_by_hash(assemblies, 'hash32');
+  sortedHash32.forEach((assembly, i) => {
+    const [hash32, hash64] = get_raw_hashes(assembly);
+    const mapping_id = assembly.store_id === 0 ? assembly.blob_idx : store_zero_lec + assembly.blob_idx;
+    const offset = i * 20;
+
+    // hash32 is 4 bytes, then 4 bytes zero
+    hash32.copy(hash32Buffer, offset);
+    // mapping_id
+    hash32Buffer.writeUInt32LE(mapping_id, offset + 8);
+    // local_store_index (blob_idx)
+    hash32Buffer.writeUInt32LE(assembly.blob_idx, offset + 12);
+    // store_id
+    hash32Buffer.writeUInt32LE(assembly.store_id, offset + 16);
+  });
+
+  // hash64
+  const sortedHash64 = sort_assemblies_by_hash(assemblies, 'hash64');
+  sortedHash64.forEach((assembly, i) => {
+    const [hash32, hash64] = get_raw_hashes(assembly);
+    const mapping_id = assembly.store_id === 0 ? assembly.blob_idx : store_zero_lec + assembly.blob_idx;
+    const offset = i * 20;
+
+    // hash64 is 8 bytes
+    hash64.copy(hash64Buffer, offset);
+    // mapping_id
+    hash64Buffer.writeUInt32LE(mapping_id, offset + 8);
+    // local_store_index (blob_idx)
+    hash64Buffer.writeUInt32LE(assembly.blob_idx, offset + 12);
+    // store_id
+    hash64Buffer.writeUInt32LE(assembly.store_id, offset + 16);
+  });
+
+  return Buffer.concat([headerBuffer, tocBuffer, hash32Buffer, hash64Buffer, ...data_chunks]);
+}
+
+function is_store_format_v2(json_hdr) {
+  return (json_hdr.version & ASSEMBLY_STORE_FORMAT_VERSION_MASK) >= ASSEMBLY_STORE_FORMAT_VERSION_2;
+}
+
+function get_store_abi(json_hdr) {
+  return ASSEMBLY_STORE_ABI_MAP[json_hdr.version & ASSEMBLY_STORE_ABI_MASK] || null;
+}
+
+async function build_store_v2(store_data, assemblies, pool = null) {
+  // Layout:
+  //   header (20)
+  //   index (index_entry_count * index_entry_size), sorted by hash
+  //   descriptors (entry_count * 28)
+  //   names (length-prefixed UTF-8)
+  //   assembly data
+
+  const json_hdr = store_data.header;
+  const is_64bit = (json_hdr.version & ASSEMBLY_STORE_64BIT_FLAG) !== 0;
+  const format_version = json_hdr.version & ASSEMBLY_STORE_FORMAT_VERSION_MASK;
+
+  const store_assemblies = assemblies
+    .filter(assembly => assembly.store_idx === store_data.store_idx)
+    .sort((a, b) => a.blob_idx - b.blob_idx);
+
+  const entry_count = store_assemblies.length;
+  const hash_size = is_64bit ? 8 : 4;
+  const index_entry_size = hash_size + 4 + ((format_version > ASSEMBLY_STORE_FORMAT_VERSION_2) ? 1 : 0);
+
+  // each assembly is indexed both with and without its '.dll' extension
+  const index_entries = [];
+  const name_buffers = [];
+
+  for (let i = 0; i < entry_count; i++) {
+    const name = store_assemblies[i].name;
+    const name_with_ext = `${name}.dll`;
+
+    index_entries.push({ hash_val: await gen_xxhash_v2(name_with_ext, is_64bit), descriptor_index: i });
+    index_entries.push({ hash_val: await gen_xxhash_v2(name, is_64bit), descriptor_index: i });
+
+    name_buffers.push(Buffer.from(name_with_ext, 'utf8'));
+  }
+
+  index_entries.sort((a, b) => (a.hash_val > b.hash_val) ? 1 : ((a.hash_val < b.hash_val) ? -1 : 0));
+
+  const index_size = index_entries.length * index_entry_size;
+  const names_size = name_buffers.reduce((total, name_buffer) => total + 4 + name_buffer.length, 0);
+  const descriptors_offset = 20 + index_size;
+  const names_offset = descriptors_offset + (entry_count * 28);
+
+  const header = Buffer.alloc(20);
+  ASSEMBLY_STORE_MAGIC.copy(header, 0);
+  header.writeUInt32LE(json_hdr.version >>> 0, 4);
+  header.writeUInt32LE(entry_count, 8);
+  header.writeUInt32LE(index_entries.length, 12);
+  header.writeUInt32LE(index_size, 16);
+
+  const index = Buffer.alloc(index_size);
+  for (let i = 0; i < index_entries.length; i++) {
+    const offset = i * index_entry_size;
+
+    if (is_64bit) {
+      writeUInt64LE(index, index_entries[i].hash_val, offset);
+    } else {
+      index.writeUInt32LE(Number(index_entries[i].hash_val), offset);
+    }
+    index.writeUInt32LE(index_entries[i].descriptor_index, offset + hash_size);
+  }
+
+  const descriptors = Buffer.alloc(entry_count * 28);
+  const names = Buffer.alloc(names_size);
+  const data_chunks = [];
+
+  let next_data_offset = names_offset + names_size;
+  let next_name_offset = 0;
+
+  // assemblies are compressed in parallel, and laid out afterwards, in order
+  const store_assemblies_data = await Promise.all(store_assemblies.map(assembly => read_assembly_data(assembly, pool)));
+
+  for (let i = 0; i < entry_count; i++) {
+    const assembly = store_assemblies[i];
+    const assembly_data = store_assemblies_data[i];
+
+    const offset = i * 28;
+    const mapping_index = (typeof assembly.mapping_index === 'number') ? assembly.mapping_index : i;
+
+    descriptors.writeUInt32LE(mapping_index, offset);
+    descriptors.writeUInt32LE(next_data_offset, offset + 4);
+    descriptors.writeUInt32LE(assembly_data.length, offset + 8);
+
+    data_chunks.push(assembly_data);
+    next_data_offset += assembly_data.length;
+
+    // Layout: DLL data, then debug data, then config data
+    const { debug_data, config_data } = read_assembly_extra_data(assembly);
+
+    if (debug_data) {
+      descriptors.writeUInt32LE(next_data_offset, offset + 12);
+      descriptors.writeUInt32LE(debug_data.length, offset + 16);
+
+      data_chunks.push(debug_data);
+      next_data_offset += debug_data.length;
+    }
+
+    if (config_data) {
+      descriptors.writeUInt32LE(next_data_offset, offset + 20);
+      descriptors.writeUInt32LE(config_data.length, offset + 24);
+
+      data_chunks.push(config_data);
+      next_data_offset += config_data.length;
+    }
+
+    names.writeUInt32LE(name_buffers[i].length, next_name_offset);
+    name_buffers[i].copy(names, next_name_offset + 4);
+
+    next_name_offset += 4 + name_buffers[i].length;
+  }
+
+  return Buffer.concat([header, index, descriptors, names, ...data_chunks]);
+}
+
+function splice_elf_payload(elf, payload, file_name) {
+  // returns: a copy of an ELF file, with the contents of its payload section replaced.
+  // every other section (and segment, note or symbol) is kept. the data that follows the payload is moved by a multiple of its alignment,
+  // and the section and program header offsets that point past the payload are updated.
+
+  const payload_section = find_elf_payload(new StoreFile(file_name, () => elf));
+  const old_end = payload_section.offset + payload_section.size;
+
+  const is_64bit = elf[4] === 2;
+  const word_size = is_64bit ? 8 : 4;
+
+  const read_word = (buffer, offset) => is_64bit ? Number(buffer.readBigUInt64LE(offset)) : buffer.readUInt32LE(offset);
+  const write_word = (buffer, value, offset) => {
+    if (is_64bit) {
+      buffer.writeBigUInt64LE(BigInt(value), offset);
+    } else {
+      buffer.writeUInt32LE(value, offset);
+    }
+  };
+
+  // ELF header
+  const e_phoff_offset = 24 + word_size;
+  const e_shoff_offset = 24 + (2 * word_size);
+  const e_phentsize = elf.readUInt16LE(24 + (3 * word_size) + 6);
+  const e_phnum     = elf.readUInt16LE(24 + (3 * word_size) + 8);
+  const e_shentsize = elf.readUInt16LE(24 + (3 * word_size) + 10);
+  const e_shnum     = elf.readUInt16LE(24 + (3 * word_size) + 12);
+
+  // section header: sh_offset, sh_size, sh_addralign. program header: p_offset, p_filesz, p_align
+  const sh_fields = is_64bit ? { offset: 0x18, size: 0x20, align: 0x30 } : { offset: 0x10, size: 0x14, align: 0x20 };
+  const ph_fields = is_64bit ? { offset: 0x08, size: 0x20, align: 0x30 } : { offset: 0x04, size: 0x10, align: 0x1C };
+
+  const get_headers = (buffer, table_offset, count, entry_size, fields) => {
+    const headers = [];
+    for (let i = 0; i < count; i++) {
+      const offset = table_offset + (i * entry_size);
+      headers.push({
+        index: i,
+        header_offset: offset,
+        offset: read_word(buffer, offset + fields.offset),
+        size: read_word(buffer, offset + fields.size),
+        align: read_word(buffer, offset + fields.align),
+      });
+    }
+    return headers;
+  };
+
+  const e_phoff = read_word(elf, e_phoff_offset);
+  const e_shoff = read_word(elf, e_shoff_offset);
+
+  if ((e_phoff + (e_phnum * e_phentsize)) > elf.length) {
+    throw new AssemblyStoreParseError(`Program header table of ${e_phnum} entries runs past the end of the file (${elf.length} bytes)`, file_name, 'elf', null, e_phoff);
+  }
+
+  const is_moved = (offset, index = null) => (offset >= old_end) && (index !== payload_section.index);
+
+  const sections = get_headers(elf, e_shoff, e_shnum, e_shentsize, sh_fields).filter(section => is_moved(section.offset, section.index));
+  const segments = get_headers(elf, e_phoff, e_phnum, e_phentsize, ph_fields);
+
+  // the data that follows the payload keeps its alignment (file offsets and virtual addresses stay congruent)
+  const alignment = [
+    ...sections.map(section => section.align),
+    ...segments.filter(segment => is_moved(segment.offset)).map(segment => segment.align),
+  ].reduce((max, align) => Math.max(max, align), word_size);
+
+  const growth = payload.length - payload_section.size;
+  const shift = (growth > 0) ? (Math.ceil(growth / alignment) * alignment) : 0;
+
+  if (shift > 0) {
+    const loaded_segment = segments.find(segment => (segment.offset < old_end) && ((segment.offset + segment.size) > payload_section.offset));
+
+    if (loaded_segment) {
+      throw new Error(`The payload section of '${file_name}' is within segment ${loaded_segment.index}, and cannot grow from ${payload_section.size} to ${payload.length} bytes!`);
+    }
+  }
+
+  const new_elf = Buffer.concat([
+    elf.subarray(0, payload_section.offset),
+    payload,
+    Buffer.alloc((old_end + shift) - (payload_section.offset + payload.length)),
+    elf.subarray(old_end),
+  ]);
+
+  const new_offset = (offset) => (offset >= old_end) ? (offset + shift) : offset;
+
+  if (e_phoff >= old_end) {
+    write_word(new_elf, e_phoff + shift, e_phoff_offset);
+  }
+  if (e_shoff >= old_end) {
+    write_word(new_elf, e_shoff + shift, e_shoff_offset);
+  }
+
+  for (const section of sections) {
+    write_word(new_elf, section.offset + shift, new_offset(section.header_offset) + sh_fields.offset);
+  }
+  for (const segment of segments.filter(segment => is_moved(segment.offset))) {
+    write_word(new_elf, segment.offset + shift, new_offset(segment.header_offset) + ph_fields.offset);
+  }
+
+  write_word(new_elf, payload.length, new_offset(e_shoff + (payload_section.index * e_shentsize)) + sh_fields.size);
+
+  return new_elf;
+}
+
+function build_elf_payload(payload, arch, soname) {
+  // Minimal ELF shared object, in the same shape as 'libassemblies.<abi>.blob.so':
+  //   - a loadable segment holding an empty dynamic symbol table, so the dynamic linker accepts the library
+  //   - a non-allocated 'payload' section holding the assembly store, page aligned so the runtime can mmap it
+
+  const is_64bit = (arch === 'arm64') || (arch === 'x86_64');
+  const word_size = is_64bit ? 8 : 4;
+
+  const ehdr_size  = is_64bit ? 64 : 52;
+  const phdr_size  = is_64bit ? 56 : 32;
+  const shdr_size  = is_64bit ? 64 : 40;
+  const sym_size   = is_64bit ? 24 : 16;
+  const dyn_size   = is_64bit ? 16 : 8;
+
+  const align = (value, alignment) => Math.ceil(value / alignment) * alignment;
+
+  const write_word = (buffer, value, offset) => {
+    if (is_64bit) {
+      buffer.writeBigUInt64LE(BigInt(value), offset);
+    } else {
+      buffer.writeUInt32LE(value, offset);
+    }
+  };
+
+  // .dynstr
+  const dynstr = Buffer.concat([Buffer.from([0]), Buffer.from(soname, 'utf8'), Buffer.from([0])]);
+  const soname_offset = 1;
+
+  // .shstrtab
+  const section_names = ['', '.dynsym', '.dynstr', '.hash', '.dynamic', ELF_PAYLOAD_SECTION_NAME, '.shstrtab'];
+  const section_name_offsets = [];
+  let shstrtab_size = 0;
+  for (const name of section_names) {
+    section_name_offsets.push(shstrtab_size);
+    shstrtab_size += Buffer.byteLength(name) + 1;
+  }
+  const shstrtab = Buffer.alloc(shstrtab_size);
+  section_names.forEach((name, i) => shstrtab.write(name, section_name_offsets[i]));
+
+  // file layout
+  const phnum = 3;
+  const phoff = ehdr_size;
+  const dynsym_offset = align(phoff + (phnum * phdr_size), word_size);
+  const dynsym_size = sym_size;                            // STN_UNDEF only
+  const dynstr_offset = dynsym_offset + dynsym_size;
+  const hash_offset = align(dynstr_offset + dynstr.length, 4);
+  const hash_size = 16;                                    // nbucket = 1, nchain = 1
+  const dynamic_offset = align(hash_offset + hash_size, word_size);
+  const dynamic_tags = [
+    [4,  hash_offset],                                     // DT_HASH
+    [5,  dynstr_offset],                                   // DT_STRTAB
+    [6,  dynsym_offset],                                   // DT_SYMTAB
+    [10, dynstr.length],                                   // DT_STRSZ
+    [11, sym_size],                                        // DT_SYMENT
+    [14, soname_offset],                                   // DT_SONAME
+    [0,  0],                                               // DT_NULL
+  ];
+  const dynamic_size = dynamic_tags.length * dyn_size;
+  const load_size = dynamic_offset + dynamic_size;
+  const payload_offset = align(load_size, ELF_PAYLOAD_ALIGNMENT);
+  const shstrtab_offset = payload_offset + payload.length;
+  const shoff = align(shstrtab_offset + shstrtab.length, word_size);
+  const shnum = section_names.length;
+  const file_size = shoff + (shnum * shdr_size);
+
+  const elf = Buffer.alloc(file_size);
+
+  // ELF header
+  ELF_MAGIC.copy(elf, 0);
+  elf[4] = is_64bit ? 2 : 1;                               // EI_CLASS
+  elf[5] = 1;                                              // EI_DATA: little-endian
+  elf[6] = 1;                                              // EI_VERSION
+  elf.writeUInt16LE(3, 16);                                // e_type: ET_DYN
+  elf.writeUInt16LE(ELF_MACHINE_MAP[arch], 18);            // e_machine
+  elf.writeUInt32LE(1, 20);                                // e_version
+  write_word(elf, 0, 24);                                  // e_entry
+  write_word(elf, phoff, 24 + word_size);                  // e_phoff
+  write_word(elf, shoff, 24 + (2 * word_size));            // e_shoff
+  let offset = 24 + (3 * word_size);
+  elf.writeUInt32LE((arch === 'arm') ? 0x05000000 : 0, offset);  // e_flags: ARM EABI5
+  elf.writeUInt16LE(ehdr_size, offset + 4);                // e_ehsize
+  elf.writeUInt16LE(phdr_size, offset + 6);                // e_phentsize
+  elf.writeUInt16LE(phnum, offset + 8);                    // e_phnum
+  elf.writeUInt16LE(shdr_size, offset + 10);               // e_shentsize
+  elf.writeUInt16LE(shnum, offset + 12);                   // e_shnum
+  elf.writeUInt16LE(shnum - 1, offset + 14);               // e_shstrndx
+
+  // Program headers
+  const write_phdr = (index, p_type, p_flags, p_offset, p_size, p_align) => {
+    const phdr = phoff + (index * phdr_size);
+
+    elf.writeUInt32LE(p_type, phdr);
+    if (is_64bit) {
+      elf.writeUInt32LE(p_flags, phdr + 4);
+      write_word(elf, p_offset, phdr + 8);                 // p_offset
+      write_word(elf, p_offset, phdr + 16);                // p_vaddr
+      write_word(elf, p_offset, phdr + 24);                // p_paddr
+      write_word(elf, p_size, phdr + 32);                  // p_filesz
+      write_word(elf, p_size, phdr + 40);                  // p_memsz
+      write_word(elf, p_align, phdr + 48);
+    } else {
+      write_word(elf, p_offset, phdr + 4);                 // p_offset
+      write_word(elf, p_offset, phdr + 8);                 // p_vaddr
+      write_word(elf, p_offset, phdr + 12);                // p_paddr
+      write_word(elf, p_size, phdr + 16);                  // p_filesz
+      write_word(elf, p_size, phdr + 20);                  // p_memsz
+      elf.writeUInt32LE(p_flags, phdr + 24);
+      write_word(elf, p_align, phdr + 28);
+    }
+  };
+
+  write_phdr(0, 1, 4 | 2, 0, load_size, ELF_PAYLOAD_ALIGNMENT);        // PT_LOAD, PF_R | PF_W
+  write_phdr(1, 2, 4 | 2, dynamic_offset, dynamic_size, word_size);   // PT_DYNAMIC
+  write_phdr(2, 0x6474E551, 4 | 2, 0, 0, 16);                         // PT_GNU_STACK
+
+  // .dynstr
+  dynstr.copy(elf, dynstr_offset);
+
+  // .hash: nbucket, nchain, bucket[0], chain[0]
+  elf.writeUInt32LE(1, hash_offset);
+  elf.writeUInt32LE(1, hash_offset + 4);
+
+  // .dynamic
+  dynamic_tags.forEach(([d_tag, d_val], i) => {
+    write_word(elf, d_tag, dynamic_offset + (i * dyn_size));
+    write_word(elf, d_val, dynamic_offset + (i * dyn_size) + word_size);
+  });
+
+  // payload
+  payload.copy(elf, payload_offset);
+
+  // .shstrtab
+  shstrtab.copy(elf, shstrtab_offset);
+
+  // Section headers
+  const write_shdr = (index, sh_type, sh_flags, sh_offset, sh_size, sh_link, sh_info, sh_addralign, sh_entsize) => {
+    const shdr = shoff + (index * shdr_size);
+    const sh_addr = (sh_flags & 2) ? sh_offset : 0;        // SHF_ALLOC: vaddr == file offset
+
+    elf.writeUInt32LE(section_name_offsets[index], shdr);
+    elf.writeUInt32LE(sh_type, shdr + 4);
+    write_word(elf, sh_flags, shdr + 8);
+    write_word(elf, sh_addr, shdr + 8 + word_size);
+    write_word(elf, sh_offset, shdr + 8 + (2 * word_size));
+    write_word(elf, sh_size, shdr + 8 + (3 * word_size));
+    elf.writeUInt32LE(sh_link, shdr + 8 + (4 * word_size));
+    elf.writeUInt32LE(sh_info, shdr + 12 + (4 * word_size));
+    write_word(elf, sh_addralign, shdr + 16 + (4 * word_size));
+    write_word(elf, sh_entsize, shdr + 16 + (5 * word_size));
+  };
+
+  // index 0: SHT_NULL, already zeroed
+  write_shdr(1, 11, 2,     dynsym_offset,   dynsym_size,    2, 1, word_size, sym_size);          // .dynsym:  SHT_DYNSYM, SHF_ALLOC
+  write_shdr(2, 3,  2,     dynstr_offset,   dynstr.length,  0, 0, 1, 0);                         // .dynstr:  SHT_STRTAB, SHF_ALLOC
+  write_shdr(3, 5,  2,     hash_offset,     hash_size,      1, 0, 4, 4);                         // .hash:    SHT_HASH, SHF_ALLOC
+  write_shdr(4, 6,  2 | 1, dynamic_offset,  dynamic_size,   2, 0, word_size, dyn_size);          // .dynamic: SHT_DYNAMIC, SHF_ALLOC | SHF_WRITE
+  write_shdr(5, 1,  0,     payload_offset,  payload.length, 0, 0, ELF_PAYLOAD_ALIGNMENT, 0);     // payload:  SHT_PROGBITS
+  write_shdr(6, 3,  0,     shstrtab_offset, shstrtab.length, 0, 0, 1, 0);                        // .shstrtab
+
+  return elf;
+}
+
+async function do_repack_apk(in_apk, in_json_config, out_apk, elf = false, force = false, jobs = DEFAULT_LZ4_JOBS) {
+  in_apk = path.resolve(in_apk);
+  out_apk = out_apk
+    ? path.resolve(out_apk)
+    : path.join(path.dirname(in_apk), `${path.basename(in_apk, path.extname(in_apk))}.unsigned.apk`);
+
+  if (!fs.existsSync(in_apk)) {
+    console.log(`APK file '${in_apk}' does not exist!`);
+    return 41;
+  }
+
+  if (fs.existsSync(out_apk) && !force) {
+    console.log(`Output APK '${out_apk}' already exists!`);
+    return 42;
+  }
+
+  let zip_entries;
+  try {
+    zip_entries = read_zip_entries(fs.readFileSync(in_apk));
+  } catch(e) {
+    console.log(`Unable to read APK file '${in_apk}': ${e.message}`);
+    return 43;
+  }
+
+  // rebuild the stores with the same logic as 'pack'
+  const tmp_directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-'));
+
+  try {
+    await pack_stores({ config: in_json_config, out_directory: tmp_directory, elf, jobs, log: console.log });
+
+    const replacements = new Map();
+
+    for (const out_store_name of fs.readdirSync(tmp_directory)) {
+      const entry_name = get_apk_entry_name(out_store_name.replace(/\.new$/, ''));
+
+      if (!zip_entries.has(entry_name)) {
+        // ex: a split APK that only holds some of the stores
+        console.log(`Skipping '${entry_name}', which is not in the APK.`);
+        continue;
+      }
+
+      console.log(`Replacing '${entry_name}'...`);
+      replacements.set(entry_name, fs.readFileSync(path.join(tmp_directory, out_store_name)));
+    }
+
+    if (!replacements.size) {
+      console.log('None of the rebuilt assembly stores are in the APK!');
+      return 44;
+    }
+
+    for (const name of zip_entries.keys()) {
+      if (APK_SIGNATURE_FILE_REGEX.test(name)) {
+        debug(`Removing signature file '${name}'`);
+        zip_entries.delete(name);
+      }
+    }
+
+    console.log(`Writing '${out_apk}'...`);
+    write_aligned_zip(out_apk, zip_entries, replacements);
+  } finally {
+    fs.rmSync(tmp_directory, { recursive: true, force: true });
+  }
+
+  console.log('The APK needs to be signed before it can be installed.');
+  return 0;
+}
+
+function update_pack_layout(json_data, log = () => {}) {
+  // assemblies can be added to, removed from, or renamed in 'assemblies.json' after unpack.
+  // recompute everything that depends on the set of assemblies in each store.
+
+  // primary store first: the manifest and the hash tables expect the stores in order
+  json_data.assemblies.sort((a, b) => a.store_idx - b.store_idx);
+
+  const stores = [];
+  for (const assembly_store of json_data.stores) {
+    for (const [store_name, store_data] of Object.entries(assembly_store)) {
+      stores.push({ store_name, store_data });
+    }
+  }
+
+  const update_header = (store_name, json_hdr, key, value) => {
+    if (json_hdr[key] !== value) {
+      log(`Updating '${store_name}' header: ${key} ${json_hdr[key]} => ${value}`);
+      json_hdr[key] = value;
+    }
+  };
+
+  for (const { store_name, store_data } of stores) {
+    const json_hdr = store_data.header;
+    const is_v2 = is_store_format_v2(json_hdr);
+    const store_assemblies = json_data.assemblies.filter(assembly => assembly.store_idx === store_data.store_idx);
+
+    // v2 mapping indexes are kept, unless assemblies were added or removed
+    const mapping_indexes = new Set(store_assemblies.map(assembly => assembly.mapping_index));
+    const keep_mapping_index = (mapping_indexes.size === store_assemblies.length) &&
+      [...mapping_indexes].every(mapping_index => (typeof mapping_index === 'number') && (mapping_index < store_assemblies.length));
+
+    store_assemblies.forEach((assembly, blob_idx) => {
+      const [hash32, hash64] = gen_xxhash(assembly.name);
+
+      assembly.store_id = json_hdr.store_id;
+      assembly.blob_idx = blob_idx;
+
+      // a recovered name may not be the one that the runtime looks up, so the original hashes are kept
+      if (!assembly.name_source) {
+        assembly.hash32 = `0x${hash32}`;
+        assembly.hash64 = `0x${hash64}`;
+      }
+
+      if (is_v2 && !keep_mapping_index) {
+        assembly.mapping_index = blob_idx;
+      }
+
+      // the descriptor index points into a table in the app's native code, which cannot be extended
+      if (assembly.lz4 && (typeof assembly.lz4_desc_idx !== 'number')) {
+        log(`Assembly '${assembly.name}' has no 'lz4_desc_idx', and will be stored uncompressed.`);
+        assembly.lz4 = false;
+      }
+    });
+
+    update_header(store_name, json_hdr, 'lec', store_assemblies.length);
+  }
+
+  // v1: the primary store holds hash entries for its own assemblies, and for those of the first architecture-specific store
+  const v1_stores = stores.filter(({ store_data }) => !is_store_format_v2(store_data.header));
+  const primary = v1_stores.find(({ store_data }) => store_data.header.store_id === 0);
+
+  if (primary) {
+    const arch_store = v1_stores.find(({ store_data }) => store_data.store_idx === 1);
+    const gec = primary.store_data.header.lec + (arch_store ? arch_store.store_data.header.lec : 0);
+
+    update_header(primary.store_name, primary.store_data.header, 'gec', gec);
+  }
+}
+
+function sort_assemblies_by_hash(assembly_data, key) {
+  let sortedHash = [...assembly_data];
+
+  // only keep assemblies belonging to: the primary store, and the first architecture-specific store
+  sortedHash = sortedHash.filter(assembly => assembly.store_idx < 2);
+
+  // sort by hash => lexicographical order of hex-encoded strings
+  sortedHash.sort((a, b) => {
+    a = a[key];
+    b = b[key];
+
+    return (a > b) ? 1 : ((a < b) ? -1 : 0);
+  });
+
+  return sortedHash;
+}
+
+/** Library API **/
+
+async function open_store(in_store, options = {}) {
+  // in_store: path or Buffer
+  // options.manifest:  path or Buffer of 'assemblies.manifest'. Only used by format version 1 stores.
+  //                    Default is the manifest next to a store path.
+  // options.file_name: name of a store that is passed as a Buffer.
+  // returns: AssemblyStore
+
+  const store_file = Buffer.isBuffer(in_store)
+    ? new StoreFile(options.file_name || FILE_ASSEMBLIES_BLOB, () => in_store)
+    : new StoreFile(path.resolve(in_store));
+
+  let in_manifest = options.manifest;
+
+  if (!in_manifest && !Buffer.isBuffer(in_store) && (read_store_format_version(store_file) < ASSEMBLY_STORE_FORMAT_VERSION_2)) {
+    in_manifest = path.join(path.dirname(store_file.file_path), FILE_ASSEMBLIES_MANIFEST);
+  }
+
+  let manifest_entries = new ManifestList();
+
+  if (Buffer.isBuffer(in_manifest)) {
+    manifest_entries = read_manifest(new StoreFile(FILE_ASSEMBLIES_MANIFEST, () => in_manifest));
+  } else if (in_manifest && fs.existsSync(in_manifest)) {
+    manifest_entries = read_manifest(in_manifest);
+  }
+
+  await init_lz4();
+  return new AssemblyStore(store_file, manifest_entries);
+}
+
+async function unpack_stores(options) {
+  // the 'unpack' command, without printing anything.
+  // options.in_directory: directory with the stores, or an ELF-wrapped store file. Ignored when 'apk_files' is given.
+  // options.apk_files:    APK (or split APK) files to read the stores from.
+  // options.out_directory
+  // options.arch:         architectures to unpack: "arm", "arm64", "x86", "x86_64", or "none". Default is all of them.
+  // options.force:        delete 'out_directory' when it exists.
+  // options.jobs:         number of worker threads for LZ4 decompression. Default is the number of CPUs.
+  // options.include, options.exclude: glob patterns of assembly names to extract.
+  // options.lenient:      recover the names of assemblies that are missing from the manifest.
+  // options.log:          called with each progress message. Default prints nothing.
+  // returns: {stores, assemblies, recovered, files_written}
+  //          'stores' and 'assemblies' are the contents of the written 'assemblies.json'.
+  // throws: AssemblyStoreError, AssemblyStoreParseError
+
+  const { in_directory, apk_files = null, arch: include_arch_assemblies = null, force = false, jobs = DEFAULT_LZ4_JOBS, include = [], exclude = [], lenient = false, log = () => {} } = options;
+  const out_directory = path.resolve(options.out_directory);
+
+  let name_filter;
+  try {
+    name_filter = compile_name_filter(include, exclude);
+  } catch(e) {
+    throw new AssemblyStoreError(`Invalid name filter: ${e.message}`, 19);
+  }
+
+  prepare_out_directory(out_directory, force);
+
+  await init_lz4();
+
+  const stores = open_input_stores(in_directory, apk_files, include_arch_assemblies, lenient, log);
+  const recovered = lenient ? await recover_assembly_names(stores) : [];
+
+  if (recovered.length) {
+    log(`Recovered ${recovered.length} assembly names that are missing from '${FILE_ASSEMBLIES_MANIFEST}':`);
+
+    for (const entry of recovered) {
+      log(`  store_id ${entry.blob_id} index ${entry.blob_idx}: ${entry.name} (${entry.name_source}${entry.hash_mismatch ? ', does not match hash' : ''})`);
+    }
+  }
+
+  const json_data = { stores: [], assemblies: [] };
+
+  if (name_filter) {
+    json_data.filters = { include: include || [], exclude: exclude || [] };
+  }
+
+  fs.mkdirSync(out_directory);
+
+  const pool = new LZ4WorkerPool(jobs);
+
+  try {
+    for (const { assembly_store, dir_name } of stores) {
+      await assembly_store.extract_all(json_data, path.join(out_directory, dir_name), pool, name_filter, log);
+      assembly_store.close();
+
+      if (name_filter) {
+        // where 'pack' finds the assemblies that were not extracted
+        const store_json = json_data.stores[json_data.stores.length - 1][assembly_store.file_name];
+
+        store_json.source = (apk_files && apk_files.length)
+          ? { apk: apk_files.map(apk_file => path.resolve(apk_file)), path: assembly_store.store_file.file_path }
+          : { path: assembly_store.store_file.file_path };
+      }
+    }
+  } finally {
+    await pool.close();
+  }
+
+  // when no architecture-specific stores were extracted (either: "--arch none", or no assembly stores found for any of the included architectures)
+  // update "gec" to equal "lec"
+
+  if (
+    (json_data.stores.length === 1) &&
+    (json_data.stores[0][FILE_ASSEMBLIES_BLOB] instanceof Object) &&
+    (json_data.stores[0][FILE_ASSEMBLIES_BLOB]['header']['store_id'] === 0) &&
+    (json_data.stores[0][FILE_ASSEMBLIES_BLOB]['header']['lec'] === json_data.assemblies.length) &&
+    (json_data.stores[0][FILE_ASSEMBLIES_BLOB]['header']['gec']   > json_data.assemblies.length) &&
+    (json_data.assemblies[json_data.assemblies.length - 1]['store_id'] === 0)
+  ) {
+    json_data.stores[0][FILE_ASSEMBLIES_BLOB]['header']['gec'] = json_data.assemblies.length;
+  }
+
+  const json_file = path.join(out_directory, FILE_ASSEMBLIES_JSON);
+  fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4));
+
+  const files_written = [];
+  for (const assembly of json_data.assemblies) {
+    for (const key of ['file', 'lz4_file', 'debug_file', 'config_file']) {
+      if (assembly[key]) {
+        files_written.push(assembly[key]);
+      }
+    }
+  }
+  files_written.push(json_file);
+
+  return { stores: json_data.stores, assemblies: json_data.assemblies, recovered, files_written };
+}
+
+async function pack_stores(options) {
+  // the 'pack' command, without printing anything.
+  // options.config:        path of an 'assemblies.json' file, or its parsed contents (which are not modified).
+  // options.out_directory
+  // options.elf:           wrap format version 2 stores that have an ABI in ELF shared objects.
+  // options.jobs:          number of worker threads for LZ4 compression. Default is the number of CPUs.
+  // options.overwrite:     replace outputs that exist.
+  // options.log:           called with each progress message. Default prints nothing.
+  // returns: {stores, assemblies, files_written}
+  //          'stores' and 'assemblies' are the configuration that was packed, with the recomputed layout.
+  // throws: AssemblyStoreError, AssemblyStoreParseError
+
+  const { config, elf = false, jobs = DEFAULT_LZ4_JOBS, overwrite = false, log = () => {} } = options;
+  const out_directory = path.resolve(options.out_directory);
+
+  let json_data, config_label;
+  if (typeof config === 'string') {
+    const in_json_config = path.resolve(config);
+
+    json_data = read_pack_config(in_json_config);
+    config_label = `Config file '${in_json_config}'`;
+  } else {
+    json_data = JSON.parse(JSON.stringify(config));
+    config_label = 'Config';
+  }
+
+  // all outputs are built in a temporary directory, and are only moved into 'out_directory' when every store was built
+  const outputs = prepare_pack(json_data, config_label, out_directory, elf, !overwrite, log);
+  const sources = open_pack_sources(json_data);
+
+  await init_lz4();
+
+  const pool = new LZ4WorkerPool(jobs);
+
+  // Build: in a temporary directory, on the same file system as 'out_directory', so each output is moved into place with a rename
+  fs.mkdirSync(out_directory, { recursive: true });
+
+  const tmp_directory = fs.mkdtempSync(path.join(out_directory, '.jsxamstore-pack-'));
+  const files_written = [];
+
+  try {
+    for (const output of outputs) {
+      log(`Writing '${output.out_name}'...`);
+      fs.writeFileSync(path.join(tmp_directory, output.out_name), await output.build(pool));
+    }
+
+    for (const { out_name } of outputs) {
+      fs.renameSync(path.join(tmp_directory, out_name), path.join(out_directory, out_name));
+      files_written.push(path.join(out_directory, out_name));
+    }
+  } finally {
+    await pool.close();
+    sources.forEach(source_store => source_store.close());
+    fs.rmSync(tmp_directory, { recursive: true, force: true });
+
+    // the original stores of assemblies that were not extracted
+    json_data.assemblies.forEach(assembly => delete assembly.source_store);
+  }
+
+  return { stores: json_data.stores, assemblies: json_data.assemblies, files_written };
+}
+
+async function build_store(assemblies, options = {}) {
+  // assemblies: [{name, data, lz4, debug_data, config_data}], in store order.
+  //             'name' has no '.dll' extension. 'data' is a Buffer with the uncompressed DLL.
+  // options.version: 1 (default) or 2
+  // options.abi:     "arm", "arm64", "x86" or "x86_64". Required by format version 2.
+  // options.elf:     wrap a format version 2 store in an ELF shared object.
+  // options.jobs:    number of worker threads for LZ4 compression. Default is the number of CPUs.
+  // returns: {file_name, store, manifest}
+  //          'manifest' is null for format version 2 stores.
+  // builds one store on its own: a v1 store is the primary store (store_id 0), with no architecture-specific stores.
+  // the LZ4 descriptor index of each compressed assembly is its position in 'assemblies'. 'pack_stores' keeps the unpacked layout.
+
+  const format_version = options.version || ASSEMBLY_STORE_FORMAT_VERSION;
+
+  const json_assemblies = assemblies.map((assembly, i) => {
+    const [hash32, hash64] = gen_xxhash(assembly.name);
+
+    return {
+      ...assembly,
+      store_idx: 0,
+      lz4: !!assembly.lz4,
+      lz4_desc_idx: i,
+      store_id: 0,
+      blob_idx: i,
+      hash32: `0x${hash32}`,
+      hash64: `0x${hash64}`,
+    };
+  });
+
+  await init_lz4();
+
+  const pool = new LZ4WorkerPool(options.jobs);
+
+  try {
+    if (format_version < ASSEMBLY_STORE_FORMAT_VERSION_2) {
+      const store_data = {
+        store_idx: 0,
+        header: { version: ASSEMBLY_STORE_FORMAT_VERSION, lec: assemblies.length, gec: assemblies.length, store_id: 0 },
+      };
+
+      return {
+        file_name: FILE_ASSEMBLIES_BLOB,
+        store: await build_store_v1(store_data, json_assemblies, assemblies.length, pool),
+        manifest: build_manifest(json_assemblies),
+      };
+    }
+
+    const abi_flag = Object.keys(ASSEMBLY_STORE_ABI_MAP).find(key => ASSEMBLY_STORE_ABI_MAP[key] === options.abi);
+
+    if (!abi_flag) {
+      throw new Error(`Unknown ABI: ${options.abi}`);
+    }
+
+    const is_64bit = (options.abi === 'arm64') || (options.abi === 'x86_64');
+    const version = (format_version | Number(abi_flag) | (is_64bit ? ASSEMBLY_STORE_64BIT_FLAG : 0)) >>> 0;
+
+    const store_data = {
+      store_idx: 0,
+      header: { version, lec: assemblies.length, gec: assemblies.length, store_id: 0 },
+    };
+
+    let store = await build_store_v2(store_data, json_assemblies, pool);
+    let file_name = ARCHITECTURE_MAP[options.abi];
+
+    if (options.elf) {
+      file_name = ARCHITECTURE_ELF_MAP[options.abi];
+      store = build_elf_payload(store, options.abi, file_name);
+    }
+
+    return { file_name, store, manifest: null };
+  } finally {
+    await pool.close();
+  }
+}
+
+/** Command handlers **/
+
+async function unpack_store(args) {
+  // Simple argument parsing
+  const yargs = require('yargs/yargs');
+
+  const parser = yargs(args)
+    .usage('Usage: jsxamstore unpack [options]')
+    .option('dir', {
+      alias: 'd',
+      type: 'string',
+      default: './',
+      describe: 'Where to load blobs/manifest from. Can also be a single format version 2 store file (ex: "libassemblies.arm64-v8a.blob.so").',
+    })
+    .option('out', {
+      alias: 'o',
+      type: 'string',
+      default: './out/',
+      describe: 'Where to save dlls/manifest to.',
+    })
+    .option('arch', {
+      alias: 'a',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Which architectures to unpack. Default is all. To select a subset, repeat flag with any combination of: "arm", "arm64", "x86", "x86_64". To exclude all, use: "none", "no", or "0".',
+    })
+    .option('force', {
+      alias: 'f',
+      type: 'boolean',
+      default: false,
+      describe: 'Force re-create out/ directory.',
+    })
+    .option('apk', {
+      alias: 'p',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Read blobs/manifest directly from an .apk, .xapk or .apks file, instead of --dir. To combine a base APK with its split APKs, repeat flag.',
+    })
+    .option('jobs', {
+      alias: 'j',
+      type: 'number',
+      describe: 'Number of worker threads for LZ4 decompression. Default is the number of CPUs.',
+    })
+    .option('include', {
+      alias: 'i',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Only extract the assemblies with a matching name. Either a glob (ex: "MyApp.*") or a regex (ex: "/^MyApp\\./i"). Repeat flag to match any of several patterns.',
+    })
+    .option('exclude', {
+      alias: 'x',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Do not extract the assemblies with a matching name. Same syntax as --include. Repeat flag to match any of several patterns.',
+    })
+    .option('lenient', {
+      alias: 'l',
+      type: 'boolean',
+      default: false,
+      describe: 'Recover the names of assemblies that are missing from the manifest (or when there is no manifest), instead of failing.',
+    })
+    .help(true)
+    .version(false);
+
+  const parsed_args = parser.parse();
+
+  return await do_unpack(parsed_args.dir, parsed_args.out, parsed_args.arch, parsed_args.force, parsed_args.apk, parsed_args.jobs, parsed_args.include, parsed_args.exclude, parsed_args.lenient);
+}
+
+function list_store(args) {
+  const yargs = require('yargs/yargs');
+
+  const parser = yargs(args)
+    .usage('Usage: jsxamstore list [options]')
+    .option('dir', {
+      alias: 'd',
+      type: 'string',
+      default: './',
+      describe: 'Where to load blobs/manifest from. Can also be a single format version 2 store file (ex: "libassemblies.arm64-v8a.blob.so").',
+    })
+    .option('apk', {
+      alias: 'p',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Read blobs/manifest directly from an .apk, .xapk or .apks file, instead of --dir. To combine a base APK with its split APKs, repeat flag.',
+    })
+    .option('arch', {
+      alias: 'a',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Which architectures to list. Default is all. To select a subset, repeat flag with any combination of: "arm", "arm64", "x86", "x86_64". To exclude all, use: "none", "no", or "0".',
+    })
+    .option('json', {
+      type: 'boolean',
+      default: false,
+      describe: 'Print as JSON.',
+    })
+    .option('csv', {
+      type: 'boolean',
+      default: false,
+      describe: 'Print assemblies as CSV, with the header values of their store.',
+    })
+    .help(true)
+    .version(false);
 
-        // Write entry data
-        const entryBuffer = Buffer.alloc(24);
-        entryBuffer.writeUInt32LE(next_data_offset, 0);
-        entryBuffer.writeUInt32LE(data_size, 4);
-        // The rest 4 uint32 zeros
-        entryBuffer.writeUInt32LE(0, 8);
-        entryBuffer.writeUInt32LE(0, 12);
-        entryBuffer.writeUInt32LE(0, 16);
-        entryBuffer.writeUInt32LE(0, 20);
+  const parsed_args = parser.parse();
+  const format = parsed_args.json ? 'json' : (parsed_args.csv ? 'csv' : 'table');
 
-        fs.writeSync(assemblies_blob_f, entryBuffer, 0, 24, next_entry_offset);
+  return do_list(parsed_args.dir, parsed_args.apk, parsed_args.arch, format);
+}
 
-        // Write binary data
-        fs.writeSync(assemblies_blob_f, assembly_data, 0, data_size, next_data_offset);
+async function inspect_store(args) {
+  const yargs = require('yargs/yargs');
 
-        next_data_offset += data_size;
-        next_entry_offset += 24;
-      }
+  const parser = yargs(args)
+    .usage('Usage: jsxamstore inspect [options]')
+    .option('dir', {
+      alias: 'd',
+      type: 'string',
+      default: './',
+      describe: 'Where to load blobs/manifest from. Can also be a single format version 2 store file (ex: "libassemblies.arm64-v8a.blob.so").',
+    })
+    .option('apk', {
+      alias: 'p',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Read blobs/manifest directly from an .apk, .xapk or .apks file, instead of --dir. To combine a base APK with its split APKs, repeat flag.',
+    })
+    .option('arch', {
+      alias: 'a',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Which architectures to inspect. Default is all. To select a subset, repeat flag with any combination of: "arm", "arm64", "x86", "x86_64". To exclude all, use: "none", "no", or "0".',
+    })
+    .option('name', {
+      alias: 'n',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Only inspect the assemblies with a matching name. Either a glob (ex: "MyApp.*") or a regex (ex: "/^MyApp\\./i"). Repeat flag to match any of several patterns.',
+    })
+    .option('json', {
+      type: 'boolean',
+      default: false,
+      describe: 'Print as JSON.',
+    })
+    .help(true)
+    .version(false);
 
-      if (!primary) {
-        fs.closeSync(assemblies_blob_f);
-        continue;
-      }
+  const parsed_args = parser.parse();
 
-      // Second + third pass: write hashes
-      let next_hash32_offset = 20 + (json_hdr.lec * 24);
-      let next_hash64_offset = 20 + (json_hdr.lec * 24) + (json_hdr.gec * 20);
+  return await do_inspect(parsed_args.dir, parsed_args.apk, parsed_args.arch, parsed_args.name, parsed_args.json ? 'json' : 'text');
+}
 
-      const assembly_data = json_data.assemblies;
+async function graph_store(args) {
+  const yargs = require('yargs/yargs');
 
-      // hash32
-      const sortedHash32 = sort_assemblies_by_hash(json_data.assemblies, 'hash32');
-      if (sortedHash32.length !== json_hdr.gec) {
-        console.log(`Sorted hash32 is the wrong length. Expected: ${json_hdr.gec}. Found: ${sortedHash32.length}.`);
-        return 24;
-      }
-      for (const assembly of sortedHash32) {
-        const [hash32, hash64] = gen_xxhash(assembly.name, true);
-        const mapping_id = assembly.store_id === 0 ? assembly.blob_idx : store_zero_lec + assembly.blob_idx;
+  const parser = yargs(args)
+    .usage('Usage: jsxamstore graph [options]')
+    .option('dir', {
+      alias: 'd',
+      type: 'string',
+      default: './',
+      describe: 'Where to load blobs/manifest from. Can also be a single format version 2 store file (ex: "libassemblies.arm64-v8a.blob.so").',
+    })
+    .option('apk', {
+      alias: 'p',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Read blobs/manifest directly from an .apk, .xapk or .apks file, instead of --dir. To combine a base APK with its split APKs, repeat flag.',
+    })
+    .option('arch', {
+      alias: 'a',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Which architectures to include. Default is all. To select a subset, repeat flag with any combination of: "arm", "arm64", "x86", "x86_64". To exclude all, use: "none", "no", or "0".',
+    })
+    .option('json', {
+      type: 'boolean',
+      default: false,
+      describe: 'Print as JSON, instead of DOT.',
+    })
+    .option('out', {
+      alias: 'o',
+      type: 'string',
+      describe: 'Write the graph to a file, and print a summary of the unsatisfied references.',
+    })
+    .help(true)
+    .version(false);
 
-        const hash32Buffer = Buffer.alloc(20);
-        // hash32 is 4 bytes
-        hash32.copy(hash32Buffer, 0);
-        // 4 bytes zero
-        hash32Buffer.writeUInt32LE(0, 4);
-        // mapping_id
-        hash32Buffer.writeUInt32LE(mapping_id, 8);
-        // local_store_index (blob_idx)
-        hash32Buffer.writeUInt32LE(assembly.blob_idx, 12);
-        // store_id
-        hash32Buffer.writeUInt32LE(assembly.store_id, 16);
+  const parsed_args = parser.parse();
 
-        fs.writeSync(assemblies_blob_f, hash32Buffer, 0, 20, next_hash32_offset);
-        next_hash32_offset += 20;
-      }
+  return await do_graph(parsed_args.dir, parsed_args.apk, parsed_args.arch, parsed_args.json ? 'json' : 'dot', parsed_args.out);
+}
 
-      // hash64
-      const sortedHash64 = sort_assemblies_by_hash(json_data.assemblies, 'hash64');
-      if (sortedHash64.length !== json_hdr.gec) {
-        console.log(`Sorted hash64 is the wrong length. Expected: ${json_hdr.gec}. Found: ${sortedHash64.length}.`);
-        return 25;
-      }
-      for (const assembly of sortedHash64) {
-        const [hash32, hash64] = gen_xxhash(assembly.name, true);
-        const mapping_id = assembly.store_id === 0 ? assembly.blob_idx : store_zero_lec + assembly.blob_idx;
+async function sbom_store(args) {
+  const yargs = require('yargs/yargs');
 
-        const hash64Buffer = Buffer.alloc(20);
-        // hash64 is 8 bytes
-        hash64.copy(hash64Buffer, 0);
-        // mapping_id
-        hash64Buffer.writeUInt32LE(mapping_id, 8);
-        // local_store_index (blob_idx)
-        hash64Buffer.writeUInt32LE(assembly.blob_idx, 12);
-        // store_id
-        hash64Buffer.writeUInt32LE(assembly.store_id, 16);
+  const parser = yargs(args)
+    .usage('Usage: jsxamstore sbom [options]')
+    .option('dir', {
+      alias: 'd',
+      type: 'string',
+      default: './',
+      describe: 'Where to load blobs/manifest from. Can also be a single format version 2 store file (ex: "libassemblies.arm64-v8a.blob.so").',
+    })
+    .option('apk', {
+      alias: 'p',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Read blobs/manifest directly from an .apk, .xapk or .apks file, instead of --dir. To combine a base APK with its split APKs, repeat flag.',
+    })
+    .option('arch', {
+      alias: 'a',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Which architectures to include. Default is all. To select a subset, repeat flag with any combination of: "arm", "arm64", "x86", "x86_64". To exclude all, use: "none", "no", or "0".',
+    })
+    .option('spdx', {
+      type: 'boolean',
+      default: false,
+      describe: 'Write SPDX 2.3 JSON, instead of CycloneDX 1.5 JSON.',
+    })
+    .option('app-name', {
+      type: 'string',
+      describe: 'Name of the app component. Default is the name of the first APK file, or of the --dir directory.',
+    })
+    .option('out', {
+      alias: 'o',
+      type: 'string',
+      describe: 'Write the SBOM to a file, instead of printing it.',
+    })
+    .help(true)
+    .version(false);
 
-        fs.writeSync(assemblies_blob_f, hash64Buffer, 0, 20, next_hash64_offset);
-        next_hash64_offset += 20;
-      }
+  const parsed_args = parser.parse();
 
-      fs.closeSync(assemblies_blob_f);
-    }
-  }
-  return 0;
+  return await do_sbom(parsed_args.dir, parsed_args.apk, parsed_args.arch, parsed_args.spdx ? 'spdx' : 'cyclonedx', parsed_args.out, parsed_args['app-name']);
 }
 
-function sort_assemblies_by_hash(assembly_data, key) {
-  let sortedHash = [...assembly_data];
-
-  // only keep assemblies belonging to: the primary store, and the first architecture-specific store
-  sortedHash = sortedHash.filter(assembly => assembly.store_idx < 2);
+async function verify_store(args) {
+  const yargs = require('yargs/yargs');
 
-  // sort by hash => lexicographical order of hex-encoded strings
-  sortedHash.sort((a, b) => {
-    a = a[key];
-    b = b[key];
+  const parser = yargs(args)
+    .usage('Usage: jsxamstore verify [options]')
+    .option('dir', {
+      alias: 'd',
+      type: 'string',
+      default: './',
+      describe: 'Where to load blobs/manifest from. Can also be a single format version 2 store file (ex: "libassemblies.arm64-v8a.blob.so").',
+    })
+    .option('apk', {
+      alias: 'p',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Read blobs/manifest directly from an .apk, .xapk or .apks file, instead of --dir. To combine a base APK with its split APKs, repeat flag.',
+    })
+    .option('arch', {
+      alias: 'a',
+      array: true,
+      type: 'string',
+      default: [],
+      describe: 'Which architectures to verify. Default is all. To select a subset, repeat flag with any combination of: "arm", "arm64", "x86", "x86_64". To exclude all, use: "none", "no", or "0".',
+    })
+    .help(true)
+    .version(false);
 
-    return (a > b) ? 1 : ((a < b) ? -1 : 0);
-  });
+  const parsed_args = parser.parse();
 
-  return sortedHash;
+  return await do_verify(parsed_args.dir, parsed_args.apk, parsed_args.arch);
 }
 
-/** Command handlers **/
-
-async function unpack_store(args) {
-  // Simple argument parsing
+async function replace_assembly(args) {
   const yargs = require('yargs/yargs');
 
   const parser = yargs(args)
-    .usage('Usage: jsxamstore unpack [options]')
+    .usage('Usage: jsxamstore replace [options]')
     .option('dir', {
       alias: 'd',
       type: 'string',
       default: './',
-      describe: 'Where to load blobs/manifest from.',
+      describe: 'Where to load blobs/manifest from. Can also be a single format version 2 store file (ex: "libassemblies.arm64-v8a.blob.so"). The store that holds the assembly is rewritten in place.',
     })
-    .option('out', {
-      alias: 'o',
+    .option('name', {
+      alias: 'n',
       type: 'string',
-      default: './out/',
-      describe: 'Where to save dlls/manifest to.',
+      demandOption: true,
+      describe: 'Name of the assembly to replace (ex: "Mono.Android").',
+    })
+    .option('file', {
+      alias: 'f',
+      type: 'string',
+      demandOption: true,
+      describe: 'The new (uncompressed) DLL.',
     })
     .option('arch', {
+      alias: 'a',
+      type: 'string',
+      choices: Object.keys(ARCHITECTURE_MAP),
+      describe: 'Replace the assembly in the store for this architecture. Required for architecture-specific assemblies in format version 1 stores.',
+    })
+    .help(true)
+    .version(false);
+
+  const parsed_args = parser.parse();
+
+  return await do_replace(parsed_args.dir, parsed_args.name, parsed_args.file, parsed_args.arch);
+}
+
+async function create_store(args) {
+  const yargs = require('yargs/yargs');
+
+  const parser = yargs(args)
+    .usage('Usage: jsxamstore create [options]')
+    .option('in', {
+      alias: 'i',
+      type: 'string',
+      demandOption: true,
+      describe: 'Directory of DLLs for the primary store.',
+    })
+    .option('arch-dir', {
       alias: 'a',
       array: true,
       type: 'string',
       default: [],
-      describe: 'Which architectures to unpack. Default is all. To select a subset, repeat flag with any combination of: "arm", "arm64", "x86", "x86_64". To exclude all, use: "none", "no", or "0".',
+      describe: 'Directory of DLLs for an architecture-specific store, as: <arch>=<directory> (ex: "arm64=dlls-arm64/"). To add more than one architecture, repeat flag.',
+    })
+    .option('lz4', {
+      alias: 'z',
+      type: 'boolean',
+      default: false,
+      describe: 'Compress the DLLs with LZ4.',
+    })
+    .option('out', {
+      alias: 'o',
+      type: 'string',
+      default: './out/',
+      describe: 'Where to save blobs/manifest/assemblies.json to.',
     })
     .option('force', {
       alias: 'f',
@@ -772,12 +5437,46 @@ async function unpack_store(args) {
       default: false,
       describe: 'Force re-create out/ directory.',
     })
+    .option('jobs', {
+      alias: 'j',
+      type: 'number',
+      describe: 'Number of worker threads for LZ4 compression. Default is the number of CPUs.',
+    })
+    .help(true)
+    .version(false);
+
+  const parsed_args = parser.parse();
+
+  return await do_create(parsed_args.in, parsed_args['arch-dir'], parsed_args.lz4, parsed_args.out, parsed_args.force, parsed_args.jobs);
+}
+
+function check_config(args) {
+  const yargs = require('yargs/yargs');
+
+  const parser = yargs(args)
+    .usage('Usage: jsxamstore check-config [options]')
+    .option('config', {
+      alias: 'c',
+      type: 'string',
+      default: 'assemblies.json',
+      describe: 'Input assemblies.json file.',
+    })
+    .option('print-schema', {
+      type: 'boolean',
+      default: false,
+      describe: 'Print the JSON Schema of assemblies.json, instead of checking a file.',
+    })
     .help(true)
     .version(false);
 
   const parsed_args = parser.parse();
 
-  return await do_unpack(parsed_args.dir, parsed_args.out, parsed_args.arch, parsed_args.force);
+  if (parsed_args['print-schema']) {
+    console.log(JSON.stringify(ASSEMBLIES_JSON_SCHEMA, null, 2));
+    return 0;
+  }
+
+  return do_check_config(parsed_args.config);
 }
 
 async function pack_store(args) {
@@ -797,12 +5496,80 @@ async function pack_store(args) {
       default: './out/',
       describe: 'Where to save blobs/manifest to.',
     })
+    .option('elf', {
+      alias: 'e',
+      type: 'boolean',
+      default: false,
+      describe: 'Wrap format version 2 stores in "libassemblies.<abi>.blob.so" ELF files. Stores that were unpacked from ELF files are always re-wrapped.',
+    })
+    .option('jobs', {
+      alias: 'j',
+      type: 'number',
+      describe: 'Number of worker threads for LZ4 compression. Default is the number of CPUs.',
+    })
+    .option('overwrite', {
+      type: 'boolean',
+      default: false,
+      describe: 'Replace the blobs/manifest of a previous pack.',
+    })
+    .option('dry-run', {
+      type: 'boolean',
+      default: false,
+      describe: 'Build each blob/manifest in memory, and print its layout (offsets, sizes, LZ4 compression) without writing anything.',
+    })
+    .help(true)
+    .version(false);
+
+  const parsed_args = parser.parse();
+
+  return await do_pack(parsed_args.config, parsed_args.out, parsed_args.elf, parsed_args.jobs, parsed_args.overwrite, parsed_args['dry-run']);
+}
+
+async function repack_apk(args) {
+  const yargs = require('yargs/yargs');
+
+  const parser = yargs(args)
+    .usage('Usage: jsxamstore repack-apk [options]')
+    .option('apk', {
+      alias: 'p',
+      type: 'string',
+      demandOption: true,
+      describe: 'Original APK file.',
+    })
+    .option('config', {
+      alias: 'c',
+      type: 'string',
+      default: 'assemblies.json',
+      describe: 'Input assemblies.json file.',
+    })
+    .option('out', {
+      alias: 'o',
+      type: 'string',
+      describe: 'Where to save the new (unsigned) APK. Default is "<apk>.unsigned.apk", next to the original APK.',
+    })
+    .option('elf', {
+      alias: 'e',
+      type: 'boolean',
+      default: false,
+      describe: 'Wrap format version 2 stores in "libassemblies.<abi>.blob.so" ELF files.',
+    })
+    .option('force', {
+      alias: 'f',
+      type: 'boolean',
+      default: false,
+      describe: 'Overwrite the output APK.',
+    })
+    .option('jobs', {
+      alias: 'j',
+      type: 'number',
+      describe: 'Number of worker threads for LZ4 compression. Default is the number of CPUs.',
+    })
     .help(true)
     .version(false);
 
   const parsed_args = parser.parse();
 
-  return await do_pack(parsed_args.config, parsed_args.out);
+  return await do_repack_apk(parsed_args.apk, parsed_args.config, parsed_args.out, parsed_args.elf, parsed_args.force, parsed_args.jobs);
 }
 
 function gen_hash(args) {
@@ -838,8 +5605,27 @@ async function main() {
   switch (mode) {
     case 'unpack':
       return await unpack_store(args);
+    case 'list':
+    case 'info':
+      return list_store(args);
+    case 'inspect':
+      return await inspect_store(args);
+    case 'graph':
+      return await graph_store(args);
+    case 'sbom':
+      return await sbom_store(args);
+    case 'verify':
+      return await verify_store(args);
+    case 'replace':
+      return await replace_assembly(args);
     case 'pack':
       return await pack_store(args);
+    case 'check-config':
+      return check_config(args);
+    case 'create':
+      return await create_store(args);
+    case 'repack-apk':
+      return await repack_apk(args);
     case 'hash':
       return gen_hash(args);
     case '-h':
@@ -853,12 +5639,44 @@ async function main() {
 }
 
 async function init() {
-  lz4 = await lz4BlockCodec.init();
-
-  const ret = await main();
+  await init_lz4();
+
+  let ret;
+  try {
+    ret = await main();
+  } catch(e) {
+    if (e instanceof AssemblyStoreError) {
+      console.log(e.message);
+      e.details.forEach(line => console.log(line));
+      ret = e.exit_code;
+    } else if (e instanceof AssemblyStoreParseError) {
+      console.log(`Unable to parse assembly store: ${e.message}`);
+      ret = 3;
+    } else {
+      throw e;
+    }
+  }
   exit(ret);
 }
 
-if (require.main === module) {
+if (!isMainThread && workerData && workerData.lz4_worker) {
+  run_lz4_worker();
+} else if (require.main === module) {
   init()
 }
+
+module.exports = {
+  AssemblyStore,
+  AssemblyStoreError,
+  AssemblyStoreParseError,
+  ManifestEntry,
+  ManifestList,
+  open_store,
+  build_store,
+  unpack_stores,
+  pack_stores,
+  read_manifest,
+  inspect_assembly,
+  gen_xxhash,
+  gen_xxhash_v2,
+};
@@ -0,0 +1,174 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore check-config" (and "jsxamstore pack") validate assemblies.json against its schema and semantic rules,
+// and print every problem with its JSON path
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-check-config-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+}
+
+const write_json_config = (label, json_data) => {
+  const json_file = path.join(work_dir, `${label}.json`)
+  fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4))
+  return json_file
+}
+
+const compare_lines = (label, expect_lines, stdout) => {
+  const actual_lines = stdout.split('\n').filter(line => /^(error|warning): /.test(line))
+  const ok = (JSON.stringify(actual_lines) === JSON.stringify(expect_lines))
+  console.log(label, ok ? 'OK' : `Fail (${actual_lines.join(' | ')})`)
+}
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const build_json_data = () => {
+  const dlls_dir = path.join(work_dir, 'dlls')
+  fs.mkdirSync(dlls_dir, {recursive: true})
+
+  const assemblies = ['App', 'Mono.Android', 'System.Private'].map((name, i) => {
+    const file = path.join(dlls_dir, `${name}.dll`)
+    fs.writeFileSync(file, Buffer.from(`MZ ${name} `.repeat(20)))
+
+    return {store_idx: (i < 2) ? 0 : 1, lz4: false, name, store_id: (i < 2) ? 0 : 1, blob_idx: (i < 2) ? i : 0, hash32: '', hash64: '', file}
+  })
+
+  return {
+    stores: [
+      {'assemblies.blob':           {store_idx: 0, header: {version: 1, lec: 2, gec: 3, store_id: 0}}},
+      {'assemblies.arm64_v8a.blob': {store_idx: 1, header: {version: 1, lec: 1, gec: 0, store_id: 1}}},
+    ],
+    assemblies
+  }
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  // valid
+  {
+    const {status, stdout} = run_jsxamstore('check-config', '-c', write_json_config('valid', build_json_data()))
+    console.log('valid:', ((status === 0) && stdout.includes('0 errors, 0 warnings.')) ? 'OK' : `Fail (exit code ${status})`)
+  }
+
+  // schema
+  {
+    const json_data = build_json_data()
+    json_data.stores[1]['assemblies.arm64_v8a.blob'].header.store_id = '1'
+    json_data.assemblies[0].hash64 = '0x1234'
+    delete json_data.assemblies[1].name
+
+    const {status, stdout} = run_jsxamstore('check-config', '-c', write_json_config('schema', json_data))
+
+    compare_lines('schema:', [
+      'error: $.stores[1]["assemblies.arm64_v8a.blob"].header.store_id: must be an integer, found: "1"',
+      `error: $.assemblies[0].hash64: must match ^(0x[0-9a-fA-F]{16})?$, found: "0x1234"`,
+      `error: $.assemblies[1]: 'name' is required`,
+    ], stdout)
+    console.log('schema exit code:', (status === 111) ? 'OK' : `Fail (exit code ${status})`)
+  }
+
+  // semantic rules
+  const json_data = build_json_data()
+  json_data.stores[0]['assemblies.blob'].header.store_id = 2
+  json_data.assemblies[0].hash32 = '0x12345678'
+  json_data.assemblies[1].store_idx = 5
+  json_data.assemblies[2].file = path.join(work_dir, 'missing.dll')
+  json_data.assemblies.push({store_idx: 0, lz4: true, name: 'App', blob_idx: 4, file: json_data.assemblies[0].file})
+
+  const json_file = write_json_config('semantic', json_data)
+
+  {
+    const {status, stdout} = run_jsxamstore('check-config', '-c', json_file)
+
+    compare_lines('semantic rules:', [
+      'error: $.stores[0]["assemblies.blob"].header.store_id: must be 0 for the primary store, found: 2',
+      'error: $.assemblies[1].store_idx: 5 does not match any store',
+      `error: $.assemblies[2].file: '${json_data.assemblies[2].file}' does not exist, or is not readable`,
+      `error: $.assemblies[3].name: 'App' is not unique in store 'assemblies.blob' (see $.assemblies[0])`,
+      `error: $.assemblies[0].store_id: 0 does not match the header of store 'assemblies.blob' (2), which its 'store_idx' selects. To move an assembly to another store, change 'store_idx', and remove 'store_id'`,
+      `warning: $.assemblies[0].hash32: does not match the name 'App' (0x411deb68), and will be recomputed`,
+      `warning: $.assemblies[3].lz4: has no 'lz4_desc_idx', and will be stored uncompressed`,
+      'warning: $.assemblies[3].blob_idx: blob indexes of store \'assemblies.blob\' are not contiguous: expected 1, found 4, and will be recomputed',
+    ], stdout)
+    console.log('semantic rules exit code:', (status === 111) ? 'OK' : `Fail (exit code ${status})`)
+  }
+
+  // pack
+  {
+    const out_dir = path.join(work_dir, 'out')
+    const {status, stdout} = run_jsxamstore('pack', '-c', json_file, '-o', out_dir)
+
+    const ok = (status === 30) && stdout.includes('error: $.assemblies[1].store_idx: 5 does not match any store') && !fs.existsSync(out_dir)
+    console.log('pack:', ok ? 'OK' : `Fail (exit code ${status})`)
+  }
+
+  // values that contradict each other
+  {
+    const json_data = build_json_data()
+    json_data.assemblies[1].blob_idx = 0
+    json_data.assemblies[2].store_id = 0
+
+    const contradictions_file = write_json_config('contradictions', json_data)
+
+    {
+      const {status, stdout} = run_jsxamstore('check-config', '-c', contradictions_file)
+
+      compare_lines('contradictions:', [
+        `error: $.assemblies[1].blob_idx: blob indexes of store 'assemblies.blob' are out of order: found 0 after 0. Assemblies are packed in the order of 'assemblies', so reorder them there`,
+        `error: $.assemblies[2].store_id: 0 does not match the header of store 'assemblies.arm64_v8a.blob' (1), which its 'store_idx' selects. To move an assembly to another store, change 'store_idx', and remove 'store_id'`,
+      ], stdout)
+      console.log('contradictions exit code:', (status === 111) ? 'OK' : `Fail (exit code ${status})`)
+    }
+
+    {
+      const out_dir = path.join(work_dir, 'out-contradictions')
+      const {status} = run_jsxamstore('pack', '-c', contradictions_file, '-o', out_dir)
+
+      console.log('pack contradictions:', ((status === 30) && !fs.existsSync(out_dir)) ? 'OK' : `Fail (exit code ${status})`)
+    }
+  }
+
+  // pack prints every value that it recomputes
+  {
+    const json_data = build_json_data()
+    json_data.stores[0]['assemblies.blob'].header.lec = 5
+    json_data.assemblies[1].blob_idx = 3
+
+    const out_dir = path.join(work_dir, 'out-warnings')
+    const {status, stdout} = run_jsxamstore('pack', '-c', write_json_config('warnings', json_data), '-o', out_dir)
+
+    compare_lines('pack warnings:', [
+      `warning: $.assemblies[1].blob_idx: blob indexes of store 'assemblies.blob' are not contiguous: expected 1, found 3, and will be recomputed`,
+      'warning: $.stores[0]["assemblies.blob"].header.lec: 5 does not match the 2 assemblies in the store, and will be recomputed',
+    ], stdout)
+    console.log('pack warnings exit code:', (status === 0) ? 'OK' : `Fail (exit code ${status})`)
+  }
+
+  // schema
+  {
+    const {stdout} = run_jsxamstore('check-config', '--print-schema')
+    console.log('--print-schema:', (JSON.parse(stdout).required.join(',') === 'stores,assemblies') ? 'OK' : 'Fail')
+
+    const schema_file = path.resolve(__dirname, '../../schema/assemblies.schema.json')
+    console.log('schema file:', (fs.readFileSync(schema_file, 'utf8') === stdout) ? 'OK' : 'Fail')
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
@@ -0,0 +1,128 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore create" builds new stores from directories of DLLs:
+//  - the new stores pass "jsxamstore verify"
+//  - the new stores unpack to the same DLLs
+//  - "jsxamstore pack" of the new "assemblies.json" reproduces the same stores
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-create-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'}).status
+}
+
+const write_dlls = (dir_name, names) => {
+  const dir_path = path.join(work_dir, dir_name)
+  fs.mkdirSync(dir_path)
+
+  for (const name of names) {
+    fs.writeFileSync(path.join(dir_path, `${name}.dll`), Buffer.from(`MZ ${dir_name} ${name} ` + name.repeat(20)))
+  }
+
+  // not an assembly
+  fs.writeFileSync(path.join(dir_path, 'readme.txt'), 'ignored')
+
+  return dir_path
+}
+
+const compare_dlls = (dlls_dir, unpacked_dir) => {
+  const errors = []
+
+  for (const file_name of fs.readdirSync(dlls_dir).filter(file_name => file_name.endsWith('.dll'))) {
+    const unpacked_file = path.join(unpacked_dir, file_name)
+
+    if (!fs.existsSync(unpacked_file) || !fs.readFileSync(unpacked_file).equals(fs.readFileSync(path.join(dlls_dir, file_name))))
+      errors.push(`"${file_name}" differs`)
+  }
+
+  return errors
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const dlls_dir        = write_dlls('dlls',        ['App', 'Mono.Android', 'Xamarin.Forms'])
+  const dlls_arm64_dir  = write_dlls('dlls-arm64',  ['System.Private.CoreLib', 'System.Runtime'])
+  const dlls_x86_64_dir = write_dlls('dlls-x86_64', ['System.Private.CoreLib', 'System.Runtime'])
+
+  const test_cases = [
+    {label: 'primary store:',                args: []},
+    {label: 'architecture-specific stores:', args: ['--arch-dir', `arm64=${dlls_arm64_dir}`, '--arch-dir', `x86_64=${dlls_x86_64_dir}`]},
+  ]
+
+  for (const test_case of test_cases) {
+    const test_idx = test_cases.indexOf(test_case)
+    const out_dir  = path.join(work_dir, `created-${test_idx}`)
+    const errors   = []
+
+    if (run_jsxamstore('create', '--in', dlls_dir, ...test_case.args, '--lz4', '-o', out_dir) !== 0)
+      errors.push('create failed')
+
+    if (run_jsxamstore('verify', '-d', out_dir) !== 0)
+      errors.push('verify failed')
+
+    const unpacked_dir = path.join(work_dir, `unpacked-${test_idx}`)
+    run_jsxamstore('unpack', '-d', out_dir, '-o', unpacked_dir)
+
+    errors.push(...compare_dlls(dlls_dir, path.join(unpacked_dir, 'primary')))
+    if (test_case.args.length) {
+      errors.push(...compare_dlls(dlls_arm64_dir,  path.join(unpacked_dir, 'arm64')))
+      errors.push(...compare_dlls(dlls_x86_64_dir, path.join(unpacked_dir, 'x86_64')))
+    }
+
+    // the runtime looks up compressed assemblies by descriptor index: primary store first, then one architecture-specific store
+    const json_data = JSON.parse(fs.readFileSync(path.join(out_dir, 'assemblies.json'), 'utf8'))
+    for (const assembly of json_data.assemblies) {
+      const expect_desc_idx = ((assembly.store_idx === 0) ? 0 : 3) + assembly.blob_idx
+
+      if (assembly.lz4_desc_idx !== expect_desc_idx)
+        errors.push(`"${assembly.name}" has lz4_desc_idx ${assembly.lz4_desc_idx}, expected ${expect_desc_idx}`)
+    }
+
+    const packed_dir = path.join(work_dir, `packed-${test_idx}`)
+    run_jsxamstore('pack', '-c', path.join(out_dir, 'assemblies.json'), '-o', packed_dir)
+
+    for (const file_name of fs.readdirSync(out_dir).filter(file_name => file_name !== 'assemblies.json')) {
+      const packed_file = path.join(packed_dir, `${file_name}.new`)
+
+      if (!fs.existsSync(packed_file) || !fs.readFileSync(packed_file).equals(fs.readFileSync(path.join(out_dir, file_name))))
+        errors.push(`packed "${file_name}" differs`)
+    }
+
+    console.log(test_case.label, errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+
+  {
+    // every architecture-specific store must hold the same assemblies
+    const dlls_arm_only_dir = write_dlls('dlls-arm-only', ['Only.Arm'])
+    const dlls_x86_only_dir = write_dlls('dlls-x86-only', ['Other.X86', 'Extra.X86'])
+
+    const out_dir = path.join(work_dir, 'created-mismatched')
+    const errors  = []
+    const status  = run_jsxamstore('create', '--in', dlls_dir, '--arch-dir', `arm64=${dlls_arm_only_dir}`, '--arch-dir', `x86=${dlls_x86_only_dir}`, '-o', out_dir)
+
+    if (status !== 74)
+      errors.push(`exit code ${status}`)
+
+    if (fs.existsSync(out_dir))
+      errors.push('output directory was created')
+
+    console.log('mismatched architecture-specific stores:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
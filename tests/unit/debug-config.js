@@ -0,0 +1,188 @@
+// -----------------------------------------------------------------------------
+// confirms that the debug (.pdb) and config (.dll.config) data of each assembly round trips through "assemblies.json":
+//  - "jsxamstore pack" lays it out in the store, and fills in the debug/config offsets and sizes of the TOC
+//  - "jsxamstore unpack" writes "<name>.pdb" and "<name>.dll.config" next to the DLL, and records them in "assemblies.json"
+//  - "jsxamstore pack" of the unpacked "assemblies.json" reproduces the same store, and picks up an edited ".dll.config"
+//  - the same, for a format version 2 store
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const xxhash = require('xxhashjs')
+
+const jsxamstore_path = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir        = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-debug-config-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore_path, ...args], {encoding: 'utf8'}).status
+}
+
+const write_file = (name, content) => {
+  const file = path.join(work_dir, name)
+  fs.writeFileSync(file, Buffer.from(content))
+  return file
+}
+
+// strip the ".new" extension, so the output can be unpacked
+const pack = (json_file, label) => {
+  const packed_dir = path.join(work_dir, label)
+  run_jsxamstore('pack', '-c', json_file, '-o', packed_dir)
+
+  for (const name of fs.readdirSync(packed_dir)) {
+    fs.renameSync(path.join(packed_dir, name), path.join(packed_dir, name.replace(/\.new$/, '')))
+  }
+
+  return packed_dir
+}
+
+const read_json = (json_file) => JSON.parse(fs.readFileSync(json_file, 'utf8'))
+
+// format version 1 TOC entry: data offset/size, debug offset/size, config offset/size
+const read_toc_entry = (store, i) => {
+  const offset = 20 + (i * 24)
+  const [data_offset, data_size, debug_offset, debug_size, config_offset, config_size] = [0, 4, 8, 12, 16, 20].map(field => store.readUInt32LE(offset + field))
+
+  return {
+    data:   store.subarray(data_offset, data_offset + data_size),
+    debug:  store.subarray(debug_offset, debug_offset + debug_size),
+    config: store.subarray(config_offset, config_offset + config_size),
+  }
+}
+
+// the hash table of a format version 1 store is sorted by these values
+const gen_hashes = (name) => ({
+  hash32: '0x' + xxhash.h32(name, 0).toString(16).padStart(8, '0'),
+  hash64: '0x' + xxhash.h64(name, 0).toString(16).padStart(16, '0'),
+})
+
+// assemblies: [{name, data, debug, config}]. returns: the path of the "assemblies.json"
+const write_json_config = (label, header, assemblies) => {
+  const json_assemblies = assemblies.map(({name, data, debug, config}, blob_idx) => {
+    const assembly = {store_idx: 0, lz4: false, name, store_id: 0, blob_idx, ...gen_hashes(name), file: write_file(`${label}-${name}.dll`, data)}
+
+    if (debug !== null)  assembly.debug_file  = write_file(`${label}-${name}.pdb`, debug)
+    if (config !== null) assembly.config_file = write_file(`${label}-${name}.dll.config`, config)
+    return assembly
+  })
+
+  const json_file = path.join(work_dir, `${label}.json`)
+  fs.writeFileSync(json_file, JSON.stringify({
+    stores: [{[header.file_name]: {store_idx: 0, header: {version: header.version, lec: assemblies.length, gec: assemblies.length, store_id: 0}}}],
+    assemblies: json_assemblies
+  }, null, 4))
+
+  return json_file
+}
+
+// returns: an array of errors
+const check_unpacked = (unpacked_dir, dir_name, expect) => {
+  const errors = []
+  const json_assemblies = read_json(path.join(unpacked_dir, 'assemblies.json')).assemblies
+
+  for (const [name, {debug, config}] of Object.entries(expect)) {
+    const json_assembly = json_assemblies.find(assembly => assembly.name === name) || {}
+
+    for (const [key, file_name, content] of [['debug_file', `${name}.pdb`, debug], ['config_file', `${name}.dll.config`, config]]) {
+      const file = path.join(unpacked_dir, dir_name, file_name)
+
+      if (content === null) {
+        if (fs.existsSync(file) || json_assembly[key])
+          errors.push(`unexpected "${file_name}"`)
+        continue
+      }
+
+      if (!fs.existsSync(file) || (fs.readFileSync(file, 'utf8') !== content))
+        errors.push(`"${file_name}" differs`)
+
+      if (json_assembly[key] !== file)
+        errors.push(`"${name}" has ${key} "${json_assembly[key]}"`)
+    }
+  }
+
+  return errors
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const expect = {
+    'App':           {debug: 'BSJB app.pdb ' + 'p'.repeat(40), config: null},
+    'Mono.Android':  {debug: null,                              config: '<configuration><dllmap /></configuration>'},
+    'Xamarin.Forms': {debug: 'BSJB forms.pdb',                  config: '<configuration />'},
+  }
+
+  const assemblies = Object.entries(expect).map(([name, {debug, config}]) => ({name, data: `MZ ${name} ` + name.repeat(10), debug, config}))
+
+  // format version 1
+  {
+    const json_file = write_json_config('v1', {file_name: 'assemblies.blob', version: 1}, assemblies)
+
+    const packed_dir = pack(json_file, 'v1-packed')
+    const errors = []
+
+    // TOC
+    const store = fs.readFileSync(path.join(packed_dir, 'assemblies.blob'))
+    assemblies.forEach(({debug, config}, i) => {
+      const toc_entry = read_toc_entry(store, i)
+
+      if (toc_entry.debug.toString() !== ((debug === null) ? '' : debug))
+        errors.push(`TOC entry ${i}: unexpected debug data`)
+      if (toc_entry.config.toString() !== ((config === null) ? '' : config))
+        errors.push(`TOC entry ${i}: unexpected config data`)
+    })
+    console.log('pack:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+
+    const unpacked_dir = path.join(work_dir, 'v1-unpacked')
+    run_jsxamstore('unpack', '-d', packed_dir, '-o', unpacked_dir)
+
+    const unpack_errors = check_unpacked(unpacked_dir, 'primary', expect)
+    console.log('unpack:', unpack_errors.length ? `Fail (${unpack_errors.join('. ')})` : 'OK')
+
+    const repacked_dir = pack(path.join(unpacked_dir, 'assemblies.json'), 'v1-repacked')
+    const same = fs.readFileSync(path.join(repacked_dir, 'assemblies.blob')).equals(fs.readFileSync(path.join(packed_dir, 'assemblies.blob')))
+    console.log('repack:', same ? 'OK' : 'Fail (store differs)')
+
+    // an edited ".dll.config" is packed
+    const edited_config = '<configuration><dllmap dll="edited" /></configuration>'
+    fs.writeFileSync(path.join(unpacked_dir, 'primary', 'Mono.Android.dll.config'), edited_config)
+
+    const edited_dir = pack(path.join(unpacked_dir, 'assemblies.json'), 'v1-edited')
+    const edited_unpacked_dir = path.join(work_dir, 'v1-edited-unpacked')
+    run_jsxamstore('unpack', '-d', edited_dir, '-o', edited_unpacked_dir)
+
+    const edit_errors = check_unpacked(edited_unpacked_dir, 'primary', {...expect, 'Mono.Android': {debug: null, config: edited_config}})
+    if (run_jsxamstore('verify', '-d', edited_dir) !== 0)
+      edit_errors.push('verify failed')
+    console.log('edited config:', edit_errors.length ? `Fail (${edit_errors.join('. ')})` : 'OK')
+  }
+
+  // format version 2
+  {
+    const file_name = 'assemblies.x86_64.blob'
+    const store_dir = pack(write_json_config('v2', {file_name, version: 0x80030002}, assemblies), 'v2-original')
+    const store     = fs.readFileSync(path.join(store_dir, file_name))
+
+    const unpacked_dir = path.join(work_dir, 'v2-unpacked')
+    run_jsxamstore('unpack', '-d', store_dir, '-o', unpacked_dir)
+
+    const errors = check_unpacked(unpacked_dir, 'x86_64', expect)
+
+    const repacked_dir = pack(path.join(unpacked_dir, 'assemblies.json'), 'v2-repacked')
+    if (!fs.readFileSync(path.join(repacked_dir, file_name)).equals(store))
+      errors.push('repacked store differs')
+
+    console.log('format version 2:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
@@ -0,0 +1,215 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore graph" builds the assembly reference graph of the primary and architecture-specific stores,
+// tells the app's own assemblies apart from the framework, and flags references that cannot be satisfied by an architecture
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-graph-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+}
+
+const build_heap = (first) => {
+  const items = [first]
+  const add = (item) => {
+    const offset = items.reduce((sum, item) => sum + item.length, 0)
+    items.push(item)
+    return offset
+  }
+  return {add, build: () => Buffer.concat(items)}
+}
+
+// a minimal PE32 file, with CLI metadata that holds: Assembly and AssemblyRef tables.
+// every table and heap is small, so every index is 2 bytes.
+const build_dll = ({name, version, public_key_token, references}) => {
+  const strings = build_heap(Buffer.from([0]))
+  const blobs   = build_heap(Buffer.from([0]))
+
+  const string = (value) => value ? strings.add(Buffer.from(`${value}\0`)) : 0
+  const blob   = (value) => value ? blobs.add(Buffer.concat([Buffer.from([value.length]), value])) : 0
+
+  const row = (...columns) => {
+    const buffer = Buffer.alloc(columns.reduce((sum, [size]) => sum + size, 0))
+    let offset = 0
+    for (const [size, value] of columns) {
+      (size === 4) ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt16LE(value, offset)
+      offset += size
+    }
+    return buffer
+  }
+
+  const version_columns = (version) => version.split('.').map(part => [2, Number(part)])
+
+  // the Assembly table holds a full public key, so the token of a framework assembly is only set on its references
+  const tables = {
+    0x20: [row([4, 0x8004], ...version_columns(version), [4, 0], [2, 0], [2, string(name)], [2, 0])],
+    0x23: references.map(reference => {
+      const token = reference.public_key_token ? Buffer.from(reference.public_key_token, 'hex') : null
+      return row(...version_columns(reference.version), [4, 0], [2, blob(token)], [2, string(reference.name)], [2, 0], [2, 0])
+    }),
+  }
+
+  const table_ids  = Object.keys(tables).map(Number).filter(table_id => tables[table_id].length)
+  const row_counts = Buffer.alloc(table_ids.length * 4)
+  table_ids.forEach((table_id, i) => row_counts.writeUInt32LE(tables[table_id].length, i * 4))
+
+  const tables_header = Buffer.alloc(24)
+  tables_header.writeUInt8(2, 4)
+  tables_header.writeBigUInt64LE(table_ids.reduce((valid, table_id) => valid | (1n << BigInt(table_id)), 0n), 8)
+
+  const pad = (buffer) => Buffer.concat([buffer, Buffer.alloc((4 - (buffer.length % 4)) % 4)])
+
+  const streams = [
+    ['#~',       pad(Buffer.concat([tables_header, row_counts, ...table_ids.flatMap(table_id => tables[table_id])]))],
+    ['#Strings', pad(strings.build())],
+    ['#Blob',    pad(blobs.build())],
+  ]
+
+  const version_string = Buffer.from('v4.0.30319\0\0')
+  const stream_headers = streams.map(([stream_name]) => Buffer.concat([Buffer.alloc(8), pad(Buffer.from(`${stream_name}\0`))]))
+  const root_size = 16 + version_string.length + 4 + stream_headers.reduce((sum, header) => sum + header.length, 0)
+
+  let stream_offset = root_size
+  streams.forEach(([, data], i) => {
+    stream_headers[i].writeUInt32LE(stream_offset, 0)
+    stream_headers[i].writeUInt32LE(data.length, 4)
+    stream_offset += data.length
+  })
+
+  const root = Buffer.alloc(16)
+  root.writeUInt32LE(0x424A5342, 0)
+  root.writeUInt32LE(version_string.length, 12)
+
+  const stream_count = Buffer.alloc(4)
+  stream_count.writeUInt16LE(streams.length, 2)
+
+  const metadata = Buffer.concat([root, version_string, stream_count, ...stream_headers, ...streams.map(([, data]) => data)])
+
+  const cli_header = Buffer.alloc(72)
+  cli_header.writeUInt32LE(72, 0)
+  cli_header.writeUInt32LE(0x2000 + 72, 8)
+  cli_header.writeUInt32LE(metadata.length, 12)
+  cli_header.writeUInt32LE(1, 16)
+
+  const section = Buffer.concat([cli_header, metadata])
+
+  const headers = Buffer.alloc(0x200)
+  headers.write('MZ', 0)
+  headers.writeUInt32LE(0x80, 0x3C)
+  headers.write('PE\0\0', 0x80, 'binary')
+  headers.writeUInt16LE(0x14C, 0x84)
+  headers.writeUInt16LE(1, 0x86)
+  headers.writeUInt16LE(224, 0x94)
+  headers.writeUInt16LE(0x10B, 0x98)
+  headers.writeUInt32LE(0x2000, 0x98 + 96 + (14 * 8))
+  headers.writeUInt32LE(72, 0x98 + 96 + (14 * 8) + 4)
+  headers.write('.text', 0x178)
+  headers.writeUInt32LE(section.length, 0x178 + 8)
+  headers.writeUInt32LE(0x2000, 0x178 + 12)
+  headers.writeUInt32LE(section.length, 0x178 + 16)
+  headers.writeUInt32LE(0x200, 0x178 + 20)
+
+  return Buffer.concat([headers, section])
+}
+
+const write_dlls = (dir_name, dlls) => {
+  const dlls_dir = path.join(work_dir, dir_name)
+  fs.mkdirSync(dlls_dir)
+
+  for (const dll of dlls) {
+    fs.writeFileSync(path.join(dlls_dir, `${dll.name}.dll`), build_dll(dll))
+  }
+
+  return dlls_dir
+}
+
+// -----------------------------------------------------------------------------
+// fixtures:
+
+const system_runtime = {name: 'System.Runtime', version: '8.0.0.0', public_key_token: 'b03f5f7f11d50a3a'}
+
+// "MyApp.Platform" is only in the arm64 store, so "MyApp" has a dangling reference on x86_64
+const primary_dlls = [
+  {name: 'MyApp',      version: '1.0.0.0', references: [system_runtime, {name: 'MyApp.Core', version: '1.0.0.0'}, {name: 'MyApp.Platform', version: '1.0.0.0'}]},
+  {name: 'MyApp.Core', version: '1.0.0.0', references: [system_runtime]},
+]
+const arm64_dlls = [
+  {name: 'MyApp.Platform', version: '1.0.0.0', references: [system_runtime]},
+  {name: 'System.Runtime', version: '8.0.0.0', references: []},
+]
+const x86_64_dlls = [
+  {name: 'System.Runtime', version: '8.0.0.0', references: []},
+]
+
+const expect_kinds = {
+  'MyApp': 'app',
+  'MyApp.Core': 'app',
+  'MyApp.Platform': 'app',
+  'System.Runtime': 'framework',
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const store_dir  = path.join(work_dir, 'stores')
+  const x86_64_dir = path.join(work_dir, 'stores-x86_64')
+  const dlls_dir   = write_dlls('primary', primary_dlls)
+
+  // "create" requires every architecture-specific store to hold the same assemblies, so the x86_64 store is created on its own
+  run_jsxamstore('create', '--in', dlls_dir, '--arch-dir', `arm64=${write_dlls('arm64', arm64_dlls)}`, '--lz4', '-o', store_dir)
+  run_jsxamstore('create', '--in', dlls_dir, '--arch-dir', `x86_64=${write_dlls('x86_64', x86_64_dlls)}`, '--lz4', '-o', x86_64_dir)
+  fs.copyFileSync(path.join(x86_64_dir, 'assemblies.x86_64.blob'), path.join(store_dir, 'assemblies.x86_64.blob'))
+
+  // JSON
+  {
+    const {status, stdout} = run_jsxamstore('graph', '-d', store_dir, '--json')
+    const graph = JSON.parse(stdout)
+
+    const kinds = Object.fromEntries(graph.nodes.map(node => [node.name, node.kind]))
+    console.log('graph --json nodes:', (JSON.stringify(kinds) === JSON.stringify(expect_kinds)) ? 'OK' : `Fail (${JSON.stringify(kinds)})`)
+
+    const unsatisfied = graph.edges.filter(edge => !edge.satisfied).map(edge => `${edge.from} -> ${edge.to} (${edge.missing_in.join(', ')})`)
+    const expect_unsatisfied = ['MyApp -> MyApp.Platform (x86_64)']
+    console.log('graph --json edges:', ((graph.edges.length === 5) && (JSON.stringify(unsatisfied) === JSON.stringify(expect_unsatisfied))) ? 'OK' : `Fail (${unsatisfied.join('. ')})`)
+
+    console.log('graph exit code:', (status === 91) ? 'OK' : `Fail (exit code ${status})`)
+  }
+
+  // DOT, written to a file
+  {
+    const out_file = path.join(work_dir, 'graph.dot')
+    const {stdout} = run_jsxamstore('graph', '-d', store_dir, '-o', out_file)
+    const dot = fs.readFileSync(out_file, 'utf8')
+
+    const has_edges = dot.startsWith('digraph assemblies {')
+      && dot.includes('"MyApp" -> "MyApp.Core";')
+      && dot.includes('"MyApp" -> "MyApp.Platform" [color="red", label="missing in: x86_64"];')
+    console.log('graph dot:', has_edges ? 'OK' : 'Fail')
+
+    const has_summary = stdout.includes('4 assemblies, 5 references.')
+      && stdout.includes('  MyApp -> MyApp.Platform, Version=1.0.0.0 (missing in: x86_64)')
+    console.log('graph summary:', has_summary ? 'OK' : `Fail (${stdout})`)
+  }
+
+  // without the x86_64 store, every reference is satisfied
+  {
+    const {status} = run_jsxamstore('graph', '-d', store_dir, '--arch', 'arm64', '-o', path.join(work_dir, 'graph-arm64.dot'))
+    console.log('graph --arch arm64:', (status === 0) ? 'OK' : `Fail (exit code ${status})`)
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
@@ -0,0 +1,229 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore inspect" (and the library function "inspect_assembly") read the identity of an assembly from its CLI metadata:
+// name, version, culture, public key token, target framework, reference assembly and mixed-mode flags, and referenced assemblies
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore_path = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const jsxamstore      = require(jsxamstore_path)
+const work_dir        = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-inspect-'))
+
+// the ECMA standard public key, and its well-known token
+const ECMA_PUBLIC_KEY       = Buffer.from('00000000000000000400000000000000', 'hex')
+const ECMA_PUBLIC_KEY_TOKEN = 'b77a5c561934e089'
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore_path, ...args], {encoding: 'utf8'})
+}
+
+const build_heap = (first) => {
+  const items = [first]
+  const add = (item) => {
+    const offset = items.reduce((sum, item) => sum + item.length, 0)
+    items.push(item)
+    return offset
+  }
+  return {add, build: () => Buffer.concat(items)}
+}
+
+// a minimal PE32 file, with CLI metadata that holds: TypeRef, MemberRef, CustomAttribute, Assembly and AssemblyRef tables.
+// every table and heap is small, so every index is 2 bytes.
+const build_dll = ({name, version, culture, public_key, references, attributes, il_only}) => {
+  const strings = build_heap(Buffer.from([0]))
+  const blobs   = build_heap(Buffer.from([0]))
+
+  const string = (value) => value ? strings.add(Buffer.from(`${value}\0`)) : 0
+  const blob   = (value) => value ? blobs.add(Buffer.concat([Buffer.from([value.length]), value])) : 0
+
+  const row = (...columns) => {
+    const buffer = Buffer.alloc(columns.reduce((sum, [size]) => sum + size, 0))
+    let offset = 0
+    for (const [size, value] of columns) {
+      (size === 4) ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt16LE(value, offset)
+      offset += size
+    }
+    return buffer
+  }
+
+  const [major, minor, build, revision] = version.split('.').map(Number)
+
+  const tables = {
+    0x01: attributes.map(type_name => row([2, 0], [2, string(type_name.split('.').pop())], [2, string(type_name.split('.').slice(0, -1).join('.'))])),
+    0x0A: attributes.map((type_name, i) => row([2, ((i + 1) << 3) | 1], [2, string('.ctor')], [2, 0])),
+    0x0C: attributes.map((type_name, i) => {
+      // only TargetFrameworkAttribute has a (string) argument
+      const value = /TargetFramework/.test(type_name)
+        ? Buffer.concat([Buffer.from([1, 0, 24]), Buffer.from('.NETCoreApp,Version=v8.0'), Buffer.from([0, 0])])
+        : Buffer.from([1, 0, 0, 0])
+      return row([2, (1 << 5) | 14], [2, ((i + 1) << 3) | 3], [2, blob(value)])
+    }),
+    0x20: [row([4, 0x8004], [2, major], [2, minor], [2, build], [2, revision], [4, public_key ? 1 : 0], [2, blob(public_key)], [2, string(name)], [2, string(culture)])],
+    0x23: references.map(reference => {
+      const [major, minor, build, revision] = reference.version.split('.').map(Number)
+      return row([2, major], [2, minor], [2, build], [2, revision], [4, reference.public_key ? 1 : 0], [2, blob(reference.public_key || reference.token)], [2, string(reference.name)], [2, 0], [2, 0])
+    }),
+  }
+
+  const table_ids  = Object.keys(tables).map(Number).filter(table_id => tables[table_id].length)
+  const row_counts = Buffer.alloc(table_ids.length * 4)
+  table_ids.forEach((table_id, i) => row_counts.writeUInt32LE(tables[table_id].length, i * 4))
+
+  const tables_header = Buffer.alloc(24)
+  tables_header.writeUInt8(2, 4)
+  tables_header.writeBigUInt64LE(table_ids.reduce((valid, table_id) => valid | (1n << BigInt(table_id)), 0n), 8)
+
+  const pad = (buffer) => Buffer.concat([buffer, Buffer.alloc((4 - (buffer.length % 4)) % 4)])
+
+  const streams = [
+    ['#~',       pad(Buffer.concat([tables_header, row_counts, ...table_ids.flatMap(table_id => tables[table_id])]))],
+    ['#Strings', pad(strings.build())],
+    ['#Blob',    pad(blobs.build())],
+  ]
+
+  const version_string = Buffer.from('v4.0.30319\0\0')
+  const stream_headers = streams.map(([stream_name]) => Buffer.concat([Buffer.alloc(8), pad(Buffer.from(`${stream_name}\0`))]))
+  const root_size = 16 + version_string.length + 4 + stream_headers.reduce((sum, header) => sum + header.length, 0)
+
+  let stream_offset = root_size
+  streams.forEach(([, data], i) => {
+    stream_headers[i].writeUInt32LE(stream_offset, 0)
+    stream_headers[i].writeUInt32LE(data.length, 4)
+    stream_offset += data.length
+  })
+
+  const root = Buffer.alloc(16)
+  root.writeUInt32LE(0x424A5342, 0)
+  root.writeUInt32LE(version_string.length, 12)
+
+  const stream_count = Buffer.alloc(4)
+  stream_count.writeUInt16LE(streams.length, 2)
+
+  const metadata = Buffer.concat([root, version_string, stream_count, ...stream_headers, ...streams.map(([, data]) => data)])
+
+  const cli_header = Buffer.alloc(72)
+  cli_header.writeUInt32LE(72, 0)
+  cli_header.writeUInt32LE(0x2000 + 72, 8)
+  cli_header.writeUInt32LE(metadata.length, 12)
+  cli_header.writeUInt32LE(il_only ? 1 : 0, 16)
+
+  const section = Buffer.concat([cli_header, metadata])
+
+  const headers = Buffer.alloc(0x200)
+  headers.write('MZ', 0)
+  headers.writeUInt32LE(0x80, 0x3C)
+  headers.write('PE\0\0', 0x80, 'binary')
+  headers.writeUInt16LE(0x14C, 0x84)
+  headers.writeUInt16LE(1, 0x86)
+  headers.writeUInt16LE(224, 0x94)
+  headers.writeUInt16LE(0x10B, 0x98)
+  headers.writeUInt32LE(0x2000, 0x98 + 96 + (14 * 8))
+  headers.writeUInt32LE(72, 0x98 + 96 + (14 * 8) + 4)
+  headers.write('.text', 0x178)
+  headers.writeUInt32LE(section.length, 0x178 + 8)
+  headers.writeUInt32LE(0x2000, 0x178 + 12)
+  headers.writeUInt32LE(section.length, 0x178 + 16)
+  headers.writeUInt32LE(0x200, 0x178 + 20)
+
+  return Buffer.concat([headers, section])
+}
+
+// -----------------------------------------------------------------------------
+// fixtures:
+
+const app_dll = build_dll({
+  name:       'MyApp',
+  version:    '1.2.3.4',
+  culture:    null,
+  public_key: ECMA_PUBLIC_KEY,
+  il_only:    true,
+  attributes: ['System.Runtime.Versioning.TargetFrameworkAttribute'],
+  references: [
+    {name: 'System.Runtime', version: '8.0.0.0', token: Buffer.from('b03f5f7f11d50a3a', 'hex')},
+    {name: 'MyApp.Core',     version: '1.0.0.0', public_key: ECMA_PUBLIC_KEY},
+  ],
+})
+
+const reference_dll = build_dll({
+  name:       'MyApp.Native',
+  version:    '2.0.0.0',
+  culture:    'fr',
+  public_key: null,
+  il_only:    false,
+  attributes: ['System.Runtime.CompilerServices.ReferenceAssemblyAttribute'],
+  references: [],
+})
+
+const expect_app = {
+  name: 'MyApp',
+  version: '1.2.3.4',
+  culture: 'neutral',
+  public_key_token: ECMA_PUBLIC_KEY_TOKEN,
+  target_framework: '.NETCoreApp,Version=v8.0',
+  reference_assembly: false,
+  ready_to_run: false,
+  mixed_mode: false,
+  references: [
+    {name: 'System.Runtime', version: '8.0.0.0', culture: 'neutral', public_key_token: 'b03f5f7f11d50a3a'},
+    {name: 'MyApp.Core',     version: '1.0.0.0', culture: 'neutral', public_key_token: ECMA_PUBLIC_KEY_TOKEN},
+  ],
+}
+
+const expect_reference = {
+  name: 'MyApp.Native',
+  version: '2.0.0.0',
+  culture: 'fr',
+  public_key_token: null,
+  target_framework: null,
+  reference_assembly: true,
+  ready_to_run: false,
+  mixed_mode: true,
+  references: [],
+}
+
+const compare = (label, expect, actual) => {
+  const errors = Object.keys(expect)
+    .filter(key => JSON.stringify(expect[key]) !== JSON.stringify(actual ? actual[key] : undefined))
+    .map(key => `${key}: ${JSON.stringify(actual ? actual[key] : undefined)}`)
+
+  console.log(label, errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  compare('library:', expect_app, jsxamstore.inspect_assembly(app_dll))
+  compare('library (reference, mixed-mode):', expect_reference, jsxamstore.inspect_assembly(reference_dll))
+
+  // stores
+  const dlls_dir = path.join(work_dir, 'dlls')
+  fs.mkdirSync(dlls_dir)
+  fs.writeFileSync(path.join(dlls_dir, 'MyApp.dll'), app_dll)
+  fs.writeFileSync(path.join(dlls_dir, 'MyApp.Native.dll'), reference_dll)
+  fs.writeFileSync(path.join(dlls_dir, 'NotManaged.dll'), Buffer.from('not a PE file '.repeat(20)))
+
+  const store_dir = path.join(work_dir, 'stores')
+  run_jsxamstore('create', '--in', dlls_dir, '--lz4', '-o', store_dir)
+
+  const {status, stdout} = run_jsxamstore('inspect', '-d', store_dir, '--name', 'MyApp*', '--json')
+  const rows = (status === 0) ? JSON.parse(stdout).assemblies : []
+
+  compare('inspect --json:', expect_app, (rows.find(row => row.name === 'MyApp') || {}).assembly)
+  console.log('inspect --name:', (rows.length === 2) ? 'OK' : `Fail (${rows.length} assemblies)`)
+
+  const invalid = run_jsxamstore('inspect', '-d', store_dir, '--name', 'NotManaged')
+  console.log('inspect invalid assembly:', ((invalid.status === 82) && /Error: Not a PE file/.test(invalid.stdout)) ? 'OK' : `Fail (exit code ${invalid.status})`)
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
@@ -0,0 +1,197 @@
+// -----------------------------------------------------------------------------
+// confirms that the library API can build stores from in-memory buffers,
+// and read them back: list the assemblies, and read one (decompressed) assembly.
+// a store that is opened from a path is read with positioned reads, and is never loaded as a whole.
+// unpack_stores and pack_stores print nothing: they return the files that they wrote, or throw an AssemblyStoreError.
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const jsxamstore = require('../../bin/jsxamstore.js')
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const assemblies = [
+  {name: 'App',            data: Buffer.from('MZ app ' + 'a'.repeat(300)),        lz4: true},
+  {name: 'Mono.Android',   data: Buffer.from('MZ mono.android ' + 'b'.repeat(50)), lz4: false, debug_data: Buffer.from('pdb')},
+  {name: 'System.Private', data: Buffer.from('MZ system.private ' + 'c'.repeat(200)), lz4: true},
+]
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = async () => {
+  const test_cases = [
+    {label: 'format version 1:',              options: {}},
+    {label: 'format version 2:',              options: {version: 2, abi: 'arm64'}},
+    {label: 'format version 2 (ELF, 32-bit):', options: {version: 2, abi: 'arm', elf: true}},
+  ]
+
+  for (const test_case of test_cases) {
+    const {file_name, store, manifest} = await jsxamstore.build_store(assemblies, test_case.options)
+
+    const assembly_store = await jsxamstore.open_store(store, {
+      file_name,
+      manifest: manifest ? Buffer.from(manifest) : undefined
+    })
+
+    const errors = []
+
+    const names = assembly_store.list_all().map(assembly => assembly.name)
+    if (names.join('|') !== assemblies.map(assembly => assembly.name).join('|'))
+      errors.push(`names differ: "${names.join(', ')}"`)
+
+    const lz4_flags = assembly_store.list_all().map(assembly => assembly.lz4)
+    if (lz4_flags.join('|') !== assemblies.map(assembly => assembly.lz4).join('|'))
+      errors.push(`lz4 flags differ: "${lz4_flags.join(', ')}"`)
+
+    for (const assembly of assemblies) {
+      if (!(await assembly_store.read_assembly(assembly.name)).equals(assembly.data))
+        errors.push(`"${assembly.name}" differs`)
+
+      if (!(await assembly_store.read_assembly(`${assembly.name}.dll`)).equals(assembly.data))
+        errors.push(`"${assembly.name}.dll" differs`)
+    }
+
+    if (assembly_store.find_assembly('Missing') !== -1)
+      errors.push('found a missing assembly')
+
+    console.log(test_case.label, errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+
+  {
+    const work_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-library-api-'))
+
+    try {
+      const {file_name, store} = await jsxamstore.build_store(assemblies, {version: 2, abi: 'x86_64', elf: true})
+      const store_path = path.join(work_dir, file_name)
+      fs.writeFileSync(store_path, store)
+
+      const assembly_store = await jsxamstore.open_store(store_path)
+      const errors = []
+
+      if (assembly_store.list_all().length !== assemblies.length)
+        errors.push('wrong number of assemblies')
+
+      if (!(await assembly_store.read_assembly('System.Private')).equals(assemblies[2].data))
+        errors.push('"System.Private" differs')
+
+      if (assembly_store.store_file.raw !== null)
+        errors.push('the whole store was loaded into memory')
+
+      assembly_store.close()
+
+      console.log('store path (positioned reads):', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+    }
+    finally {
+      fs.rmSync(work_dir, {recursive: true, force: true})
+    }
+  }
+
+  {
+    const work_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-library-api-'))
+
+    try {
+      const in_directory = path.join(work_dir, 'in')
+      const out_directory = path.join(work_dir, 'out')
+      fs.mkdirSync(in_directory)
+
+      const {file_name, store, manifest} = await jsxamstore.build_store(assemblies)
+      fs.writeFileSync(path.join(in_directory, file_name), store)
+      fs.writeFileSync(path.join(in_directory, 'assemblies.manifest'), manifest)
+
+      const unpacked = await jsxamstore.unpack_stores({in_directory, out_directory, jobs: 1})
+      const errors = []
+
+      if (unpacked.assemblies.map(assembly => assembly.name).join('|') !== assemblies.map(assembly => assembly.name).join('|'))
+        errors.push('wrong assemblies')
+
+      // 3 DLLs, 2 of them also as '.lz4', 1 '.pdb', and 'assemblies.json'
+      if (unpacked.files_written.length !== 7)
+        errors.push(`wrong number of files written: ${unpacked.files_written.length}`)
+
+      if (!unpacked.files_written.every(file => fs.existsSync(file)))
+        errors.push('a written file does not exist')
+
+      try {
+        await jsxamstore.unpack_stores({in_directory, out_directory, jobs: 1})
+        errors.push('unpacked into an existing out directory')
+      }
+      catch(e) {
+        if (!(e instanceof jsxamstore.AssemblyStoreError) || (e.exit_code !== 11))
+          errors.push(`wrong error: ${e.message}`)
+      }
+
+      console.log('unpack_stores:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+    }
+    finally {
+      fs.rmSync(work_dir, {recursive: true, force: true})
+    }
+  }
+
+  {
+    const work_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-library-api-'))
+
+    try {
+      const in_directory = path.join(work_dir, 'in')
+      fs.mkdirSync(in_directory)
+
+      const {file_name, store, manifest} = await jsxamstore.build_store(assemblies)
+      fs.writeFileSync(path.join(in_directory, file_name), store)
+      fs.writeFileSync(path.join(in_directory, 'assemblies.manifest'), manifest)
+
+      const {stores, assemblies: json_assemblies} = await jsxamstore.unpack_stores({in_directory, out_directory: path.join(work_dir, 'out'), jobs: 1})
+      const errors = []
+
+      // from the path of 'assemblies.json'
+      const packed = await jsxamstore.pack_stores({config: path.join(work_dir, 'out', 'assemblies.json'), out_directory: path.join(work_dir, 'packed'), jobs: 1})
+
+      if (packed.files_written.map(file => path.basename(file)).join('|') !== 'assemblies.manifest.new|assemblies.blob.new')
+        errors.push(`wrong files written: "${packed.files_written.join(', ')}"`)
+
+      if (!fs.readFileSync(path.join(work_dir, 'packed', 'assemblies.blob.new')).equals(store))
+        errors.push('the packed store differs')
+
+      // from its contents, which are not modified
+      const config = {stores, assemblies: json_assemblies}
+      const config_json = JSON.stringify(config)
+
+      await jsxamstore.pack_stores({config, out_directory: path.join(work_dir, 'packed'), jobs: 1, overwrite: true})
+
+      if (JSON.stringify(config) !== config_json)
+        errors.push('the config was modified')
+
+      try {
+        await jsxamstore.pack_stores({config, out_directory: path.join(work_dir, 'packed'), jobs: 1})
+        errors.push('overwrote the outputs')
+      }
+      catch(e) {
+        if (!(e instanceof jsxamstore.AssemblyStoreError) || (e.exit_code !== 22))
+          errors.push(`wrong error: ${e.message}`)
+      }
+
+      try {
+        const invalid_assemblies = json_assemblies.map(assembly => ({...assembly, store_idx: 5}))
+
+        await jsxamstore.pack_stores({config: {stores, assemblies: invalid_assemblies}, out_directory: path.join(work_dir, 'invalid'), jobs: 1})
+        errors.push('packed an invalid config')
+      }
+      catch(e) {
+        if (!(e instanceof jsxamstore.AssemblyStoreError) || (e.exit_code !== 30) || !e.details.length)
+          errors.push(`wrong error: ${e.message}`)
+      }
+
+      if (fs.existsSync(path.join(work_dir, 'invalid')))
+        errors.push('wrote the outputs of an invalid config')
+
+      console.log('pack_stores:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+    }
+    finally {
+      fs.rmSync(work_dir, {recursive: true, force: true})
+    }
+  }
+}
+
+run_tests()
@@ -0,0 +1,187 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore list" prints the header values of each store and the assemblies it holds, without extracting anything:
+//  - as tables, as JSON (--json), or as CSV (--csv) with the header values of each assembly's store
+//  - an assembly that is missing from the manifest is listed without a name
+//  - no output directory is created
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const xxhash = require('xxhashjs')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-list-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (cwd, ...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {cwd, encoding: 'utf8'})
+}
+
+// returns: the "assemblies.json" entries of the DLLs
+const write_dlls = (dir_name, store_idx, store_id, names) => {
+  const dir_path = path.join(work_dir, dir_name)
+  fs.mkdirSync(dir_path)
+
+  return names.map((name, blob_idx) => {
+    const file = path.join(dir_path, `${name}.dll`)
+    fs.writeFileSync(file, Buffer.from(`MZ ${dir_name} ${name} ` + name.repeat(20)))
+
+    return {
+      store_idx, lz4: true, lz4_desc_idx: (store_idx === 0) ? blob_idx : (2 + blob_idx), name, store_id, blob_idx, file,
+      hash32: '0x' + xxhash.h32(name, 0).toString(16).padStart(8, '0'),
+      hash64: '0x' + xxhash.h64(name, 0).toString(16).padStart(16, '0'),
+    }
+  })
+}
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+// a primary store, and two architecture-specific stores
+const pack_stores = () => {
+  const store_dir = path.join(work_dir, 'stores')
+  const json_file = path.join(work_dir, 'assemblies.json')
+
+  fs.writeFileSync(json_file, JSON.stringify({
+    stores: [
+      {'assemblies.blob':           {store_idx: 0, header: {version: 1, lec: 2, gec: 3, store_id: 0}}},
+      {'assemblies.arm64_v8a.blob': {store_idx: 1, header: {version: 1, lec: 1, gec: 0, store_id: 1}}},
+      {'assemblies.x86_64.blob':    {store_idx: 2, header: {version: 1, lec: 1, gec: 0, store_id: 1}}},
+    ],
+    assemblies: [
+      ...write_dlls('dlls', 0, 0, ['App', 'Mono.Android']),
+      ...write_dlls('dlls-arm64', 1, 1, ['System.Private']),
+      ...write_dlls('dlls-x86_64', 2, 1, ['System.Private']),
+    ]
+  }, null, 4))
+
+  run_jsxamstore(work_dir, 'pack', '-c', json_file, '-o', store_dir)
+
+  // strip the ".new" extension, so the output can be listed
+  for (const name of fs.readdirSync(store_dir)) {
+    fs.renameSync(path.join(store_dir, name), path.join(store_dir, name.replace(/\.new$/, '')))
+  }
+
+  return store_dir
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const store_dir = pack_stores()
+  const dll_size  = (dir_name, name) => fs.statSync(path.join(work_dir, dir_name, `${name}.dll`)).size
+
+  // each command runs in an empty directory, which must still be empty afterwards
+  const run_list = (label, ...args) => {
+    const cwd = path.join(work_dir, `cwd-${label}`)
+    fs.mkdirSync(cwd)
+
+    const result = run_jsxamstore(cwd, 'list', '-d', store_dir, ...args)
+    result.created_files = fs.readdirSync(cwd)
+    return result
+  }
+
+  const report = (label, result, errors) => {
+    if (result.status !== 0)
+      errors.push(`exit code ${result.status}`)
+
+    if (result.created_files.length)
+      errors.push(`created "${result.created_files.join(', ')}"`)
+
+    console.log(label, errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+
+  {
+    const result = run_list('table')
+    const lines  = result.stdout.split('\n')
+    const errors = []
+
+    for (const expect_line of [
+      /^assemblies\.blob +1 +2 +3 +0$/,
+      /^assemblies\.arm64_v8a\.blob +1 +1 +0 +1$/,
+      /^assemblies\.x86_64\.blob +1 +1 +0 +1$/,
+      new RegExp(`^App +assemblies\\.blob +0 +0 +\\d+ +${dll_size('dlls', 'App')} +yes +0x411deb68 +0xcf9c3baf915fe6a6$`),
+      new RegExp(`^Mono\\.Android +assemblies\\.blob +0 +1 +\\d+ +${dll_size('dlls', 'Mono.Android')} +yes `),
+      new RegExp(`^System\\.Private +assemblies\\.x86_64\\.blob +1 +0 +\\d+ +${dll_size('dlls-x86_64', 'System.Private')} +yes `),
+    ]) {
+      if (!lines.some(line => expect_line.test(line)))
+        errors.push(`no line matches ${expect_line}`)
+    }
+
+    report('list:', result, errors)
+  }
+
+  {
+    const result = run_list('json', '--json')
+    const json   = JSON.parse(result.stdout)
+    const errors = []
+
+    const stores = json.stores.map(store => `${store.file}:${store.version}:${store.lec}:${store.gec}:${store.store_id}`)
+    if (stores.join('|') !== 'assemblies.blob:1:2:3:0|assemblies.arm64_v8a.blob:1:1:0:1|assemblies.x86_64.blob:1:1:0:1')
+      errors.push(`unexpected stores: "${stores.join(', ')}"`)
+
+    const assemblies = json.assemblies.map(assembly => `${assembly.store_file}:${assembly.blob_idx}:${assembly.name}:${assembly.lz4}`)
+    if (assemblies.join('|') !== 'assemblies.blob:0:App:true|assemblies.blob:1:Mono.Android:true|assemblies.arm64_v8a.blob:0:System.Private:true|assemblies.x86_64.blob:0:System.Private:true')
+      errors.push(`unexpected assemblies: "${assemblies.join(', ')}"`)
+
+    if (json.assemblies[0].uncompressed_size !== dll_size('dlls', 'App'))
+      errors.push(`uncompressed size of "App" is ${json.assemblies[0].uncompressed_size}`)
+
+    report('list --json:', result, errors)
+  }
+
+  {
+    const result = run_list('csv', '--csv')
+    const lines  = result.stdout.trim().split('\n')
+    const errors = []
+
+    if (lines[0] !== 'name,store_file,store_id,blob_idx,compressed_size,uncompressed_size,lz4,hash32,hash64,store_version,store_lec,store_gec')
+      errors.push(`unexpected header: "${lines[0]}"`)
+
+    if (lines.length !== 5)
+      errors.push(`${lines.length - 1} rows`)
+
+    if (!lines[1] || !lines[1].startsWith('App,assemblies.blob,0,0,') || !lines[1].endsWith(',true,0x411deb68,0xcf9c3baf915fe6a6,1,2,3'))
+      errors.push(`unexpected row: "${lines[1]}"`)
+
+    if (!lines[3] || !lines[3].startsWith('System.Private,assemblies.arm64_v8a.blob,1,0,') || !lines[3].endsWith(',1,1,0'))
+      errors.push(`unexpected row: "${lines[3]}"`)
+
+    report('list --csv:', result, errors)
+  }
+
+  {
+    // remove "Mono.Android" from the manifest
+    const manifest_file = path.join(store_dir, 'assemblies.manifest')
+    fs.writeFileSync(manifest_file, fs.readFileSync(manifest_file, 'utf8').split('\n').filter(line => !line.includes('Mono.Android')).join('\n'))
+
+    const result = run_list('unnamed')
+    const json   = JSON.parse(run_list('unnamed-json', '--json').stdout)
+    const errors = []
+
+    if (!/^\(unnamed\) +assemblies\.blob +0 +1 /m.test(result.stdout))
+      errors.push('no "(unnamed)" row')
+
+    if (!result.stdout.includes('1 assembly is missing from the manifest'))
+      errors.push('no summary')
+
+    if (json.assemblies[1].name !== null)
+      errors.push(`JSON name is "${json.assemblies[1].name}"`)
+
+    if (result.stderr)
+      errors.push(result.stderr.trim().split('\n')[0])
+
+    report('list (missing manifest entry):', result, errors)
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
@@ -0,0 +1,85 @@
+// -----------------------------------------------------------------------------
+// confirms that LZ4 work spread over worker threads ("--jobs N") gives the same output as a single thread:
+//  - "jsxamstore create --lz4" writes identical blobs
+//  - "jsxamstore unpack" writes identical DLLs, in the same order
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-lz4-jobs-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+}
+
+const compare_dirs = (expect_dir, actual_dir, ignore) => {
+  const expect_files = fs.readdirSync(expect_dir, {recursive: true}).filter(name => !ignore.test(name)).sort()
+  const actual_files = fs.readdirSync(actual_dir, {recursive: true}).filter(name => !ignore.test(name)).sort()
+
+  if (expect_files.join('|') !== actual_files.join('|'))
+    return ['file lists differ']
+
+  return expect_files
+    .filter(name => fs.statSync(path.join(expect_dir, name)).isFile())
+    .filter(name => !fs.readFileSync(path.join(expect_dir, name)).equals(fs.readFileSync(path.join(actual_dir, name))))
+    .map(name => `"${name}" differs`)
+}
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const write_dlls = () => {
+  const dlls_dir = path.join(work_dir, 'dlls')
+  fs.mkdirSync(dlls_dir)
+
+  // sizes vary, so the workers finish out of order
+  for (let i = 0; i < 24; i++) {
+    const name = `Assembly${String(i).padStart(2, '0')}`
+    fs.writeFileSync(path.join(dlls_dir, `${name}.dll`), Buffer.from(`MZ ${name} ` + `${name} ${i} `.repeat(((i * 7) % 11) * 500 + 10)))
+  }
+
+  return dlls_dir
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const dlls_dir = write_dlls()
+  const errors   = {create: [], unpack: []}
+  const outputs  = []
+
+  for (const jobs of ['1', '3']) {
+    const created_dir  = path.join(work_dir, `created-${jobs}`)
+    const unpacked_dir = path.join(work_dir, `unpacked-${jobs}`)
+
+    run_jsxamstore('create', '--in', dlls_dir, '--lz4', '--jobs', jobs, '-o', created_dir)
+
+    const {stdout} = run_jsxamstore('unpack', '-d', created_dir, '--jobs', jobs, '-o', unpacked_dir)
+
+    outputs.push({created_dir, unpacked_dir, stdout})
+  }
+
+  // "assemblies.json" holds absolute paths, which differ between the two runs
+  errors.create.push(...compare_dirs(outputs[0].created_dir, outputs[1].created_dir, /assemblies\.json$/))
+  errors.unpack.push(...compare_dirs(outputs[0].unpacked_dir, outputs[1].unpacked_dir, /assemblies\.json$/))
+
+  if (outputs[0].stdout !== outputs[1].stdout)
+    errors.unpack.push('extraction order differs')
+
+  console.log('create --jobs 3:', errors.create.length ? `Fail (${errors.create.join('. ')})` : 'OK')
+  console.log('unpack --jobs 3:', errors.unpack.length ? `Fail (${errors.unpack.join('. ')})` : 'OK')
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
@@ -0,0 +1,134 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore pack" writes nothing to the output directory unless every store is built:
+// an invalid configuration, a missing DLL, or an error while building a later store leaves no manifest or blob behind,
+// and that the outputs of a previous pack are only replaced with "--overwrite"
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-pack-atomic-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+}
+
+const list_files = (dir_path) => {
+  return fs.existsSync(dir_path) ? fs.readdirSync(dir_path).sort() : []
+}
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const dlls_dir = path.join(work_dir, 'dlls')
+
+const build_json_data = () => {
+  const assemblies = []
+  const add_assembly = (name, store_idx, store_id, blob_idx, content) => {
+    const file = path.join(dlls_dir, `${store_idx}-${name}.dll`)
+    fs.writeFileSync(file, Buffer.from(content))
+
+    assemblies.push({store_idx, lz4: true, name, store_id, blob_idx, hash32: '', hash64: '', file})
+  }
+
+  add_assembly('App',            0, 0, 0, 'MZ app ' + 'a'.repeat(100))
+  add_assembly('Mono.Android',   0, 0, 1, 'MZ mono.android ' + 'b'.repeat(200))
+  add_assembly('System.Private', 1, 1, 0, 'MZ arm64 system.private ' + 'c'.repeat(50))
+
+  return {
+    stores: [
+      {'assemblies.blob':           {store_idx: 0, header: {version: 1, lec: 2, gec: 3, store_id: 0}}},
+      {'assemblies.arm64_v8a.blob': {store_idx: 1, header: {version: 1, lec: 1, gec: 0, store_id: 1}}},
+    ],
+    assemblies
+  }
+}
+
+const write_json_config = (label, json_data) => {
+  const json_file = path.join(work_dir, `${label}.json`)
+  fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4))
+  return json_file
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  fs.mkdirSync(dlls_dir)
+
+  // an architecture-specific store, with truncated assembly data
+  const truncated_dir = path.join(work_dir, 'truncated')
+  run_jsxamstore('pack', '-c', write_json_config('truncated', build_json_data()), '-o', truncated_dir)
+
+  const truncated_file = path.join(truncated_dir, 'assemblies.arm64_v8a.blob.new')
+  fs.truncateSync(truncated_file, fs.statSync(truncated_file).size - 10)
+
+  const failure_cases = [
+    {
+      // only the blob of the architecture-specific store exists
+      label:  'output blob exists:',
+      status: 23,
+      out:    (out_dir) => { fs.mkdirSync(out_dir); fs.writeFileSync(path.join(out_dir, 'assemblies.arm64_v8a.blob.new'), '') },
+      files:  ['assemblies.arm64_v8a.blob.new'],
+    },
+    {
+      label:  'missing DLL:',
+      status: 29,
+      json:   (json_data) => { fs.rmSync(json_data.assemblies[2].file) },
+    },
+    {
+      // the primary store is built, then the architecture-specific store fails to read its assembly from the (truncated) original store
+      label:  'error in a later store:',
+      status: 3,
+      json:   (json_data) => {
+        Object.assign(json_data.assemblies[2], {extracted: false, source_idx: 0, file: undefined})
+        json_data.stores[1]['assemblies.arm64_v8a.blob'].source = {path: truncated_file}
+      },
+    },
+  ]
+
+  for (const test_case of failure_cases) {
+    const json_data = build_json_data()
+    if (test_case.json)
+      test_case.json(json_data)
+
+    const out_dir = path.join(work_dir, `out-${failure_cases.indexOf(test_case)}`)
+    if (test_case.out)
+      test_case.out(out_dir)
+
+    const {status} = run_jsxamstore('pack', '-c', write_json_config('failure', json_data), '-o', out_dir)
+
+    const files = list_files(out_dir)
+    const files_ok = (files.join('|') === (test_case.files || []).join('|'))
+    console.log(test_case.label, ((status === test_case.status) && files_ok) ? 'OK' : `Fail (exit code ${status}. files: ${files.join(', ')})`)
+  }
+
+  // a second pack to the same directory
+  const json_file = write_json_config('assemblies', build_json_data())
+  const out_dir   = path.join(work_dir, 'out')
+
+  run_jsxamstore('pack', '-c', json_file, '-o', out_dir)
+  const expect_files = list_files(out_dir)
+  const expect_blob  = fs.readFileSync(path.join(out_dir, 'assemblies.blob.new'))
+
+  const exists = run_jsxamstore('pack', '-c', json_file, '-o', out_dir)
+  console.log('outputs exist:', ((exists.status === 22) && exists.stdout.includes('use --overwrite')) ? 'OK' : `Fail (exit code ${exists.status})`)
+
+  const overwrite = run_jsxamstore('pack', '-c', json_file, '-o', out_dir, '--overwrite')
+  const overwrite_ok = (overwrite.status === 0)
+    && (JSON.stringify(list_files(out_dir)) === JSON.stringify(expect_files))
+    && fs.readFileSync(path.join(out_dir, 'assemblies.blob.new')).equals(expect_blob)
+  console.log('--overwrite:', overwrite_ok ? 'OK' : `Fail (exit code ${overwrite.status}. files: ${list_files(out_dir).join(', ')})`)
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
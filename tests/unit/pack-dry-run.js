@@ -0,0 +1,210 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore pack --dry-run":
+//  - prints the same file sizes, data offsets and sizes, LZ4 flags and manifest lines as the files that "jsxamstore pack" writes
+//  - writes nothing, even when the output directory already holds the blobs/manifest of a previous pack
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore_lib = require('../../bin/jsxamstore.js')
+const jsxamstore     = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir       = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-pack-dry-run-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+}
+
+const write_file = (name, content) => {
+  const file = path.join(work_dir, name)
+  fs.writeFileSync(file, Buffer.from(content))
+  return file
+}
+
+const write_json = (json_file, json_data) => fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4))
+
+// returns: {<out_name>: {size, entries: ["<name> <offset> <size> <lz4>"], lines: []}}
+const parse_dry_run = (stdout) => {
+  const outputs = {}
+  let output = null
+
+  for (const line of stdout.split('\n')) {
+    let match
+
+    if ((match = /^(\S+): (\d+) bytes/.exec(line))) {
+      output = outputs[match[1]] = {size: Number(match[2]), entries: [], lines: []}
+    }
+    else if (output && (match = /^  \[\d+\] (\S+): data offset (\d+) \(0x[0-9a-f]+\), size (\d+)( \(LZ4)?/.exec(line))) {
+      output.entries.push(`${match[1]} ${match[2]} ${match[3]} ${!!match[4]}`)
+    }
+    else if (output && line.startsWith('  ')) {
+      output.lines.push(line.substring(2))
+    }
+  }
+
+  return outputs
+}
+
+// compares the dry run to the files written by "jsxamstore pack"
+const compare_layout = (outputs, out_dir, names) => {
+  const errors = []
+  const actual_names = fs.readdirSync(out_dir).sort()
+
+  if (Object.keys(outputs).sort().join('|') !== actual_names.join('|'))
+    errors.push(`outputs differ (expect: "${actual_names.join(', ')}". actual: "${Object.keys(outputs).join(', ')}")`)
+
+  for (const out_name of actual_names) {
+    const output = outputs[out_name]
+    const out_data = fs.readFileSync(path.join(out_dir, out_name))
+
+    if (!output)
+      continue
+
+    if (output.size !== out_data.length)
+      errors.push(`${out_name}: size ${output.size} instead of ${out_data.length}`)
+
+    if (out_name.startsWith('assemblies.manifest')) {
+      const expect_lines = out_data.toString('utf8').split('\r\n').filter(line => line.length > 0)
+
+      if (output.lines.join('|') !== expect_lines.join('|'))
+        errors.push(`${out_name}: manifest lines differ`)
+
+      continue
+    }
+
+    const store = new jsxamstore_lib.AssemblyStore(path.join(out_dir, out_name), null, !out_name.includes('arm64'))
+    const expect_entries = store.assemblies_list.map((assembly, i) => {
+      const stored_data = store.read_entry_data(i, 'data', 4)
+      const name = store.assembly_names ? store.assembly_names[i] : names[out_name][i]
+      return `${name} ${assembly.data_offset} ${assembly.data_size} ${stored_data.toString('utf8') === 'XALZ'}`
+    })
+    store.close()
+
+    if (output.entries.join('|') !== expect_entries.join('|'))
+      errors.push(`${out_name}: entries differ (expect: "${expect_entries.join(', ')}". actual: "${output.entries.join(', ')}")`)
+  }
+
+  return errors
+}
+
+// -----------------------------------------------------------------------------
+// fixtures:
+
+const build_v1_config = () => {
+  const assemblies = []
+  const add_assembly = (name, store_idx, store_id, blob_idx, lz4, extra = {}) => {
+    const file = write_file(`${store_idx}-${name}.dll`, `MZ ${store_idx} ${name} ` + name.repeat(20))
+    assemblies.push({store_idx, lz4, lz4_desc_idx: blob_idx, name, store_id, blob_idx, hash32: '', hash64: '', file, ...extra})
+  }
+
+  add_assembly('App',             0, 0, 0, true,  {debug_file: write_file('App.pdb', 'BSJB ' + 'p'.repeat(40))})
+  add_assembly('Mono.Android',    0, 0, 1, false, {config_file: write_file('Mono.Android.dll.config', '<configuration />')})
+  add_assembly('System.Private',  1, 1, 0, true)
+
+  const json_file = path.join(work_dir, 'v1.json')
+  write_json(json_file, {
+    stores: [
+      {'assemblies.blob':          {store_idx: 0, header: {version: 1, lec: 2, gec: 3, store_id: 0}}},
+      {'assemblies.arm64_v8a.blob': {store_idx: 1, header: {version: 1, lec: 1, gec: 0, store_id: 1}}},
+    ],
+    assemblies
+  })
+
+  return json_file
+}
+
+const build_v2_config = async () => {
+  const store_dir = path.join(work_dir, 'v2-original')
+  fs.mkdirSync(store_dir)
+
+  const {file_name, store} = await jsxamstore_lib.build_store([
+    {name: 'App',          data: Buffer.from('MZ app ' + 'a'.repeat(100)), lz4: true},
+    {name: 'Mono.Android', data: Buffer.from('MZ mono.android'),           lz4: false},
+  ], {version: 2, abi: 'x86_64'})
+
+  fs.writeFileSync(path.join(store_dir, file_name), store)
+
+  const unpacked_dir = path.join(work_dir, 'v2-unpacked')
+  run_jsxamstore('unpack', '-d', store_dir, '-o', unpacked_dir)
+
+  return path.join(unpacked_dir, 'assemblies.json')
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = async () => {
+  const v1_names = {
+    'assemblies.blob.new':           ['App', 'Mono.Android'],
+    'assemblies.arm64_v8a.blob.new': ['System.Private'],
+  }
+
+  {
+    const json_file = build_v1_config()
+    const out_dir   = path.join(work_dir, 'v1-out')
+    const dry_run   = run_jsxamstore('pack', '-c', json_file, '-o', out_dir, '--dry-run')
+    const errors    = []
+
+    if (dry_run.status !== 0)
+      errors.push(`exit code ${dry_run.status}`)
+
+    if (fs.existsSync(out_dir))
+      errors.push('output directory was created')
+
+    run_jsxamstore('pack', '-c', json_file, '-o', out_dir)
+    errors.push(...compare_layout(parse_dry_run(dry_run.stdout), out_dir, v1_names))
+
+    console.log('format version 1:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+
+  {
+    const json_file = await build_v2_config()
+    const out_dir   = path.join(work_dir, 'v2-out')
+    const dry_run   = run_jsxamstore('pack', '-c', json_file, '-o', out_dir, '--elf', '--dry-run')
+    const errors    = []
+
+    if (dry_run.status !== 0)
+      errors.push(`exit code ${dry_run.status}`)
+
+    if (!dry_run.stdout.includes('  ELF payload: offset '))
+      errors.push('ELF payload is not printed')
+
+    run_jsxamstore('pack', '-c', json_file, '-o', out_dir, '--elf')
+    errors.push(...compare_layout(parse_dry_run(dry_run.stdout), out_dir, {}))
+
+    console.log('format version 2 (ELF):', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+
+  {
+    // the output directory holds the blobs/manifest of the pack above, which are left untouched
+    const json_file = path.join(work_dir, 'v1.json')
+    const out_dir   = path.join(work_dir, 'v1-out')
+    const before    = fs.readdirSync(out_dir).sort().map(name => fs.readFileSync(path.join(out_dir, name)).toString('hex'))
+
+    const errors = []
+    const json_data = JSON.parse(fs.readFileSync(json_file, 'utf8'))
+    json_data.assemblies[0].lz4 = false
+    write_json(json_file, json_data)
+
+    const dry_run = run_jsxamstore('pack', '-c', json_file, '-o', out_dir, '--dry-run')
+    const after   = fs.readdirSync(out_dir).sort().map(name => fs.readFileSync(path.join(out_dir, name)).toString('hex'))
+
+    if (dry_run.status !== 0)
+      errors.push(`exit code ${dry_run.status}`)
+
+    if (before.join('|') !== after.join('|'))
+      errors.push('output directory was modified')
+
+    if (!/\[0\] App: data offset \d+ \(0x[0-9a-f]+\), size \d+;/.test(dry_run.stdout))
+      errors.push('"App" is not printed as uncompressed')
+
+    console.log('existing output:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+}
+
+run_tests()
+  .finally(() => fs.rmSync(work_dir, {recursive: true, force: true}))
@@ -0,0 +1,210 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore pack --elf" wraps a format version 2 store in an ELF shared object, for each ABI:
+//  - ELF header: class, byte order, ET_DYN, machine
+//  - program headers: a PT_LOAD and a PT_DYNAMIC segment, within the file
+//  - section headers: within the file, with a page aligned "payload" section that holds the same store as "pack" without --elf
+//  - DT_SONAME names the file
+//  - the ELF file unpacks to the same DLLs
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore_path = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir        = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-pack-elf-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore_path, ...args], {encoding: 'utf8'}).status
+}
+
+const ABIS = {
+  arm:    {android_abi: 'armeabi-v7a', machine: 40,  is_64bit: false, abi_flag: 0x00020000},
+  arm64:  {android_abi: 'arm64-v8a',   machine: 183, is_64bit: true,  abi_flag: 0x00010000},
+  x86:    {android_abi: 'x86',         machine: 3,   is_64bit: false, abi_flag: 0x00040000},
+  x86_64: {android_abi: 'x86_64',      machine: 62,  is_64bit: true,  abi_flag: 0x00030000},
+}
+
+// an "assemblies.json" for a raw format version 2 store, in the same shape as "unpack" writes
+const write_json_config = (abi, file_name, assemblies) => {
+  const {is_64bit, abi_flag} = ABIS[abi]
+  const dll_dir = path.join(work_dir, `${abi}-dlls`)
+  fs.mkdirSync(dll_dir)
+
+  const json_data = {
+    stores: [{[file_name]: {store_idx: 0, header: {version: (2 | abi_flag | (is_64bit ? 0x80000000 : 0)) >>> 0, lec: assemblies.length, gec: assemblies.length, store_id: 0}}}],
+    assemblies: assemblies.map((assembly, i) => {
+      const file = path.join(dll_dir, `${assembly.name}.dll`)
+      fs.writeFileSync(file, assembly.data)
+
+      return {store_idx: 0, lz4: assembly.lz4, ...(assembly.lz4 ? {lz4_desc_idx: i} : {}), name: assembly.name, store_id: 0, blob_idx: i, hash32: '', hash64: '', file}
+    })
+  }
+
+  const json_file = path.join(work_dir, `${abi}.json`)
+  fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4))
+  return json_file
+}
+
+// returns: {errors, payload}
+const check_elf = (elf, abi, so_name) => {
+  const errors = []
+  const {machine, is_64bit} = ABIS[abi]
+  const read_word = (offset) => is_64bit ? Number(elf.readBigUInt64LE(offset)) : elf.readUInt32LE(offset)
+  const word_size = is_64bit ? 8 : 4
+
+  if (elf.toString('binary', 0, 4) !== '\x7FELF')
+    return {errors: ['no ELF magic']}
+
+  if (elf[4] !== (is_64bit ? 2 : 1)) errors.push(`EI_CLASS is ${elf[4]}`)
+  if (elf[5] !== 1)                  errors.push(`EI_DATA is ${elf[5]}`)
+  if (elf.readUInt16LE(16) !== 3)    errors.push(`e_type is ${elf.readUInt16LE(16)}`)
+  if (elf.readUInt16LE(18) !== machine) errors.push(`e_machine is ${elf.readUInt16LE(18)}`)
+
+  const e_phoff     = read_word(24 + word_size)
+  const e_shoff     = read_word(24 + (2 * word_size))
+  const fields      = 24 + (3 * word_size) + 4
+  const e_phentsize = elf.readUInt16LE(fields + 2)
+  const e_phnum     = elf.readUInt16LE(fields + 4)
+  const e_shentsize = elf.readUInt16LE(fields + 6)
+  const e_shnum     = elf.readUInt16LE(fields + 8)
+  const e_shstrndx  = elf.readUInt16LE(fields + 10)
+
+  if (e_phentsize !== (is_64bit ? 56 : 32)) errors.push(`e_phentsize is ${e_phentsize}`)
+  if (e_shentsize !== (is_64bit ? 64 : 40)) errors.push(`e_shentsize is ${e_shentsize}`)
+  if ((e_phoff + (e_phnum * e_phentsize)) > elf.length) errors.push('program headers run past the end of the file')
+  if ((e_shoff + (e_shnum * e_shentsize)) > elf.length) errors.push('section headers run past the end of the file')
+  if (errors.length)
+    return {errors}
+
+  // program headers
+  const segments = []
+  for (let i = 0; i < e_phnum; i++) {
+    const offset = e_phoff + (i * e_phentsize)
+    segments.push(is_64bit
+      ? {p_type: elf.readUInt32LE(offset), p_offset: read_word(offset + 8),  p_vaddr: read_word(offset + 16), p_filesz: read_word(offset + 32), p_align: read_word(offset + 48)}
+      : {p_type: elf.readUInt32LE(offset), p_offset: read_word(offset + 4),  p_vaddr: read_word(offset + 8),  p_filesz: read_word(offset + 16), p_align: read_word(offset + 28)})
+  }
+
+  for (const p_type of [1, 2]) {
+    if (!segments.some(segment => segment.p_type === p_type))
+      errors.push(`no segment of type ${p_type}`)
+  }
+  for (const segment of segments) {
+    if ((segment.p_offset + segment.p_filesz) > elf.length)
+      errors.push(`segment of type ${segment.p_type} runs past the end of the file`)
+    if ((segment.p_type === 1) && ((segment.p_offset % segment.p_align) !== (segment.p_vaddr % segment.p_align)))
+      errors.push('PT_LOAD offset and address are not congruent')
+  }
+
+  // section headers
+  const sections = []
+  for (let i = 0; i < e_shnum; i++) {
+    const offset = e_shoff + (i * e_shentsize)
+    sections.push(is_64bit
+      ? {sh_name: elf.readUInt32LE(offset), sh_type: elf.readUInt32LE(offset + 4), sh_offset: read_word(offset + 24), sh_size: read_word(offset + 32)}
+      : {sh_name: elf.readUInt32LE(offset), sh_type: elf.readUInt32LE(offset + 4), sh_offset: read_word(offset + 16), sh_size: read_word(offset + 20)})
+  }
+
+  for (const section of sections) {
+    if ((section.sh_type !== 8) && ((section.sh_offset + section.sh_size) > elf.length))
+      errors.push('a section runs past the end of the file')
+  }
+  if (errors.length)
+    return {errors}
+
+  const shstrtab = sections[e_shstrndx]
+  const get_name = (section) => {
+    const start = shstrtab.sh_offset + section.sh_name
+    return elf.toString('utf8', start, elf.indexOf(0, start))
+  }
+  const find_section = (name) => sections.find(section => get_name(section) === name)
+
+  const payload_section = find_section('payload')
+  if (!payload_section)
+    return {errors: ['no "payload" section']}
+
+  if ((payload_section.sh_offset % 0x4000) !== 0)
+    errors.push(`payload at offset ${payload_section.sh_offset} is not page aligned`)
+
+  // DT_SONAME
+  const dynamic = find_section('.dynamic')
+  const dynstr  = find_section('.dynstr')
+  let soname = null
+
+  if (dynamic && dynstr) {
+    for (let offset = dynamic.sh_offset; offset < (dynamic.sh_offset + dynamic.sh_size); offset += 2 * word_size) {
+      if (read_word(offset) === 14) {
+        const start = dynstr.sh_offset + read_word(offset + word_size)
+        soname = elf.toString('utf8', start, elf.indexOf(0, start))
+      }
+    }
+  }
+  if (soname !== so_name)
+    errors.push(`DT_SONAME is "${soname}"`)
+
+  return {errors, payload: elf.subarray(payload_section.sh_offset, payload_section.sh_offset + payload_section.sh_size)}
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const assemblies = [
+    {name: 'App',          data: Buffer.from('MZ app ' + 'a'.repeat(300)), lz4: true},
+    {name: 'Mono.Android', data: Buffer.from('MZ mono.android'),           lz4: false},
+  ]
+
+  for (const abi of Object.keys(ABIS)) {
+    const so_name = `libassemblies.${ABIS[abi].android_abi}.blob.so`
+    const errors  = []
+
+    const file_name = `assemblies.${ABIS[abi].android_abi.replace('-', '_')}.blob`
+    const json_file = write_json_config(abi, file_name, assemblies)
+
+    const raw_dir = path.join(work_dir, `${abi}-raw`)
+    const elf_dir = path.join(work_dir, `${abi}-elf`)
+    run_jsxamstore('pack', '-c', json_file, '-o', raw_dir)
+
+    if (run_jsxamstore('pack', '-c', json_file, '-o', elf_dir, '--elf') !== 0)
+      errors.push('pack --elf failed')
+
+    const elf_file = path.join(elf_dir, `${so_name}.new`)
+
+    if (!fs.existsSync(elf_file)) {
+      errors.push(`no "${so_name}.new"`)
+    } else {
+      const result = check_elf(fs.readFileSync(elf_file), abi, so_name)
+      errors.push(...result.errors)
+
+      if (result.payload && !result.payload.equals(fs.readFileSync(path.join(raw_dir, `${file_name}.new`))))
+        errors.push('payload differs from the raw store')
+
+      // round trip
+      const so_dir = path.join(work_dir, `${abi}-so`)
+      fs.mkdirSync(so_dir)
+      fs.copyFileSync(elf_file, path.join(so_dir, so_name))
+
+      const out_dir = path.join(work_dir, `${abi}-out`)
+      run_jsxamstore('unpack', '-d', path.join(so_dir, so_name), '-o', out_dir)
+
+      for (const assembly of assemblies) {
+        const dll_file = path.join(out_dir, abi, `${assembly.name}.dll`)
+        if (!fs.existsSync(dll_file) || !fs.readFileSync(dll_file).equals(assembly.data))
+          errors.push(`"${assembly.name}.dll" differs`)
+      }
+    }
+
+    console.log(`${abi}:`, errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
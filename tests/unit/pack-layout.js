@@ -0,0 +1,141 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore pack" accepts an "assemblies.json" in which assemblies were added, removed or renamed after unpack:
+//  - the new stores pass "jsxamstore verify" (lec, gec, blob_idx, mapping indexes, hash tables and manifest agree)
+//  - the new stores unpack to the expected set of assemblies
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore_lib = require('../../bin/jsxamstore.js')
+const jsxamstore     = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir       = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-pack-layout-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'}).status
+}
+
+const pack = (json_file, label) => {
+  const out_dir = path.join(work_dir, label)
+  run_jsxamstore('pack', '-c', json_file, '-o', out_dir)
+
+  // strip the ".new" extension, so the output can be verified and unpacked
+  for (const name of fs.readdirSync(out_dir)) {
+    fs.renameSync(path.join(out_dir, name), path.join(out_dir, name.replace(/\.new$/, '')))
+  }
+
+  return out_dir
+}
+
+const read_json = (json_file) => JSON.parse(fs.readFileSync(json_file, 'utf8'))
+const write_json = (json_file, json_data) => fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4))
+
+const write_dll = (name, content) => {
+  const file = path.join(work_dir, `${name}.dll`)
+  fs.writeFileSync(file, Buffer.from(content))
+  return file
+}
+
+// -----------------------------------------------------------------------------
+// fixtures:
+
+const build_v1_store_files = () => {
+  const assemblies = []
+  const add_assembly = (name, store_idx, store_id, blob_idx, lz4) => {
+    const file = write_dll(`${store_idx}-${name}`, `MZ ${store_idx} ${name} ` + name.repeat(20))
+    assemblies.push({store_idx, lz4, lz4_desc_idx: blob_idx, name, store_id, blob_idx, hash32: '', hash64: '', file})
+  }
+
+  add_assembly('App',             0, 0, 0, true)
+  add_assembly('Mono.Android',    0, 0, 1, false)
+  add_assembly('Xamarin.Forms',   0, 0, 2, true)
+  add_assembly('System.Private',  1, 1, 0, true)
+
+  const json_file = path.join(work_dir, 'v1.json')
+  write_json(json_file, {
+    stores: [
+      {'assemblies.blob':          {store_idx: 0, header: {version: 1, lec: 3, gec: 4, store_id: 0}}},
+      {'assemblies.arm64_v8a.blob': {store_idx: 1, header: {version: 1, lec: 1, gec: 0, store_id: 1}}},
+    ],
+    assemblies
+  })
+
+  return pack(json_file, 'v1-original')
+}
+
+const build_v2_store_files = async () => {
+  const store_dir = path.join(work_dir, 'v2-original')
+  fs.mkdirSync(store_dir)
+
+  const {file_name, store} = await jsxamstore_lib.build_store([
+    {name: 'App',          data: Buffer.from('MZ app ' + 'a'.repeat(100)), lz4: true},
+    {name: 'Mono.Android', data: Buffer.from('MZ mono.android'),           lz4: false},
+  ], {version: 2, abi: 'x86_64'})
+
+  fs.writeFileSync(path.join(store_dir, file_name), store)
+  return store_dir
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const check_store_files = (label, store_dir, expect) => {
+  const errors = []
+
+  if (run_jsxamstore('verify', '-d', store_dir) !== 0)
+    errors.push('verify failed')
+
+  const out_dir = path.join(work_dir, `${label}-verify`)
+  run_jsxamstore('unpack', '-d', store_dir, '-o', out_dir)
+
+  const actual = read_json(path.join(out_dir, 'assemblies.json')).assemblies
+    .map(assembly => `${assembly.store_idx}:${assembly.blob_idx}:${assembly.name}`)
+
+  if (actual.join('|') !== expect.join('|'))
+    errors.push(`unexpected assemblies: "${actual.join(', ')}"`)
+
+  return errors
+}
+
+const run_tests = async () => {
+  {
+    const unpacked_dir = path.join(work_dir, 'v1-unpacked')
+    run_jsxamstore('unpack', '-d', build_v1_store_files(), '-o', unpacked_dir)
+
+    const json_file = path.join(unpacked_dir, 'assemblies.json')
+    const json_data = read_json(json_file)
+
+    // remove "Mono.Android", rename "System.Private", add "Instrumentation" (at the end of the list)
+    json_data.assemblies = json_data.assemblies.filter(assembly => assembly.name !== 'Mono.Android')
+    json_data.assemblies.find(assembly => assembly.name === 'System.Private').name = 'System.Private.Renamed'
+    json_data.assemblies.push({store_idx: 0, lz4: false, name: 'Instrumentation', file: write_dll('Instrumentation', 'MZ instrumentation')})
+    write_json(json_file, json_data)
+
+    const errors = check_store_files('v1', pack(json_file, 'v1-repacked'), ['0:0:App', '0:1:Xamarin.Forms', '0:2:Instrumentation', '1:0:System.Private.Renamed'])
+    console.log('format version 1:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+
+  {
+    const unpacked_dir = path.join(work_dir, 'v2-unpacked')
+    run_jsxamstore('unpack', '-d', await build_v2_store_files(), '-o', unpacked_dir)
+
+    const json_file = path.join(unpacked_dir, 'assemblies.json')
+    const json_data = read_json(json_file)
+
+    // remove "App", add two new assemblies
+    json_data.assemblies = json_data.assemblies.filter(assembly => assembly.name !== 'App')
+    json_data.assemblies.push({store_idx: 0, lz4: false, name: 'Instrumentation', file: write_dll('Instrumentation', 'MZ instrumentation')})
+    json_data.assemblies.push({store_idx: 0, lz4: false, name: 'Extra', file: write_dll('Extra', 'MZ extra')})
+    write_json(json_file, json_data)
+
+    const errors = check_store_files('v2', pack(json_file, 'v2-repacked'), ['0:0:Mono.Android', '0:1:Instrumentation', '0:2:Extra'])
+    console.log('format version 2:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+}
+
+run_tests()
+  .finally(() => fs.rmSync(work_dir, {recursive: true, force: true}))
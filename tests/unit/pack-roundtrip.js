@@ -0,0 +1,145 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore pack" reuses the original LZ4 payload of each unchanged assembly:
+//  - an unpack + pack round trip reproduces the original blob byte-for-byte,
+//    even when its payloads were compressed by a different LZ4 encoder
+//  - a modified assembly is recompressed
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFileSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-pack-roundtrip-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return execFileSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+}
+
+// an LZ4 block that holds a single literal run: valid, but never what an HC encoder produces for repetitive data
+const lz4_literal_block = (data) => {
+  const length_bytes = []
+
+  if (data.length >= 15) {
+    let remaining = data.length - 15
+    while (remaining >= 255) {
+      length_bytes.push(255)
+      remaining -= 255
+    }
+    length_bytes.push(remaining)
+  }
+
+  const token = Math.min(data.length, 15) << 4
+  return Buffer.concat([Buffer.from([token, ...length_bytes]), data])
+}
+
+const unpack = (packed_dir, label) => {
+  const out_dir = path.join(work_dir, label)
+  run_jsxamstore('unpack', '-d', packed_dir, '-o', out_dir)
+  return out_dir
+}
+
+const pack = (unpacked_dir, label) => {
+  const out_dir = path.join(work_dir, label)
+  run_jsxamstore('pack', '-c', path.join(unpacked_dir, 'assemblies.json'), '-o', out_dir)
+
+  // strip the ".new" extension, so the output can be unpacked again
+  for (const name of fs.readdirSync(out_dir)) {
+    fs.renameSync(path.join(out_dir, name), path.join(out_dir, name.replace(/\.new$/, '')))
+  }
+
+  return out_dir
+}
+
+const read_blob = (packed_dir) => fs.readFileSync(path.join(packed_dir, 'assemblies.blob'))
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const build_store_files = () => {
+  const dlls_dir = path.join(work_dir, 'dlls')
+  fs.mkdirSync(dlls_dir)
+
+  const assemblies = []
+  const add_assembly = (name, blob_idx, content) => {
+    const file = path.join(dlls_dir, `${name}.dll`)
+    fs.writeFileSync(file, Buffer.from(content))
+
+    assemblies.push({store_idx: 0, lz4: true, lz4_desc_idx: blob_idx, name, store_id: 0, blob_idx, hash32: '', hash64: '', file})
+  }
+
+  add_assembly('App',           0, 'MZ app ' + 'a'.repeat(100))
+  add_assembly('Mono.Android',  1, 'MZ mono.android ' + 'b'.repeat(300))
+
+  const json_data = {
+    stores: [
+      {'assemblies.blob': {store_idx: 0, header: {version: 1, lec: 2, gec: 2, store_id: 0}}},
+    ],
+    assemblies
+  }
+
+  const json_file = path.join(dlls_dir, 'assemblies.json')
+  fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4))
+
+  return dlls_dir
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const initial_dir = unpack(pack(build_store_files(), 'packed-0'), 'unpacked-0')
+
+  // swap in payloads from "another" encoder, as if the original blob was not built by jsxamstore
+  for (const name of ['App', 'Mono.Android']) {
+    const lz4_file = path.join(initial_dir, 'primary', `${name}.dll.lz4`)
+    const payload  = fs.readFileSync(lz4_file)
+    const dll_data = fs.readFileSync(path.join(initial_dir, 'primary', `${name}.dll`))
+
+    fs.writeFileSync(lz4_file, Buffer.concat([payload.subarray(0, 12), lz4_literal_block(dll_data)]))
+  }
+
+  const original_dir = pack(initial_dir, 'original')
+  const original_blob = read_blob(original_dir)
+
+  {
+    const unpacked_dir = unpack(original_dir, 'unpacked-1')
+    const repacked_blob = read_blob(pack(unpacked_dir, 'repacked-1'))
+
+    console.log('unchanged assemblies:', repacked_blob.equals(original_blob) ? 'OK' : 'Fail (blob differs)')
+  }
+
+  {
+    const unpacked_dir = unpack(original_dir, 'unpacked-2')
+    const app_file     = path.join(unpacked_dir, 'primary', 'App.dll')
+    const app_data     = Buffer.from('MZ patched app ' + 'p'.repeat(100))
+    const app_payload  = fs.readFileSync(`${app_file}.lz4`)
+    fs.writeFileSync(app_file, app_data)
+
+    const repacked_dir = pack(unpacked_dir, 'repacked-2')
+    const repacked_blob = read_blob(repacked_dir)
+
+    const mono_payload = fs.readFileSync(path.join(unpacked_dir, 'primary', 'Mono.Android.dll.lz4'))
+    const verify_dir = unpack(repacked_dir, 'unpacked-3')
+
+    const errors = []
+    if (repacked_blob.includes(app_payload))
+      errors.push('modified assembly was not recompressed')
+    if (!repacked_blob.includes(mono_payload))
+      errors.push('unchanged assembly was recompressed')
+    if (!fs.readFileSync(path.join(verify_dir, 'primary', 'App.dll')).equals(app_data))
+      errors.push('modified assembly does not unpack to its new content')
+
+    console.log('modified assembly:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
@@ -0,0 +1,123 @@
+// -----------------------------------------------------------------------------
+// confirms that a corrupt or truncated store raises an "AssemblyStoreParseError",
+// which names the store file, section (elf, header, toc, hash32, hash64, index, names or data), entry index and byte offset,
+// and that "jsxamstore unpack" and "jsxamstore list" print it and exit with code 3
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore_path = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const jsxamstore      = require(jsxamstore_path)
+const work_dir        = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-parse-errors-'))
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const assemblies = [
+  {name: 'App',            data: Buffer.from('MZ app ' + 'a'.repeat(300)),            lz4: true},
+  {name: 'Mono.Android',   data: Buffer.from('MZ mono.android ' + 'b'.repeat(50)),    lz4: false},
+  {name: 'System.Private', data: Buffer.from('MZ system.private ' + 'c'.repeat(200)), lz4: true},
+]
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore_path, ...args], {encoding: 'utf8'})
+}
+
+// returns: "section entry offset" of the error, or its message when it is not an AssemblyStoreParseError
+const get_parse_error = async (store, manifest, read_name = null) => {
+  try {
+    const assembly_store = await jsxamstore.open_store(store, {manifest})
+
+    if (read_name) {
+      await assembly_store.read_assembly(read_name)
+    }
+    return 'no error'
+  } catch(e) {
+    if (!(e instanceof jsxamstore.AssemblyStoreParseError))
+      return `${e.name}: ${e.message}`
+
+    if (e.file_name !== 'assemblies.blob')
+      return `file_name: ${e.file_name}`
+
+    return `${e.section} ${e.index} ${e.offset}`
+  }
+}
+
+const patch = (store, offset, value) => {
+  const copy = Buffer.from(store)
+  copy.write(value, offset)
+  return copy
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = async () => {
+  const v1 = await jsxamstore.build_store(assemblies)
+  const v2 = await jsxamstore.build_store(assemblies, {version: 2, abi: 'arm64'})
+  const elf = await jsxamstore.build_store(assemblies, {version: 2, abi: 'arm64', elf: true})
+
+  const manifest = Buffer.from(v1.manifest)
+
+  // format version 1: header (20), toc (3 x 24), hash32 (3 x 20), hash64 (3 x 20), data
+  const v1_data_offset = (await jsxamstore.open_store(v1.store, {manifest})).assemblies_list[2].data_offset
+
+  // format version 2: header (20), index, descriptors (3 x 28), names, data
+  const v2_index_size = v2.store.readUInt32LE(16)
+  const v2_names_offset = 20 + v2_index_size + (3 * 28)
+
+  // ELF: the section header table is at the end of the file
+  const elf_shoff = Number(elf.store.readBigUInt64LE(0x28))
+  const elf_shstrndx_patched = Buffer.from(elf.store)
+  elf_shstrndx_patched.writeUInt16LE(99, 0x3E)
+
+  const test_cases = [
+    {label: 'header (truncated):', store: v1.store.subarray(0, 10),                  expect: 'header null 0'},
+    {label: 'header (magic):',     store: patch(v1.store, 0, 'ABCD'),               expect: 'header null 0'},
+    {label: 'header (version):',   store: patch(v1.store, 4, '\x09'),               expect: 'header null 4'},
+    {label: 'toc:',                store: v1.store.subarray(0, 20 + 24 + 10),        expect: 'toc 1 44'},
+    {label: 'hash32:',             store: v1.store.subarray(0, 92 + 40 + 5),         expect: 'hash32 2 132'},
+    {label: 'hash64:',             store: v1.store.subarray(0, 152 + 5),             expect: 'hash64 0 152'},
+    {label: 'data:',               store: v1.store.subarray(0, v1.store.length - 10), expect: `data 2 ${v1_data_offset}`, read_name: 'System.Private'},
+    {label: 'v2 toc:',             store: v2.store.subarray(0, 20 + v2_index_size + 28 + 3), expect: `toc 1 ${20 + v2_index_size + 28}`},
+    {label: 'v2 names:',           store: v2.store.subarray(0, v2_names_offset + 6),  expect: `names 0 ${v2_names_offset}`},
+    {label: 'elf (truncated):',    store: elf.store.subarray(0, elf.store.length - 30), expect: `elf null ${elf_shoff}`},
+    {label: 'elf (header):',       store: elf.store.subarray(0, 40),                 expect: 'elf null 0'},
+    {label: 'elf (shstrndx):',     store: elf_shstrndx_patched,                      expect: 'elf null 62'},
+  ]
+
+  for (const test_case of test_cases) {
+    const actual = await get_parse_error(test_case.store, manifest, test_case.read_name)
+    console.log(test_case.label, (actual === test_case.expect) ? 'OK' : `Fail (${actual})`)
+  }
+
+  // CLI
+  const store_dir = path.join(work_dir, 'assemblies')
+  fs.mkdirSync(store_dir)
+  fs.writeFileSync(path.join(store_dir, 'assemblies.blob'), v1.store.subarray(0, 20 + 24 + 10))
+  fs.writeFileSync(path.join(store_dir, 'assemblies.manifest'), manifest)
+
+  const {status, stdout} = run_jsxamstore('unpack', '-d', store_dir, '-o', path.join(work_dir, 'out'))
+  const expect_message = 'Unable to parse assembly store: assemblies.blob: toc entry 1 at offset 44 (0x2c): '
+  console.log('unpack:', ((status === 3) && stdout.includes(expect_message)) ? 'OK' : `Fail (exit code ${status}: ${stdout.trim()})`)
+
+  // a truncated ELF store is not mistaken for a format version 1 store (without a manifest)
+  const elf_dir = path.join(work_dir, 'elf')
+  fs.mkdirSync(elf_dir)
+  fs.writeFileSync(path.join(elf_dir, elf.file_name), elf.store.subarray(0, elf.store.length - 30))
+
+  for (const command of ['unpack', 'list']) {
+    const {status, stdout} = run_jsxamstore(command, '-d', elf_dir, '-a', 'arm64', ...((command === 'unpack') ? ['-o', path.join(work_dir, 'elf-out')] : []))
+    const expect_message = `Unable to parse assembly store: ${elf.file_name}: elf at offset ${elf_shoff} `
+    console.log(`${command} (elf):`, ((status === 3) && stdout.includes(expect_message)) ? 'OK' : `Fail (exit code ${status}: ${stdout.trim()})`)
+  }
+}
+
+run_tests()
+  .catch(e => console.log(e.message))
+  .finally(() => fs.rmSync(work_dir, {recursive: true, force: true}))
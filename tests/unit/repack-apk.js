@@ -0,0 +1,197 @@
+// -----------------------------------------------------------------------------
+// builds an APK fixture from a small packed assembly store, modifies one DLL,
+// then confirms that "jsxamstore repack-apk" writes an aligned, unsigned copy of the APK
+// that contains the modified DLL
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const { execFileSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-repack-apk-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return execFileSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+}
+
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF
+  for (const byte of buffer) {
+    crc ^= byte
+    for (let i = 0; i < 8; i++) {
+      crc = (crc & 1) ? ((crc >>> 1) ^ 0xEDB88320) : (crc >>> 1)
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// entries: [{name, data, deflate}]
+const build_zip = (entries) => {
+  const local_parts   = []
+  const central_parts = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8')
+    const data = entry.deflate ? zlib.deflateRawSync(entry.data) : entry.data
+    const crc  = crc32(entry.data)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034B50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt16LE(entry.deflate ? 8 : 0, 8)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(data.length, 18)
+    local.writeUInt32LE(entry.data.length, 22)
+    local.writeUInt16LE(name.length, 26)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014B50, 0)
+    central.writeUInt16LE(20, 4)
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(entry.deflate ? 8 : 0, 10)
+    central.writeUInt32LE(crc, 16)
+    central.writeUInt32LE(data.length, 20)
+    central.writeUInt32LE(entry.data.length, 24)
+    central.writeUInt16LE(name.length, 28)
+    central.writeUInt32LE(offset, 42)
+
+    local_parts.push(local, name, data)
+    central_parts.push(central, name)
+    offset += local.length + name.length + data.length
+  }
+
+  const central_directory = Buffer.concat(central_parts)
+
+  const eocd = Buffer.alloc(22)
+  eocd.writeUInt32LE(0x06054B50, 0)
+  eocd.writeUInt16LE(entries.length, 8)
+  eocd.writeUInt16LE(entries.length, 10)
+  eocd.writeUInt32LE(central_directory.length, 12)
+  eocd.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...local_parts, central_directory, eocd])
+}
+
+// returns: [{name, method, data_offset}]
+const read_zip_layout = (buffer) => {
+  const eocd_offset = buffer.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]))
+  const total_entries = buffer.readUInt16LE(eocd_offset + 10)
+  let offset = buffer.readUInt32LE(eocd_offset + 16)
+
+  const layout = []
+  for (let i = 0; i < total_entries; i++) {
+    const name_length    = buffer.readUInt16LE(offset + 28)
+    const extra_length   = buffer.readUInt16LE(offset + 30)
+    const comment_length = buffer.readUInt16LE(offset + 32)
+    const local_offset   = buffer.readUInt32LE(offset + 42)
+
+    layout.push({
+      name:        buffer.toString('utf8', offset + 46, offset + 46 + name_length),
+      method:      buffer.readUInt16LE(offset + 10),
+      data_offset: local_offset + 30 + buffer.readUInt16LE(local_offset + 26) + buffer.readUInt16LE(local_offset + 28)
+    })
+
+    offset += 46 + name_length + extra_length + comment_length
+  }
+  return layout
+}
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const build_apk = () => {
+  const dlls_dir = path.join(work_dir, 'dlls')
+  fs.mkdirSync(dlls_dir)
+
+  const assemblies = []
+  const add_assembly = (name, blob_idx, content) => {
+    const file = path.join(dlls_dir, `${name}.dll`)
+    fs.writeFileSync(file, Buffer.from(content))
+
+    assemblies.push({store_idx: 0, lz4: false, name, store_id: 0, blob_idx, hash32: '', hash64: '', file})
+  }
+
+  add_assembly('App',          0, 'MZ app ' + 'a'.repeat(101))
+  add_assembly('Mono.Android', 1, 'MZ mono.android ' + 'b'.repeat(203))
+
+  const json_data = {
+    stores: [
+      {'assemblies.blob': {store_idx: 0, header: {version: 1, lec: 2, gec: 2, store_id: 0}}},
+    ],
+    assemblies
+  }
+
+  const json_file = path.join(work_dir, 'assemblies.json')
+  fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4))
+
+  const packed_dir = path.join(work_dir, 'packed')
+  run_jsxamstore('pack', '-c', json_file, '-o', packed_dir)
+
+  const apk_file = path.join(work_dir, 'app.apk')
+  fs.writeFileSync(apk_file, build_zip([
+    {name: 'AndroidManifest.xml',           data: Buffer.from('<manifest/>'), deflate: true},
+    {name: 'classes.dex',                   data: Buffer.from('dex\n035\0'), deflate: false},
+    {name: 'assemblies/assemblies.manifest', data: fs.readFileSync(path.join(packed_dir, 'assemblies.manifest.new')), deflate: true},
+    {name: 'assemblies/assemblies.blob',     data: fs.readFileSync(path.join(packed_dir, 'assemblies.blob.new')), deflate: false},
+    {name: 'res/raw/a.bin',                 data: Buffer.from('x'), deflate: false},
+    {name: 'META-INF/MANIFEST.MF',          data: Buffer.from('Manifest-Version: 1.0'), deflate: true},
+    {name: 'META-INF/CERT.SF',              data: Buffer.from('Signature-Version: 1.0'), deflate: true},
+    {name: 'META-INF/CERT.RSA',             data: Buffer.from([1, 2, 3]), deflate: false},
+  ]))
+
+  return apk_file
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const apk_file = build_apk()
+
+  const unpacked_dir = path.join(work_dir, 'unpacked')
+  run_jsxamstore('unpack', '--apk', apk_file, '-o', unpacked_dir)
+
+  const modified_data = Buffer.from('MZ modified app ' + 'z'.repeat(77))
+  fs.writeFileSync(path.join(unpacked_dir, 'primary', 'App.dll'), modified_data)
+
+  const repacked_apk_file = path.join(work_dir, 'app.repacked.apk')
+  run_jsxamstore('repack-apk', '--apk', apk_file, '-c', path.join(unpacked_dir, 'assemblies.json'), '-o', repacked_apk_file)
+
+  const layout = read_zip_layout(fs.readFileSync(repacked_apk_file))
+  const names  = layout.map(entry => entry.name)
+
+  const has_signature = names.some(name => name.startsWith('META-INF/'))
+  console.log('signature files removed:', has_signature ? `Fail (${names.join(', ')})` : 'OK')
+
+  const has_all_entries = ['AndroidManifest.xml', 'classes.dex', 'assemblies/assemblies.manifest', 'assemblies/assemblies.blob', 'res/raw/a.bin'].every(name => names.includes(name))
+  console.log('other entries kept:', has_all_entries ? 'OK' : `Fail (${names.join(', ')})`)
+
+  const blob_entry = layout.find(entry => entry.name === 'assemblies/assemblies.blob')
+  console.log('blob stored:', (blob_entry && (blob_entry.method === 0)) ? 'OK' : 'Fail')
+
+  const misaligned = layout.filter(entry => (entry.method === 0) && (entry.data_offset % 4 !== 0))
+  console.log('stored entries aligned:', misaligned.length ? `Fail (${misaligned.map(entry => entry.name).join(', ')})` : 'OK')
+
+  const repacked_dir = path.join(work_dir, 'repacked')
+  run_jsxamstore('unpack', '--apk', repacked_apk_file, '-o', repacked_dir)
+
+  const actual_data = fs.readFileSync(path.join(repacked_dir, 'primary', 'App.dll'))
+  console.log('modified assembly:', actual_data.equals(modified_data) ? 'OK' : 'Fail')
+
+  const expect_other = fs.readFileSync(path.join(unpacked_dir, 'primary', 'Mono.Android.dll'))
+  const actual_other = fs.readFileSync(path.join(repacked_dir, 'primary', 'Mono.Android.dll'))
+  console.log('unmodified assembly:', actual_other.equals(expect_other) ? 'OK' : 'Fail')
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
@@ -0,0 +1,138 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore replace" rewrites a single assembly in place:
+//  - the new DLL is compressed when the original was, with the same descriptor index
+//  - the assemblies (and debug data) that follow it are still readable
+//  - the store still passes "jsxamstore verify"
+//  - an ELF-wrapped store keeps its ELF header and every section other than "payload"
+//  - an assembly that is not in any store is rejected (exit code 62)
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore_lib = require('../../bin/jsxamstore.js')
+const jsxamstore     = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir       = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-replace-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'}).status
+}
+
+// returns: [{name, data}] of each section of a 64-bit ELF file
+const read_elf_sections = (elf) => {
+  const e_shoff     = Number(elf.readBigUInt64LE(0x28))
+  const e_shentsize = elf.readUInt16LE(0x3A)
+  const e_shnum     = elf.readUInt16LE(0x3C)
+  const e_shstrndx  = elf.readUInt16LE(0x3E)
+
+  const sections = []
+  for (let i = 0; i < e_shnum; i++) {
+    const offset = e_shoff + (i * e_shentsize)
+    sections.push({sh_name: elf.readUInt32LE(offset), sh_offset: Number(elf.readBigUInt64LE(offset + 0x18)), sh_size: Number(elf.readBigUInt64LE(offset + 0x20))})
+  }
+
+  const shstrtab = sections[e_shstrndx]
+  return sections.map(section => {
+    const start = shstrtab.sh_offset + section.sh_name
+    return {name: elf.toString('utf8', start, elf.indexOf(0, start)), data: elf.subarray(section.sh_offset, section.sh_offset + section.sh_size)}
+  })
+}
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const assemblies = [
+  {name: 'App',            data: Buffer.from('MZ app ' + 'a'.repeat(300)),           lz4: true},
+  {name: 'Mono.Android',   data: Buffer.from('MZ mono.android ' + 'b'.repeat(50)),    lz4: true},
+  {name: 'System.Private', data: Buffer.from('MZ system.private ' + 'c'.repeat(200)), lz4: false, debug_data: Buffer.from('pdb')},
+]
+
+const patched_data = Buffer.from('MZ patched mono.android ' + 'p'.repeat(500) + 'q'.repeat(500))
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = async () => {
+  const patched_file = path.join(work_dir, 'patched.dll')
+  fs.writeFileSync(patched_file, patched_data)
+
+  const test_cases = [
+    {label: 'format version 1:',       options: {}},
+    {label: 'format version 2 (ELF):', options: {version: 2, abi: 'arm64', elf: true}},
+  ]
+
+  for (const test_case of test_cases) {
+    const store_dir = path.join(work_dir, `store-${test_cases.indexOf(test_case)}`)
+    fs.mkdirSync(store_dir)
+
+    const {file_name, store, manifest} = await jsxamstore_lib.build_store(assemblies, test_case.options)
+    const store_path = path.join(store_dir, file_name)
+
+    // e_flags: a value "pack --elf" never writes, so a rebuilt ELF header is noticed
+    if (test_case.options.elf)
+      store.writeUInt32LE(0x5A5A, 0x30)
+
+    fs.writeFileSync(store_path, store)
+    if (manifest)
+      fs.writeFileSync(path.join(store_dir, 'assemblies.manifest'), manifest)
+
+    const errors = []
+
+    if (run_jsxamstore('replace', '-d', store_dir, '--name', 'Mono.Android', '--file', patched_file) !== 0)
+      errors.push('replace failed')
+
+    if (run_jsxamstore('verify', '-d', store_dir) !== 0)
+      errors.push('verify failed')
+
+    const assembly_store = await jsxamstore_lib.open_store(store_path)
+    const assembly = assembly_store.assemblies_list[1]
+    const stored_data = assembly_store.read(assembly.data_offset, assembly.data_size)
+
+    if (!stored_data.subarray(0, 4).equals(Buffer.from('XALZ')) || (stored_data.readUInt32LE(4) !== 1))
+      errors.push('replaced assembly is not compressed with its original descriptor index')
+
+    if (!(await assembly_store.read_assembly('Mono.Android')).equals(patched_data))
+      errors.push('replaced assembly differs')
+
+    for (const {name, data} of [assemblies[0], assemblies[2]]) {
+      if (!(await assembly_store.read_assembly(name)).equals(data))
+        errors.push(`"${name}" differs`)
+    }
+
+    const debug_assembly = assembly_store.assemblies_list[2]
+    if (!assembly_store.read(debug_assembly.debug_data_offset, debug_assembly.debug_data_size).equals(assemblies[2].debug_data))
+      errors.push('debug data differs')
+
+    assembly_store.close()
+
+    if (test_case.options.elf) {
+      const elf = fs.readFileSync(store_path)
+      if (elf.readUInt32LE(0x30) !== 0x5A5A)
+        errors.push('ELF header was rewritten')
+
+      const old_sections = read_elf_sections(store)
+      const new_sections = read_elf_sections(elf)
+
+      if (new_sections.map(section => section.name).join(',') !== old_sections.map(section => section.name).join(','))
+        errors.push(`sections are "${new_sections.map(section => section.name).join(', ')}"`)
+
+      old_sections
+        .filter((section, i) => (section.name !== 'payload') && !(new_sections[i] && new_sections[i].data.equals(section.data)))
+        .forEach(section => errors.push(`section "${section.name}" differs`))
+    }
+
+    console.log(test_case.label, errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+
+  {
+    const status = run_jsxamstore('replace', '-d', path.join(work_dir, 'store-0'), '--name', 'Missing', '--file', patched_file)
+    console.log('assembly not found:', (status === 62) ? 'OK' : `Fail (exit code ${status})`)
+  }
+}
+
+run_tests()
+  .finally(() => fs.rmSync(work_dir, {recursive: true, force: true}))
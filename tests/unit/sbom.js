@@ -0,0 +1,213 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore sbom" writes a CycloneDX (or SPDX) inventory of the assemblies in the primary and architecture-specific stores:
+// name and version (from the CLI metadata), content hashes of the uncompressed DLLs, and the ABIs that each assembly ships for
+
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-sbom-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+}
+
+const build_heap = (first) => {
+  const items = [first]
+  const add = (item) => {
+    const offset = items.reduce((sum, item) => sum + item.length, 0)
+    items.push(item)
+    return offset
+  }
+  return {add, build: () => Buffer.concat(items)}
+}
+
+// a minimal PE32 file, with CLI metadata that holds: Assembly and AssemblyRef tables.
+// every table and heap is small, so every index is 2 bytes.
+const build_dll = ({name, version, public_key_token, references}) => {
+  const strings = build_heap(Buffer.from([0]))
+  const blobs   = build_heap(Buffer.from([0]))
+
+  const string = (value) => value ? strings.add(Buffer.from(`${value}\0`)) : 0
+  const blob   = (value) => value ? blobs.add(Buffer.concat([Buffer.from([value.length]), value])) : 0
+
+  const row = (...columns) => {
+    const buffer = Buffer.alloc(columns.reduce((sum, [size]) => sum + size, 0))
+    let offset = 0
+    for (const [size, value] of columns) {
+      (size === 4) ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt16LE(value, offset)
+      offset += size
+    }
+    return buffer
+  }
+
+  const version_columns = (version) => version.split('.').map(part => [2, Number(part)])
+
+  // the Assembly table holds a full public key, so the token of a framework assembly is only set on its references
+  const tables = {
+    0x20: [row([4, 0x8004], ...version_columns(version), [4, 0], [2, 0], [2, string(name)], [2, 0])],
+    0x23: references.map(reference => {
+      const token = reference.public_key_token ? Buffer.from(reference.public_key_token, 'hex') : null
+      return row(...version_columns(reference.version), [4, 0], [2, blob(token)], [2, string(reference.name)], [2, 0], [2, 0])
+    }),
+  }
+
+  const table_ids  = Object.keys(tables).map(Number).filter(table_id => tables[table_id].length)
+  const row_counts = Buffer.alloc(table_ids.length * 4)
+  table_ids.forEach((table_id, i) => row_counts.writeUInt32LE(tables[table_id].length, i * 4))
+
+  const tables_header = Buffer.alloc(24)
+  tables_header.writeUInt8(2, 4)
+  tables_header.writeBigUInt64LE(table_ids.reduce((valid, table_id) => valid | (1n << BigInt(table_id)), 0n), 8)
+
+  const pad = (buffer) => Buffer.concat([buffer, Buffer.alloc((4 - (buffer.length % 4)) % 4)])
+
+  const streams = [
+    ['#~',       pad(Buffer.concat([tables_header, row_counts, ...table_ids.flatMap(table_id => tables[table_id])]))],
+    ['#Strings', pad(strings.build())],
+    ['#Blob',    pad(blobs.build())],
+  ]
+
+  const version_string = Buffer.from('v4.0.30319\0\0')
+  const stream_headers = streams.map(([stream_name]) => Buffer.concat([Buffer.alloc(8), pad(Buffer.from(`${stream_name}\0`))]))
+  const root_size = 16 + version_string.length + 4 + stream_headers.reduce((sum, header) => sum + header.length, 0)
+
+  let stream_offset = root_size
+  streams.forEach(([, data], i) => {
+    stream_headers[i].writeUInt32LE(stream_offset, 0)
+    stream_headers[i].writeUInt32LE(data.length, 4)
+    stream_offset += data.length
+  })
+
+  const root = Buffer.alloc(16)
+  root.writeUInt32LE(0x424A5342, 0)
+  root.writeUInt32LE(version_string.length, 12)
+
+  const stream_count = Buffer.alloc(4)
+  stream_count.writeUInt16LE(streams.length, 2)
+
+  const metadata = Buffer.concat([root, version_string, stream_count, ...stream_headers, ...streams.map(([, data]) => data)])
+
+  const cli_header = Buffer.alloc(72)
+  cli_header.writeUInt32LE(72, 0)
+  cli_header.writeUInt32LE(0x2000 + 72, 8)
+  cli_header.writeUInt32LE(metadata.length, 12)
+  cli_header.writeUInt32LE(1, 16)
+
+  const section = Buffer.concat([cli_header, metadata])
+
+  const headers = Buffer.alloc(0x200)
+  headers.write('MZ', 0)
+  headers.writeUInt32LE(0x80, 0x3C)
+  headers.write('PE\0\0', 0x80, 'binary')
+  headers.writeUInt16LE(0x14C, 0x84)
+  headers.writeUInt16LE(1, 0x86)
+  headers.writeUInt16LE(224, 0x94)
+  headers.writeUInt16LE(0x10B, 0x98)
+  headers.writeUInt32LE(0x2000, 0x98 + 96 + (14 * 8))
+  headers.writeUInt32LE(72, 0x98 + 96 + (14 * 8) + 4)
+  headers.write('.text', 0x178)
+  headers.writeUInt32LE(section.length, 0x178 + 8)
+  headers.writeUInt32LE(0x2000, 0x178 + 12)
+  headers.writeUInt32LE(section.length, 0x178 + 16)
+  headers.writeUInt32LE(0x200, 0x178 + 20)
+
+  return Buffer.concat([headers, section])
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+
+const write_dlls = (dir_name, dlls) => {
+  const dlls_dir = path.join(work_dir, dir_name)
+  fs.mkdirSync(dlls_dir)
+
+  for (const [name, data] of Object.entries(dlls)) {
+    fs.writeFileSync(path.join(dlls_dir, `${name}.dll`), data)
+  }
+
+  return dlls_dir
+}
+
+// -----------------------------------------------------------------------------
+// fixtures:
+
+const app_dll      = build_dll({name: 'MyApp', version: '1.2.3.4', references: []})
+const runtime_dll  = build_dll({name: 'System.Runtime', version: '8.0.0.0', references: []})
+const arm64_dll    = build_dll({name: 'MyApp.Platform', version: '1.0.0.0', references: []})
+const x86_64_dll   = build_dll({name: 'MyApp.Platform', version: '1.0.0.1', references: []})
+const resource_dll = Buffer.from('not a PE file '.repeat(20))
+
+// name, version, ABIs and SHA-256 of each component
+const expect_components = [
+  `MyApp 1.2.3.4 any ${sha256(app_dll)}`,
+  `NotManaged none any ${sha256(resource_dll)}`,
+  `MyApp.Platform 1.0.0.0 arm64-v8a ${sha256(arm64_dll)}`,
+  `System.Runtime 8.0.0.0 arm64-v8a,x86_64 ${sha256(runtime_dll)}`,
+  `MyApp.Platform 1.0.0.1 x86_64 ${sha256(x86_64_dll)}`,
+].sort()
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const store_dir = path.join(work_dir, 'stores')
+  run_jsxamstore('create',
+    '--in', write_dlls('primary', {'MyApp': app_dll, 'NotManaged': resource_dll}),
+    '--arch-dir', `arm64=${write_dlls('arm64', {'MyApp.Platform': arm64_dll, 'System.Runtime': runtime_dll})}`,
+    '--arch-dir', `x86_64=${write_dlls('x86_64', {'MyApp.Platform': x86_64_dll, 'System.Runtime': runtime_dll})}`,
+    '--lz4', '-o', store_dir)
+
+  // CycloneDX
+  {
+    const {status, stdout} = run_jsxamstore('sbom', '-d', store_dir, '--app-name', 'com.example.app')
+    const bom = JSON.parse(stdout)
+
+    const header_ok = (status === 0) && (bom.bomFormat === 'CycloneDX') && (bom.specVersion === '1.5') && (bom.metadata.component.name === 'com.example.app')
+    console.log('cyclonedx:', header_ok ? 'OK' : `Fail (exit code ${status})`)
+
+    const components = bom.components.map(component => {
+      const abis = component.properties.filter(property => property.name === 'jsxamstore:abi').map(property => property.value)
+      const hash = component.hashes.find(hash => hash.alg === 'SHA-256').content
+      return `${component.name} ${component.version || 'none'} ${abis.join(',')} ${hash}`
+    }).sort()
+    console.log('cyclonedx components:', (JSON.stringify(components) === JSON.stringify(expect_components)) ? 'OK' : `Fail (${components.join('. ')})`)
+
+    const dependencies = bom.dependencies[0].dependsOn
+    const refs_ok = (dependencies.length === 5) && dependencies.every(ref => bom.components.some(component => component['bom-ref'] === ref))
+    console.log('cyclonedx dependencies:', refs_ok ? 'OK' : 'Fail')
+  }
+
+  // SPDX, written to a file
+  {
+    const out_file = path.join(work_dir, 'sbom.spdx.json')
+    const {status} = run_jsxamstore('sbom', '-d', store_dir, '--spdx', '-o', out_file)
+    const doc = JSON.parse(fs.readFileSync(out_file, 'utf8'))
+
+    const packages = doc.packages.filter(pkg => pkg.SPDXID !== 'SPDXRef-App')
+    const contains = doc.relationships.filter(relationship => relationship.relationshipType === 'CONTAINS')
+    const checksums_ok = packages.every(pkg => pkg.checksums.some(checksum => (checksum.algorithm === 'SHA256') && expect_components.some(component => component.endsWith(checksum.checksumValue))))
+
+    const spdx_ok = (status === 0) && (doc.spdxVersion === 'SPDX-2.3') && (doc.name === 'stores') && (packages.length === 5) && (contains.length === 5) && checksums_ok
+    console.log('spdx:', spdx_ok ? 'OK' : `Fail (exit code ${status})`)
+  }
+
+  // only the arm64 store
+  {
+    const {stdout} = run_jsxamstore('sbom', '-d', store_dir, '--arch', 'arm64')
+    const count = JSON.parse(stdout).components.length
+    console.log('sbom --arch arm64:', (count === 4) ? 'OK' : `Fail (${count} components)`)
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
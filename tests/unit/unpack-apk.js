@@ -0,0 +1,240 @@
+// -----------------------------------------------------------------------------
+// builds ZIP fixtures (.apk, .xapk, base + split .apk) from a small packed assembly store,
+// then confirms that "jsxamstore unpack --apk" extracts the same DLLs as "jsxamstore unpack --dir",
+// and that a corrupt deflated entry is reported as a parse error (exit code 3)
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const { execFileSync, spawnSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-unpack-apk-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return execFileSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+}
+
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF
+  for (const byte of buffer) {
+    crc ^= byte
+    for (let i = 0; i < 8; i++) {
+      crc = (crc & 1) ? ((crc >>> 1) ^ 0xEDB88320) : (crc >>> 1)
+    }
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// entries: [{name, data, deflate, deflated_data}]
+//   deflated_data: written instead of the deflated 'data' (ex: to corrupt it)
+const build_zip = (entries) => {
+  const local_parts   = []
+  const central_parts = []
+  let offset = 0
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8')
+    const data = entry.deflate ? (entry.deflated_data || zlib.deflateRawSync(entry.data)) : entry.data
+    const crc  = crc32(entry.data)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034B50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt16LE(entry.deflate ? 8 : 0, 8)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(data.length, 18)
+    local.writeUInt32LE(entry.data.length, 22)
+    local.writeUInt16LE(name.length, 26)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014B50, 0)
+    central.writeUInt16LE(20, 4)
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(entry.deflate ? 8 : 0, 10)
+    central.writeUInt32LE(crc, 16)
+    central.writeUInt32LE(data.length, 20)
+    central.writeUInt32LE(entry.data.length, 24)
+    central.writeUInt16LE(name.length, 28)
+    central.writeUInt32LE(offset, 42)
+
+    local_parts.push(local, name, data)
+    central_parts.push(central, name)
+    offset += local.length + name.length + data.length
+  }
+
+  const central_directory = Buffer.concat(central_parts)
+
+  const eocd = Buffer.alloc(22)
+  eocd.writeUInt32LE(0x06054B50, 0)
+  eocd.writeUInt16LE(entries.length, 8)
+  eocd.writeUInt16LE(entries.length, 10)
+  eocd.writeUInt32LE(central_directory.length, 12)
+  eocd.writeUInt32LE(offset, 16)
+
+  return Buffer.concat([...local_parts, central_directory, eocd])
+}
+
+const list_files = (dir_path) => {
+  return fs.readdirSync(dir_path, {recursive: true})
+    .filter(name => fs.statSync(path.join(dir_path, name)).isFile())
+    .filter(name => path.basename(name) !== 'assemblies.json')
+    .map(name => name.split(path.sep).join('/'))
+    .sort()
+}
+
+const compare_dirs = (expect_dir, actual_dir) => {
+  const expect_files = list_files(expect_dir)
+  const actual_files = list_files(actual_dir)
+
+  if (expect_files.join('|') !== actual_files.join('|')) {
+    return `file lists differ (expect: "${expect_files.join(', ')}". actual: "${actual_files.join(', ')}")`
+  }
+
+  for (const name of expect_files) {
+    const expect_data = fs.readFileSync(path.join(expect_dir, name))
+    const actual_data = fs.readFileSync(path.join(actual_dir, name))
+
+    if (!expect_data.equals(actual_data)) {
+      return `"${name}" differs`
+    }
+  }
+
+  return null
+}
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const build_store_files = () => {
+  const dlls_dir = path.join(work_dir, 'dlls')
+  fs.mkdirSync(dlls_dir)
+
+  const assemblies = []
+  const add_assembly = (name, store_idx, store_id, blob_idx, content) => {
+    const file = path.join(dlls_dir, `${store_idx}-${name}.dll`)
+    fs.writeFileSync(file, Buffer.from(content))
+
+    assemblies.push({store_idx, lz4: false, name, store_id, blob_idx, hash32: '', hash64: '', file})
+  }
+
+  add_assembly('App',             0, 0, 0, 'MZ app ' + 'a'.repeat(100))
+  add_assembly('Mono.Android',    0, 0, 1, 'MZ mono.android ' + 'b'.repeat(200))
+  add_assembly('System.Private',  1, 1, 0, 'MZ arm64 system.private ' + 'c'.repeat(50))
+  add_assembly('System.Private',  2, 1, 0, 'MZ x86_64 system.private ' + 'd'.repeat(60))
+
+  const json_data = {
+    stores: [
+      {'assemblies.blob':          {store_idx: 0, header: {version: 1, lec: 2, gec: 3, store_id: 0}}},
+      {'assemblies.arm64_v8a.blob': {store_idx: 1, header: {version: 1, lec: 1, gec: 0, store_id: 1}}},
+      {'assemblies.x86_64.blob':    {store_idx: 2, header: {version: 1, lec: 1, gec: 0, store_id: 1}}},
+    ],
+    assemblies
+  }
+
+  const json_file = path.join(work_dir, 'assemblies.json')
+  fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4))
+
+  const packed_dir = path.join(work_dir, 'packed')
+  run_jsxamstore('pack', '-c', json_file, '-o', packed_dir)
+
+  // strip the ".new" extension, to mirror the layout of an unpacked APK
+  const assemblies_dir = path.join(work_dir, 'assemblies')
+  fs.mkdirSync(assemblies_dir)
+  for (const name of fs.readdirSync(packed_dir)) {
+    fs.copyFileSync(path.join(packed_dir, name), path.join(assemblies_dir, name.replace(/\.new$/, '')))
+  }
+
+  return assemblies_dir
+}
+
+const read_assembly_entries = (assemblies_dir, names, deflate) => {
+  return names.map(name => ({
+    name: `assemblies/${name}`,
+    data: fs.readFileSync(path.join(assemblies_dir, name)),
+    deflate
+  }))
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const assemblies_dir = build_store_files()
+
+  const expect_dir = path.join(work_dir, 'expect')
+  run_jsxamstore('unpack', '-d', assemblies_dir, '-o', expect_dir)
+
+  const dex_entry = {name: 'classes.dex', data: Buffer.from('dex\n035\0'), deflate: true}
+
+  // single APK: manifest + blobs, both deflated and stored
+  const apk_file = path.join(work_dir, 'app.apk')
+  fs.writeFileSync(apk_file, build_zip([
+    dex_entry,
+    ...read_assembly_entries(assemblies_dir, ['assemblies.manifest', 'assemblies.arm64_v8a.blob'], true),
+    ...read_assembly_entries(assemblies_dir, ['assemblies.blob', 'assemblies.x86_64.blob'], false),
+  ]))
+
+  // base APK + split APKs
+  const base_apk = build_zip([
+    dex_entry,
+    ...read_assembly_entries(assemblies_dir, ['assemblies.manifest', 'assemblies.blob'], false),
+  ])
+  const split_arm64_apk  = build_zip(read_assembly_entries(assemblies_dir, ['assemblies.arm64_v8a.blob'], false))
+  const split_x86_64_apk = build_zip(read_assembly_entries(assemblies_dir, ['assemblies.x86_64.blob'], true))
+
+  const base_apk_file = path.join(work_dir, 'base.apk')
+  const split_arm64_apk_file  = path.join(work_dir, 'split_config.arm64_v8a.apk')
+  const split_x86_64_apk_file = path.join(work_dir, 'split_config.x86_64.apk')
+  fs.writeFileSync(base_apk_file, base_apk)
+  fs.writeFileSync(split_arm64_apk_file, split_arm64_apk)
+  fs.writeFileSync(split_x86_64_apk_file, split_x86_64_apk)
+
+  // XAPK: the same splits, bundled into one ZIP
+  const xapk_file = path.join(work_dir, 'app.xapk')
+  fs.writeFileSync(xapk_file, build_zip([
+    {name: 'manifest.json', data: Buffer.from('{}'), deflate: true},
+    {name: 'com.example.app.apk', data: base_apk, deflate: false},
+    {name: 'config.arm64_v8a.apk', data: split_arm64_apk, deflate: false},
+    {name: 'config.x86_64.apk', data: split_x86_64_apk, deflate: true},
+  ]))
+
+  const test_cases = [
+    {label: 'apk:',          args: ['--apk', apk_file]},
+    {label: 'split apks:',   args: ['--apk', base_apk_file, '--apk', split_arm64_apk_file, '--apk', split_x86_64_apk_file]},
+    {label: 'xapk:',         args: ['--apk', xapk_file]},
+  ]
+
+  for (const test_case of test_cases) {
+    const actual_dir = path.join(work_dir, `actual-${test_cases.indexOf(test_case)}`)
+    run_jsxamstore('unpack', ...test_case.args, '-o', actual_dir)
+
+    const error = compare_dirs(expect_dir, actual_dir)
+    console.log(test_case.label, error ? `Fail (${error})` : 'OK')
+  }
+
+  // corrupt APK: a deflated blob that starts with a block of the reserved type
+  {
+    const corrupt_apk_file = path.join(work_dir, 'corrupt.apk')
+    fs.writeFileSync(corrupt_apk_file, build_zip([
+      ...read_assembly_entries(assemblies_dir, ['assemblies.manifest'], false),
+      ...read_assembly_entries(assemblies_dir, ['assemblies.blob'], true).map(entry => ({...entry, deflated_data: Buffer.from([0xFF, 0xFF, 0xFF, 0xFF])})),
+    ]))
+
+    const {status, stdout} = spawnSync(process.execPath, [jsxamstore, 'unpack', '--apk', corrupt_apk_file, '-o', path.join(work_dir, 'actual-corrupt')], {encoding: 'utf8'})
+
+    const ok = (status === 3) && stdout.includes('Unable to parse assembly store: assemblies/assemblies.blob: zip at offset ')
+    console.log('corrupt apk:', ok ? 'OK' : `Fail (exit code ${status}: ${stdout.trim()})`)
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
@@ -0,0 +1,136 @@
+// -----------------------------------------------------------------------------
+// wraps format version 2 stores in minimal ELF shared objects, built by hand (32-bit and 64-bit),
+// then confirms that "jsxamstore unpack" locates the "payload" section and extracts the same DLLs:
+//  - "lib/<abi>/libassemblies.<abi>.blob.so", below the input directory
+//  - a single ".so" file
+//  - an ELF file without a "payload" section is rejected (exit code 3)
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore_path = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const jsxamstore      = require(jsxamstore_path)
+const work_dir        = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-unpack-elf-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore_path, ...args], {encoding: 'utf8'})
+}
+
+// ELF header, then the payload (aligned to 16 bytes), then ".shstrtab", then the section headers:
+// [SHT_NULL, ".shstrtab", <section_name>]
+const build_elf = (is_64bit, payload, section_name = 'payload') => {
+  const ehdr_size = is_64bit ? 64 : 52
+  const shdr_size = is_64bit ? 64 : 40
+
+  const shstrtab = Buffer.from(`\0.shstrtab\0${section_name}\0`)
+  const payload_offset  = 0x40
+  const shstrtab_offset = payload_offset + payload.length
+  const shoff = Math.ceil((shstrtab_offset + shstrtab.length) / 8) * 8
+
+  const elf = Buffer.alloc(shoff + (3 * shdr_size))
+  elf.write('\x7FELF', 0, 'binary')
+  elf[4] = is_64bit ? 2 : 1
+  elf[5] = 1
+  elf[6] = 1
+  elf.writeUInt16LE(3, 16)                                   // ET_DYN
+
+  if (is_64bit) {
+    elf.writeBigUInt64LE(BigInt(shoff), 0x28)
+    elf.writeUInt16LE(ehdr_size, 0x34)
+    elf.writeUInt16LE(shdr_size, 0x3A)
+    elf.writeUInt16LE(3, 0x3C)
+    elf.writeUInt16LE(1, 0x3E)
+  } else {
+    elf.writeUInt32LE(shoff, 0x20)
+    elf.writeUInt16LE(ehdr_size, 0x28)
+    elf.writeUInt16LE(shdr_size, 0x2E)
+    elf.writeUInt16LE(3, 0x30)
+    elf.writeUInt16LE(1, 0x32)
+  }
+
+  payload.copy(elf, payload_offset)
+  shstrtab.copy(elf, shstrtab_offset)
+
+  const write_section_header = (index, sh_name, sh_type, sh_offset, sh_size) => {
+    const offset = shoff + (index * shdr_size)
+    elf.writeUInt32LE(sh_name, offset)
+    elf.writeUInt32LE(sh_type, offset + 4)
+
+    if (is_64bit) {
+      elf.writeBigUInt64LE(BigInt(sh_offset), offset + 0x18)
+      elf.writeBigUInt64LE(BigInt(sh_size), offset + 0x20)
+    } else {
+      elf.writeUInt32LE(sh_offset, offset + 0x10)
+      elf.writeUInt32LE(sh_size, offset + 0x14)
+    }
+  }
+
+  write_section_header(1, 1, 3, shstrtab_offset, shstrtab.length)   // SHT_STRTAB
+  write_section_header(2, 11, 1, payload_offset, payload.length)    // SHT_PROGBITS
+
+  return elf
+}
+
+const compare_dlls = (unpacked_dir, assemblies) => {
+  return assemblies
+    .filter(assembly => {
+      const dll_file = path.join(unpacked_dir, `${assembly.name}.dll`)
+      return !fs.existsSync(dll_file) || !fs.readFileSync(dll_file).equals(assembly.data)
+    })
+    .map(assembly => `"${assembly.name}.dll" differs`)
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = async () => {
+  const assemblies = [
+    {name: 'App',          data: Buffer.from('MZ app ' + 'a'.repeat(300)), lz4: true},
+    {name: 'Mono.Android', data: Buffer.from('MZ mono.android'),           lz4: false},
+  ]
+
+  const arm64_store = (await jsxamstore.build_store(assemblies, {version: 2, abi: 'arm64'})).store
+  const arm_store   = (await jsxamstore.build_store(assemblies, {version: 2, abi: 'arm'})).store
+
+  {
+    const in_dir = path.join(work_dir, 'apk')
+    fs.mkdirSync(path.join(in_dir, 'lib', 'arm64-v8a'), {recursive: true})
+    fs.writeFileSync(path.join(in_dir, 'lib', 'arm64-v8a', 'libassemblies.arm64-v8a.blob.so'), build_elf(true, arm64_store))
+
+    const out_dir = path.join(work_dir, 'out-dir')
+    const {status} = run_jsxamstore('unpack', '-d', in_dir, '-a', 'arm64', '-o', out_dir)
+    const errors = (status === 0) ? compare_dlls(path.join(out_dir, 'arm64'), assemblies) : [`exit code ${status}`]
+
+    console.log('lib/arm64-v8a/ (64-bit ELF):', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+
+  {
+    const so_file = path.join(work_dir, 'libassemblies.armeabi-v7a.blob.so')
+    fs.writeFileSync(so_file, build_elf(false, arm_store))
+
+    const out_dir = path.join(work_dir, 'out-file')
+    const {status} = run_jsxamstore('unpack', '-d', so_file, '-o', out_dir)
+    const errors = (status === 0) ? compare_dlls(path.join(out_dir, 'arm'), assemblies) : [`exit code ${status}`]
+
+    console.log('single .so file (32-bit ELF):', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+
+  {
+    const so_file = path.join(work_dir, 'libassemblies.arm64-v8a.blob.so')
+    fs.writeFileSync(so_file, build_elf(true, arm64_store, 'rodata'))
+
+    const {status, stdout} = run_jsxamstore('unpack', '-d', so_file, '-o', path.join(work_dir, 'out-no-payload'))
+    const ok = (status === 3) && stdout.includes("ELF file has no 'payload' section!")
+
+    console.log('no payload section:', ok ? 'OK' : `Fail (exit code ${status}: ${stdout.trim()})`)
+  }
+}
+
+run_tests()
+  .catch(e => console.log(e.message))
+  .finally(() => fs.rmSync(work_dir, {recursive: true, force: true}))
@@ -0,0 +1,138 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore unpack --include/--exclude" only extracts the assemblies with matching names,
+// and that "jsxamstore pack" reads the assemblies that were not extracted from the original stores:
+//  - format version 1 stores (primary + architecture-specific), with glob patterns
+//  - a format version 2 store, with a regex pattern
+//  - a store that was moved after unpack
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore_path = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const jsxamstore      = require(jsxamstore_path)
+const work_dir        = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-unpack-filter-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore_path, ...args], {encoding: 'utf8'}).status
+}
+
+const list_dlls = (dir_path) => {
+  return fs.readdirSync(dir_path, {recursive: true})
+    .filter(name => name.endsWith('.dll'))
+    .map(name => path.basename(name))
+    .sort()
+}
+
+const compare_packed = (store_dir, packed_dir) => {
+  return fs.readdirSync(store_dir)
+    .filter(file_name => file_name !== 'assemblies.json')
+    .filter(file_name => {
+      const packed_file = path.join(packed_dir, `${file_name}.new`)
+      return !fs.existsSync(packed_file) || !fs.readFileSync(packed_file).equals(fs.readFileSync(path.join(store_dir, file_name)))
+    })
+    .map(file_name => `packed "${file_name}" differs`)
+}
+
+// -----------------------------------------------------------------------------
+// fixtures:
+
+const write_dlls = (dir_name, names) => {
+  const dir_path = path.join(work_dir, dir_name)
+  fs.mkdirSync(dir_path)
+
+  for (const name of names) {
+    fs.writeFileSync(path.join(dir_path, `${name}.dll`), Buffer.from(`MZ ${dir_name} ${name} ` + name.repeat(20)))
+  }
+
+  return dir_path
+}
+
+const create_v1_stores = () => {
+  const dlls_dir       = write_dlls('dlls',       ['MyApp', 'MyApp.Core', 'Mono.Android', 'Xamarin.AndroidX.Core'])
+  const dlls_arm64_dir = write_dlls('dlls-arm64', ['System.Private.CoreLib', 'System.Runtime'])
+
+  const store_dir = path.join(work_dir, 'v1')
+  run_jsxamstore('create', '--in', dlls_dir, '--arch-dir', `arm64=${dlls_arm64_dir}`, '--lz4', '-o', store_dir)
+
+  return store_dir
+}
+
+const create_v2_store = async () => {
+  const assemblies = ['MyApp', 'MyApp.Core', 'Mono.Android', 'System.Runtime'].map((name, i) => ({
+    name,
+    data: Buffer.from(`MZ ${name} ` + name.repeat(20)),
+    lz4: (i % 2) === 0,
+    debug_data: (name === 'Mono.Android') ? Buffer.from('pdb') : undefined,
+  }))
+
+  const {file_name, store} = await jsxamstore.build_store(assemblies, {version: 2, abi: 'arm64', elf: true})
+
+  const store_dir = path.join(work_dir, 'v2')
+  fs.mkdirSync(store_dir)
+  fs.writeFileSync(path.join(store_dir, file_name), store)
+
+  return path.join(store_dir, file_name)
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = async () => {
+  const v1_store_dir  = create_v1_stores()
+  const v2_store_file = await create_v2_store()
+
+  const test_cases = [
+    {
+      label:       'format version 1:',
+      store_dir:   v1_store_dir,
+      args:        ['-d', v1_store_dir, '--include', 'MyApp*', '--include', 'System.Runtime.dll', '--exclude', '*.Core'],
+      expect_dlls: ['MyApp.dll', 'System.Runtime.dll'],
+    },
+    {
+      label:       'format version 2:',
+      store_dir:   path.dirname(v2_store_file),
+      args:        ['-d', v2_store_file, '--exclude', '/^(mono|system)\\./i'],
+      expect_dlls: ['MyApp.Core.dll', 'MyApp.dll'],
+    },
+  ]
+
+  for (const test_case of test_cases) {
+    const test_idx     = test_cases.indexOf(test_case)
+    const unpacked_dir = path.join(work_dir, `unpacked-${test_idx}`)
+    const packed_dir   = path.join(work_dir, `packed-${test_idx}`)
+    const errors       = []
+
+    if (run_jsxamstore('unpack', ...test_case.args, '-o', unpacked_dir) !== 0)
+      errors.push('unpack failed')
+
+    const dlls = list_dlls(unpacked_dir)
+    if (dlls.join('|') !== test_case.expect_dlls.join('|'))
+      errors.push(`extracted "${dlls.join(', ')}"`)
+
+    if (run_jsxamstore('pack', '-c', path.join(unpacked_dir, 'assemblies.json'), '-o', packed_dir) !== 0)
+      errors.push('pack failed')
+
+    errors.push(...compare_packed(test_case.store_dir, packed_dir))
+
+    console.log(test_case.label, errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+
+  // the original stores are needed by pack
+  fs.renameSync(v1_store_dir, `${v1_store_dir}-moved`)
+
+  const exit_code = run_jsxamstore('pack', '-c', path.join(work_dir, 'unpacked-0', 'assemblies.json'), '-o', path.join(work_dir, 'packed-moved'))
+  console.log('missing original store:', (exit_code === 27) ? 'OK' : `Fail (exit code ${exit_code})`)
+}
+
+run_tests()
+  .catch(error => {
+    console.log(error.message)
+  })
+  .finally(() => {
+    fs.rmSync(work_dir, {recursive: true, force: true})
+  })
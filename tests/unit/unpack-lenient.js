@@ -0,0 +1,199 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore unpack --lenient" recovers the names of assemblies that are missing from "assemblies.manifest":
+//  - a well-known name, matched by hash
+//  - the name in the CLI metadata of the DLL
+//  - otherwise: "unknown_<store_id>_<blob_idx>_<hash32>"
+// and that "jsxamstore pack" reproduces the original stores, with the original hashes in both the hash tables and the manifest.
+// "jsxamstore verify" only accepts the original hashes of the names that the manifest marks as recovered.
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-unpack-lenient-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'}).status
+}
+
+// a minimal PE32 file, with CLI metadata that holds nothing but an Assembly table
+const build_dll = (assembly_name) => {
+  const strings = Buffer.from(`\0${assembly_name}\0`)
+
+  const tables = Buffer.alloc(24 + 4 + 22)
+  tables.writeUInt8(2, 4)                        // major version
+  tables.writeBigUInt64LE(1n << 0x20n, 8)        // valid: Assembly table
+  tables.writeUInt32LE(1, 24)                    // row count
+  tables.writeUInt16LE(1, 28 + 4)                // MajorVersion
+  tables.writeUInt16LE(1, 28 + 18)               // Name
+
+  const version = Buffer.from('v4.0.30319\0\0')
+  const stream_headers = Buffer.concat([
+    Buffer.from([0, 0, 0, 0, 0, 0, 0, 0]), Buffer.from('#~\0\0'),
+    Buffer.from([0, 0, 0, 0, 0, 0, 0, 0]), Buffer.from('#Strings\0\0\0\0'),
+  ])
+
+  const root_size = 16 + version.length + 4 + stream_headers.length
+  stream_headers.writeUInt32LE(root_size, 0)
+  stream_headers.writeUInt32LE(tables.length, 4)
+  stream_headers.writeUInt32LE(root_size + tables.length, 12)
+  stream_headers.writeUInt32LE(strings.length, 16)
+
+  const root = Buffer.alloc(16)
+  root.writeUInt32LE(0x424A5342, 0)
+  root.writeUInt32LE(version.length, 12)
+
+  const stream_count = Buffer.alloc(4)
+  stream_count.writeUInt16LE(2, 2)
+
+  const metadata = Buffer.concat([root, version, stream_count, stream_headers, tables, strings])
+
+  const cli_header = Buffer.alloc(72)
+  cli_header.writeUInt32LE(72, 0)
+  cli_header.writeUInt32LE(0x2000 + 72, 8)       // metadata RVA
+  cli_header.writeUInt32LE(metadata.length, 12)
+  cli_header.writeUInt32LE(1, 16)                // IL only
+
+  const section = Buffer.concat([cli_header, metadata])
+
+  const headers = Buffer.alloc(0x200)
+  headers.write('MZ', 0)
+  headers.writeUInt32LE(0x80, 0x3C)
+  headers.write('PE\0\0', 0x80, 'binary')
+  headers.writeUInt16LE(0x14C, 0x84)             // machine: i386
+  headers.writeUInt16LE(1, 0x86)                 // section count
+  headers.writeUInt16LE(224, 0x94)               // optional header size
+  headers.writeUInt16LE(0x10B, 0x98)             // PE32
+  headers.writeUInt32LE(0x2000, 0x98 + 96 + (14 * 8))
+  headers.writeUInt32LE(72, 0x98 + 96 + (14 * 8) + 4)
+  headers.write('.text', 0x178)
+  headers.writeUInt32LE(section.length, 0x178 + 8)
+  headers.writeUInt32LE(0x2000, 0x178 + 12)
+  headers.writeUInt32LE(section.length, 0x178 + 16)
+  headers.writeUInt32LE(0x200, 0x178 + 20)
+
+  return Buffer.concat([headers, section])
+}
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const create_stores = () => {
+  const dlls_dir       = path.join(work_dir, 'dlls')
+  const dlls_arm64_dir = path.join(work_dir, 'dlls-arm64')
+  fs.mkdirSync(dlls_dir)
+  fs.mkdirSync(dlls_arm64_dir)
+
+  fs.writeFileSync(path.join(dlls_dir, 'MyApp.dll'), build_dll('MyApp'))
+  fs.writeFileSync(path.join(dlls_dir, 'MyApp.Renamed.dll'), build_dll('MyApp.Original'))
+  fs.writeFileSync(path.join(dlls_dir, 'Unnamed.dll'), Buffer.from('MZ ' + 'not a .NET assembly '.repeat(20)))
+  fs.writeFileSync(path.join(dlls_dir, 'Xamarin.AndroidX.Core.dll'), Buffer.from('MZ ' + 'androidx '.repeat(20)))
+  fs.writeFileSync(path.join(dlls_arm64_dir, 'System.Private.CoreLib.dll'), Buffer.from('MZ ' + 'corelib '.repeat(20)))
+
+  const store_dir = path.join(work_dir, 'stores')
+  run_jsxamstore('create', '--in', dlls_dir, '--arch-dir', `arm64=${dlls_arm64_dir}`, '--lz4', '-o', store_dir)
+  fs.rmSync(path.join(store_dir, 'assemblies.json'))
+
+  return store_dir
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const store_dir     = create_stores()
+  const manifest_file = path.join(store_dir, 'assemblies.manifest')
+  const manifest      = fs.readFileSync(manifest_file, 'utf8')
+
+  const expect_names = {
+    'MyApp':                  'metadata',
+    'MyApp.Original':         'metadata',
+    'System.Private.CoreLib': 'dictionary',
+    'Xamarin.AndroidX.Core':  'dictionary',
+  }
+
+  const test_cases = [
+    {
+      label:        'incomplete manifest:',
+      manifest:     manifest.split('\n').filter(line => !/MyApp|Unnamed|System/.test(line)).join('\n'),
+      expect_names: {...expect_names, 'Xamarin.AndroidX.Core': 'manifest'},
+    },
+    {
+      label:        'missing manifest:',
+      manifest:     null,
+      expect_names,
+    },
+  ]
+
+  for (const test_case of test_cases) {
+    const test_idx     = test_cases.indexOf(test_case)
+    const unpacked_dir = path.join(work_dir, `unpacked-${test_idx}`)
+    const packed_dir   = path.join(work_dir, `packed-${test_idx}`)
+    const errors       = []
+
+    if (test_case.manifest === null)
+      fs.rmSync(manifest_file, {force: true})
+    else
+      fs.writeFileSync(manifest_file, test_case.manifest)
+
+    if (run_jsxamstore('unpack', '-d', store_dir, '-o', path.join(work_dir, `strict-${test_idx}`)) === 0)
+      errors.push('strict unpack did not fail')
+
+    if (run_jsxamstore('unpack', '-d', store_dir, '-o', unpacked_dir, '--lenient') !== 0)
+      errors.push('lenient unpack failed')
+
+    const json_data = JSON.parse(fs.readFileSync(path.join(unpacked_dir, 'assemblies.json'), 'utf8'))
+    const names     = Object.fromEntries(json_data.assemblies.map(assembly => [assembly.name, assembly.name_source || 'manifest']))
+
+    for (const [name, name_source] of Object.entries(test_case.expect_names)) {
+      if (names[name] !== name_source)
+        errors.push(`"${name}" was not recovered from the ${name_source}`)
+    }
+
+    if (!Object.entries(names).some(([name, name_source]) => /^unknown_0_\d+_[0-9a-f]{8}$/.test(name) && (name_source === 'unknown')))
+      errors.push('no unknown assembly')
+
+    run_jsxamstore('pack', '-c', path.join(unpacked_dir, 'assemblies.json'), '-o', packed_dir)
+
+    // strip the ".new" extension, so the output can be verified
+    const verify_dir = path.join(work_dir, `verify-${test_idx}`)
+    fs.mkdirSync(verify_dir)
+    for (const file_name of fs.readdirSync(packed_dir)) {
+      fs.copyFileSync(path.join(packed_dir, file_name), path.join(verify_dir, file_name.replace(/\.new$/, '')))
+    }
+
+    const verify = spawnSync(process.execPath, [jsxamstore, 'verify', '-d', verify_dir], {encoding: 'utf8'})
+    if (verify.status !== 0)
+      errors.push('verify of the packed stores failed')
+    if (!verify.stdout.includes('[WARN] hash32 values of recovered names'))
+      errors.push('the original hashes of recovered names are not reported as warnings')
+
+    // without their marker, the original hashes of the recovered names must match the names
+    const verify_manifest = path.join(verify_dir, 'assemblies.manifest')
+    fs.writeFileSync(verify_manifest, fs.readFileSync(verify_manifest, 'utf8').replace(/ +recovered:\w+/g, ''))
+
+    if (run_jsxamstore('verify', '-d', verify_dir) === 0)
+      errors.push('verify accepted the original hashes of unmarked names')
+
+    for (const file_name of ['assemblies.blob', 'assemblies.arm64_v8a.blob']) {
+      const packed_file = path.join(packed_dir, `${file_name}.new`)
+
+      if (!fs.existsSync(packed_file) || !fs.readFileSync(packed_file).equals(fs.readFileSync(path.join(store_dir, file_name))))
+        errors.push(`packed "${file_name}" differs`)
+    }
+
+    console.log(test_case.label, errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
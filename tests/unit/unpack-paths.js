@@ -0,0 +1,104 @@
+// -----------------------------------------------------------------------------
+// confirms that "jsxamstore unpack" confines extracted files to the output directory when manifest names are malicious (ex: "../../evil"),
+// keeps names that only start with two dots (ex: "..Foo"), keeps satellite assemblies in their culture subdirectory, renames assemblies whose names collide on a case-insensitive file system,
+// and that "jsxamstore pack" rebuilds the same store from the original names in assemblies.json
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-unpack-paths-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+}
+
+const list_files = (dir_path) => {
+  return fs.readdirSync(dir_path, {recursive: true})
+    .filter(name => fs.statSync(path.join(dir_path, name)).isFile())
+    .map(name => name.split(path.sep).join('/'))
+    .sort()
+}
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const names = ['App', 'app', '../../evil', 'fr/App.resources', 'con', '..Foo']
+
+const expect_files = ['..Foo.dll', 'App.dll', '_con.dll', 'app~2.dll', 'evil.dll', 'fr/App.resources.dll']
+
+const build_store_dir = () => {
+  const dlls_dir = path.join(work_dir, 'dlls')
+  fs.mkdirSync(dlls_dir)
+
+  const assemblies = names.map((name, blob_idx) => {
+    const file = path.join(dlls_dir, `${blob_idx}.dll`)
+    fs.writeFileSync(file, Buffer.from(`MZ ${name} `.repeat(20)))
+
+    return {store_idx: 0, lz4: false, name, store_id: 0, blob_idx, hash32: '', hash64: '', file}
+  })
+
+  const json_data = {
+    stores: [
+      {'assemblies.blob': {store_idx: 0, header: {version: 1, lec: names.length, gec: names.length, store_id: 0}}},
+    ],
+    assemblies
+  }
+
+  const json_file = path.join(work_dir, 'assemblies.json')
+  fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4))
+
+  const packed_dir = path.join(work_dir, 'packed')
+  run_jsxamstore('pack', '-c', json_file, '-o', packed_dir)
+
+  // strip the ".new" extension, to mirror the layout of an unpacked APK
+  const store_dir = path.join(work_dir, 'nested', 'assemblies')
+  fs.mkdirSync(store_dir, {recursive: true})
+  for (const name of fs.readdirSync(packed_dir)) {
+    fs.copyFileSync(path.join(packed_dir, name), path.join(store_dir, name.replace(/\.new$/, '')))
+  }
+
+  return store_dir
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const store_dir = build_store_dir()
+  const out_dir   = path.join(work_dir, 'nested', 'out')
+
+  const {stdout} = run_jsxamstore('unpack', '-d', store_dir, '-o', out_dir)
+
+  const escaped = fs.existsSync(path.join(work_dir, 'evil.dll')) || fs.existsSync(path.join(work_dir, 'nested', 'evil.dll'))
+  console.log('path traversal:', escaped ? 'Fail (extracted outside of the output directory)' : 'OK')
+
+  const actual_files = list_files(path.join(out_dir, 'primary'))
+  console.log('file names:', (JSON.stringify(actual_files) === JSON.stringify(expect_files)) ? 'OK' : `Fail (${actual_files.join(', ')})`)
+
+  console.log('collision warning:', stdout.includes(`Warning: 'app' collides with 'App' on a case-insensitive file system.`) ? 'OK' : 'Fail')
+
+  const json_file = path.join(out_dir, 'assemblies.json')
+  const json_names = JSON.parse(fs.readFileSync(json_file, 'utf8')).assemblies.map(assembly => assembly.name)
+  console.log('original names:', (JSON.stringify(json_names) === JSON.stringify(names)) ? 'OK' : `Fail (${json_names.join(', ')})`)
+
+  const repacked_dir = path.join(work_dir, 'repacked')
+  run_jsxamstore('pack', '-c', json_file, '-o', repacked_dir)
+
+  const same = ['assemblies.blob', 'assemblies.manifest'].every(name => {
+    return fs.readFileSync(path.join(store_dir, name)).equals(fs.readFileSync(path.join(repacked_dir, `${name}.new`)))
+  })
+  console.log('repack:', same ? 'OK' : 'Fail (stores differ)')
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}
@@ -0,0 +1,191 @@
+// -----------------------------------------------------------------------------
+// builds format version 2 and 3 stores by hand (header, index, descriptors, names, data),
+// then confirms that "jsxamstore unpack" extracts the same DLLs, and writes an "assemblies.json" in the same shape as for format version 1:
+//  - 32-bit (4-byte hashes) and 64-bit (8-byte hashes) ABIs
+//  - format version 3 index entries, which hold an extra "ignore" byte
+//  - a directory of stores, or a single store file
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore_path = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const jsxamstore      = require(jsxamstore_path)
+const work_dir        = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-unpack-v2-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  return spawnSync(process.execPath, [jsxamstore_path, ...args], {encoding: 'utf8'}).status
+}
+
+// an LZ4 block that holds a single literal run
+const lz4_literal_block = (data) => {
+  const length_bytes = []
+
+  if (data.length >= 15) {
+    let remaining = data.length - 15
+    while (remaining >= 255) {
+      length_bytes.push(255)
+      remaining -= 255
+    }
+    length_bytes.push(remaining)
+  }
+
+  const token = Math.min(data.length, 15) << 4
+  return Buffer.concat([Buffer.from([token, ...length_bytes]), data])
+}
+
+// "XALZ" header: magic, descriptor index, uncompressed size
+const xalz = (desc_idx, data) => {
+  const header = Buffer.alloc(12)
+  header.write('XALZ', 0)
+  header.writeUInt32LE(desc_idx, 4)
+  header.writeUInt32LE(data.length, 8)
+  return Buffer.concat([header, lz4_literal_block(data)])
+}
+
+const ABI_FLAGS = {arm64: 0x00010000, arm: 0x00020000, x86_64: 0x00030000, x86: 0x00040000}
+
+// assemblies: [{name, data, lz4}]
+const build_v2_store = async (abi, format_version, assemblies) => {
+  const is_64bit         = (abi === 'arm64') || (abi === 'x86_64')
+  const hash_size        = is_64bit ? 8 : 4
+  const index_entry_size = hash_size + 4 + ((format_version >= 3) ? 1 : 0)
+
+  // each assembly is indexed both with and without its ".dll" extension
+  const index_entries = []
+  for (const [i, assembly] of assemblies.entries()) {
+    for (const name of [`${assembly.name}.dll`, assembly.name]) {
+      index_entries.push({hash: await jsxamstore.gen_xxhash_v2(name, is_64bit), descriptor_index: i})
+    }
+  }
+  index_entries.sort((a, b) => (a.hash < b.hash) ? -1 : ((a.hash > b.hash) ? 1 : 0))
+
+  const index = Buffer.alloc(index_entries.length * index_entry_size)
+  index_entries.forEach((index_entry, i) => {
+    if (is_64bit)
+      index.writeBigUInt64LE(index_entry.hash, i * index_entry_size)
+    else
+      index.writeUInt32LE(Number(index_entry.hash), i * index_entry_size)
+
+    index.writeUInt32LE(index_entry.descriptor_index, (i * index_entry_size) + hash_size)
+  })
+
+  const names = Buffer.concat(assemblies.map(assembly => {
+    const name = Buffer.from(`${assembly.name}.dll`)
+    const length = Buffer.alloc(4)
+    length.writeUInt32LE(name.length)
+    return Buffer.concat([length, name])
+  }))
+
+  const stored_data = assemblies.map((assembly, i) => assembly.lz4 ? xalz(i, assembly.data) : assembly.data)
+
+  const descriptors = Buffer.alloc(assemblies.length * 28)
+  let data_offset = 20 + index.length + descriptors.length + names.length
+  stored_data.forEach((data, i) => {
+    descriptors.writeUInt32LE(i, i * 28)
+    descriptors.writeUInt32LE(data_offset, (i * 28) + 4)
+    descriptors.writeUInt32LE(data.length, (i * 28) + 8)
+    data_offset += data.length
+  })
+
+  const version = (format_version | ABI_FLAGS[abi] | (is_64bit ? 0x80000000 : 0)) >>> 0
+
+  const header = Buffer.alloc(20)
+  header.write('XABA', 0)
+  header.writeUInt32LE(version, 4)
+  header.writeUInt32LE(assemblies.length, 8)
+  header.writeUInt32LE(index_entries.length, 12)
+  header.writeUInt32LE(index.length, 16)
+
+  return {version, store: Buffer.concat([header, index, descriptors, names, ...stored_data])}
+}
+
+// returns: an array of errors
+const check_unpacked = (unpacked_dir, dir_name, file_name, version, assemblies) => {
+  const errors = []
+  const json_file = path.join(unpacked_dir, 'assemblies.json')
+
+  if (!fs.existsSync(json_file))
+    return ['no assemblies.json']
+
+  const json_data = JSON.parse(fs.readFileSync(json_file, 'utf8'))
+  const store_data = json_data.stores[0][file_name]
+
+  if (!store_data || (store_data.store_idx !== 0) || (store_data.header.version !== version) || (store_data.header.lec !== assemblies.length))
+    errors.push(`unexpected store: ${JSON.stringify(json_data.stores)}`)
+
+  assemblies.forEach((assembly, i) => {
+    const json_assembly = json_data.assemblies[i] || {}
+
+    for (const key of ['store_idx', 'lz4', 'name', 'store_id', 'blob_idx', 'hash32', 'hash64', 'file']) {
+      if (!(key in json_assembly))
+        errors.push(`"${assembly.name}" has no "${key}"`)
+    }
+
+    if ((json_assembly.name !== assembly.name) || (json_assembly.blob_idx !== i) || (json_assembly.lz4 !== assembly.lz4))
+      errors.push(`unexpected assembly: ${JSON.stringify(json_assembly)}`)
+
+    if (assembly.lz4 && (json_assembly.lz4_desc_idx !== i))
+      errors.push(`"${assembly.name}" has lz4_desc_idx ${json_assembly.lz4_desc_idx}`)
+
+    const dll_file = path.join(unpacked_dir, dir_name, `${assembly.name}.dll`)
+    if (!fs.existsSync(dll_file) || !fs.readFileSync(dll_file).equals(assembly.data))
+      errors.push(`"${assembly.name}.dll" differs`)
+  })
+
+  return errors
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = async () => {
+  const assemblies = [
+    {name: 'App',            data: Buffer.from('MZ app ' + 'a'.repeat(300)),        lz4: true},
+    {name: 'Mono.Android',   data: Buffer.from('MZ mono.android'),                  lz4: false},
+    {name: 'System.Private', data: Buffer.from('MZ system.private ' + 'c'.repeat(20)), lz4: true},
+  ]
+
+  const test_cases = [
+    {label: 'format version 2 (arm):',   abi: 'arm',   format_version: 2, file_name: 'assemblies.armeabi_v7a.blob'},
+    {label: 'format version 3 (arm64):', abi: 'arm64', format_version: 3, file_name: 'assemblies.arm64_v8a.blob'},
+  ]
+
+  const store_dir = path.join(work_dir, 'stores')
+  fs.mkdirSync(store_dir)
+
+  for (const test_case of test_cases) {
+    const test_idx = test_cases.indexOf(test_case)
+    const {version, store} = await build_v2_store(test_case.abi, test_case.format_version, assemblies)
+    const store_file = path.join(store_dir, test_case.file_name)
+    fs.writeFileSync(store_file, store)
+
+    const unpacked_dir = path.join(work_dir, `unpacked-${test_idx}`)
+    const errors = []
+
+    if (run_jsxamstore('unpack', '-d', store_dir, '-a', test_case.abi, '-o', unpacked_dir) !== 0)
+      errors.push('unpack failed')
+
+    errors.push(...check_unpacked(unpacked_dir, test_case.abi, test_case.file_name, version, assemblies))
+    console.log(test_case.label, errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+
+    if (test_case.abi === 'arm64') {
+      const file_dir = path.join(work_dir, `unpacked-file-${test_idx}`)
+      const errors = []
+
+      if (run_jsxamstore('unpack', '-d', store_file, '-o', file_dir) !== 0)
+        errors.push('unpack failed')
+
+      errors.push(...check_unpacked(file_dir, test_case.abi, test_case.file_name, version, assemblies))
+      console.log('single store file:', errors.length ? `Fail (${errors.join('. ')})` : 'OK')
+    }
+  }
+}
+
+run_tests()
+  .catch(e => console.log(e.message))
+  .finally(() => fs.rmSync(work_dir, {recursive: true, force: true}))
@@ -0,0 +1,136 @@
+// -----------------------------------------------------------------------------
+// packs a small set of assembly stores, then confirms that "jsxamstore verify":
+//  - passes every check for the untouched stores
+//  - reports the expected check as failed (with a non-zero exit code) for a corrupted copy
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const jsxamstore = path.resolve(__dirname, '../../bin/jsxamstore.js')
+const work_dir   = fs.mkdtempSync(path.join(os.tmpdir(), 'jsxamstore-verify-'))
+
+// -----------------------------------------------------------------------------
+// helpers:
+
+const run_jsxamstore = (...args) => {
+  const result = spawnSync(process.execPath, [jsxamstore, ...args], {encoding: 'utf8'})
+  return {status: result.status, stdout: result.stdout}
+}
+
+// pack sorts the hash tables by the hash values recorded in "assemblies.json"
+const get_hashes = (name) => {
+  const {stdout} = run_jsxamstore('hash', `${name}.dll`)
+  const [, hash32] = stdout.match(/Hash32: (0x[0-9a-f]+)/)
+  const [, hash64] = stdout.match(/Hash64: (0x[0-9a-f]+)/)
+  return {hash32, hash64}
+}
+
+const get_failed_checks = (stdout) => {
+  return stdout.split('\n')
+    .filter(line => line.trim().startsWith('[FAIL]'))
+    .map(line => line.trim().replace('[FAIL] ', ''))
+}
+
+// -----------------------------------------------------------------------------
+// fixture:
+
+const build_store_files = () => {
+  const dlls_dir = path.join(work_dir, 'dlls')
+  fs.mkdirSync(dlls_dir)
+
+  const assemblies = []
+  const add_assembly = (name, store_idx, store_id, blob_idx, lz4, content) => {
+    const file = path.join(dlls_dir, `${store_idx}-${name}.dll`)
+    fs.writeFileSync(file, Buffer.from(content))
+
+    assemblies.push({store_idx, lz4, lz4_desc_idx: blob_idx, name, store_id, blob_idx, ...get_hashes(name), file})
+  }
+
+  add_assembly('App',             0, 0, 0, true,  'MZ app ' + 'a'.repeat(100))
+  add_assembly('Mono.Android',    0, 0, 1, false, 'MZ mono.android ' + 'b'.repeat(200))
+  add_assembly('System.Private',  1, 1, 0, true,  'MZ arm64 system.private ' + 'c'.repeat(50))
+
+  const json_data = {
+    stores: [
+      {'assemblies.blob':          {store_idx: 0, header: {version: 1, lec: 2, gec: 3, store_id: 0}}},
+      {'assemblies.arm64_v8a.blob': {store_idx: 1, header: {version: 1, lec: 1, gec: 0, store_id: 1}}},
+    ],
+    assemblies
+  }
+
+  const json_file = path.join(work_dir, 'assemblies.json')
+  fs.writeFileSync(json_file, JSON.stringify(json_data, null, 4))
+
+  const packed_dir = path.join(work_dir, 'packed')
+  run_jsxamstore('pack', '-c', json_file, '-o', packed_dir)
+
+  const assemblies_dir = path.join(work_dir, 'assemblies')
+  fs.mkdirSync(assemblies_dir)
+  for (const name of fs.readdirSync(packed_dir)) {
+    fs.copyFileSync(path.join(packed_dir, name), path.join(assemblies_dir, name.replace(/\.new$/, '')))
+  }
+
+  return assemblies_dir
+}
+
+const corrupt_store_files = (assemblies_dir, label, corrupt) => {
+  const corrupt_dir = path.join(work_dir, label)
+  fs.cpSync(assemblies_dir, corrupt_dir, {recursive: true})
+
+  const blob_file = path.join(corrupt_dir, 'assemblies.blob')
+  const raw = fs.readFileSync(blob_file)
+  corrupt(raw)
+  fs.writeFileSync(blob_file, raw)
+
+  return corrupt_dir
+}
+
+// -----------------------------------------------------------------------------
+// test cases:
+
+const run_tests = () => {
+  const assemblies_dir = build_store_files()
+
+  // primary store layout: header (20) + TOC (2 * 24) + hash32 (3 * 20) + hash64 (3 * 20)
+  const hash32_offset = 20 + (2 * 24)
+
+  const test_cases = [
+    {label: 'valid stores:', dir: assemblies_dir, expect: []},
+
+    {label: 'unsorted hash32 table:', expect: ['hash32 table sorted ascending'], dir: corrupt_store_files(assemblies_dir, 'unsorted', (raw) => {
+      const first = Buffer.from(raw.subarray(hash32_offset, hash32_offset + 20))
+      raw.copy(raw, hash32_offset, hash32_offset + 40, hash32_offset + 60)
+      first.copy(raw, hash32_offset + 40)
+    })},
+
+    {label: 'wrong mapping index:', expect: ['hash32 mapping_index/store_id'], dir: corrupt_store_files(assemblies_dir, 'mapping', (raw) => {
+      const mapping_index = raw.readUInt32LE(hash32_offset + 8)
+      raw.writeUInt32LE(mapping_index + 1, hash32_offset + 8)
+    })},
+
+    {label: 'truncated data size:', expect: ['LZ4 payloads decompress'], dir: corrupt_store_files(assemblies_dir, 'lz4', (raw) => {
+      // assembly 0 is LZ4 compressed: declare a larger uncompressed size than its payload holds
+      const data_offset = raw.readUInt32LE(20)
+      raw.writeUInt32LE(raw.readUInt32LE(data_offset + 8) + 100, data_offset + 8)
+    })},
+  ]
+
+  for (const test_case of test_cases) {
+    const {status, stdout} = run_jsxamstore('verify', '-d', test_case.dir)
+    const failed_checks = get_failed_checks(stdout)
+
+    const expect_status = test_case.expect.length ? 51 : 0
+    const ok = (status === expect_status) && (failed_checks.join('|') === test_case.expect.join('|'))
+
+    console.log(test_case.label, ok ? 'OK' : `Fail (exit code: ${status}. failed checks: "${failed_checks.join(', ')}")`)
+  }
+}
+
+try {
+  run_tests()
+}
+finally {
+  fs.rmSync(work_dir, {recursive: true, force: true})
+}